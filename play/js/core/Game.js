@@ -3,14 +3,26 @@
  * Initializes Three.js, manages game loop, coordinates all systems
  */
 import { Input } from './Input.js';
+import { TouchControls } from './TouchControls.js';
+import { Random } from './Random.js';
+import { RenderInterpolator } from './RenderInterpolator.js';
 import { Player } from '../entities/Player.js';
 import { clofen } from '../entities/clofen.js';
 import { Bird } from '../entities/Bird.js';
 import { MossBall } from '../entities/MossBall.js';
+import { SoundStone } from '../entities/SoundStone.js';
 import { SoundSystem } from '../systems/SoundSystem.js';
+import { AudioSystem } from '../systems/AudioSystem.js';
 import { RecordSystem } from '../systems/RecordSystem.js';
 import { PuzzleSystem } from '../systems/PuzzleSystem.js';
+import { ProgressionSystem } from '../systems/ProgressionSystem.js';
+import { SaveSystem } from '../systems/SaveSystem.js';
+import { SettingsSystem } from '../systems/SettingsSystem.js';
+import { FlockingSystem } from '../systems/FlockingSystem.js';
 import { Scene as GameScene } from '../world/Scene.js';
+import { Level } from '../world/Level.js';
+import { NavGrid } from '../world/NavGrid.js';
+import { CollisionWorld } from '../world/CollisionWorld.js';
 import { Environment } from '../world/Environment.js';
 import { Effects } from '../world/Effects.js';
 import { UIManager } from '../ui/UIManager.js';
@@ -18,25 +30,49 @@ import { HUD } from '../ui/HUD.js';
 import { Tutorial } from '../ui/Tutorial.js';
 
 class Game {
+    // Simulation step (seconds) - updates always get this dt, whatever the frame rate
+    static FIXED_DT = 1 / 60;
+
+    // Most steps run in one frame; a longer backlog is dropped instead of catching up
+    static MAX_STEPS_PER_FRAME = 5;
+
     constructor() {
         this.canvas = document.getElementById('game-canvas');
         this.clock = new THREE.Clock();
         this.isRunning = false;
         this.isPaused = false;
 
+        // Fixed-step simulation
+        this.time = 0; // Simulated seconds (use instead of Date.now() for anything that animates)
+        this.accumulator = 0; // Frame time not yet simulated
+        this.interpolator = new RenderInterpolator();
+
+        // Shared seeded RNG - reseeded per level from ?seed= and the level's seed
+        this.seed = Random.seedFromQuery();
+        this.random = new Random(this.seed ?? 1);
+
         // Game entities
         this.player = null;
         this.clofens = [];
         this.bird = null;
-        this.mossBall = null;
+        this.mossBalls = [];
+        this.soundStones = [];
 
         // Systems
         this.input = null;
+        this.audio = null;
         this.soundSystem = null;
         this.recordSystem = null;
         this.puzzleSystem = null;
+        this.progression = null;
+        this.saveSystem = null;
+        this.settings = null;
+        this.flocking = null;
 
         // World
+        this.level = null; // Level - data-driven layout
+        this.collision = null; // CollisionWorld - shared circles for statics and entities
+        this.navGrid = null; // NavGrid - pathing around the static colliders
         this.gameScene = null;
         this.environment = null;
         this.effects = null;
@@ -51,15 +87,18 @@ class Game {
         this.camera = null;
         this.renderer = null;
         this.composer = null;
+        this.lights = []; // Persist across level loads
 
         // Game state
         this.state = {
-            phase: 'loading', // loading, tutorial, playing, victory
+            phase: 'loading', // loading, tutorial, playing, victory, transition
             tutorialStep: 0,
             hasGather: false,
             hasCharge: false,
             puzzleSolved: false,
+            levelTime: 0, // Seconds spent in current level
         };
+        this.isLoadingLevel = false;
 
         this._init();
     }
@@ -72,8 +111,22 @@ class Game {
             this._initThree();
             this._initPostProcessing();
             await this._initSystems();
-            await this._initWorld();
-            await this._initEntities();
+            let save = await this._chooseSave();
+            const firstId = this.progression.getFirstLevelId();
+            const levelId = save ? save.levelId : (Level.idFromQuery() || firstId);
+            if (!await this._tryInitLevel(levelId)) {
+                // Bad ?level= id, or a save for a level that no longer loads - start over
+                if (save) {
+                    this.saveSystem.clear();
+                    save = null;
+                }
+                if (levelId === firstId || !await this._tryInitLevel(firstId)) {
+                    throw new Error(`No level could be loaded (tried ${levelId}, ${firstId})`);
+                }
+            }
+            if (save) {
+                this.saveSystem.apply(save);
+            }
             this._bindEvents();
 
             // Hide loading screen
@@ -124,6 +177,7 @@ class Game {
         // Ambient light
         const ambient = new THREE.AmbientLight(0xffffff, 0.5);
         this.scene.add(ambient);
+        this.lights.push(ambient);
 
         // Directional light (sun)
         const sun = new THREE.DirectionalLight(0xffffff, 1.0);
@@ -138,10 +192,12 @@ class Game {
         sun.shadow.camera.top = 50;
         sun.shadow.camera.bottom = -50;
         this.scene.add(sun);
+        this.lights.push(sun);
 
         // Hemisphere light - Art Bible warm sky + sandy ground
         const hemi = new THREE.HemisphereLight(0xE8C4A8, 0xD4A574, 0.4);
         this.scene.add(hemi);
+        this.lights.push(hemi);
     }
 
     _initPostProcessing() {
@@ -151,28 +207,108 @@ class Game {
 
     async _initSystems() {
         // Input system
-        this.input = new Input();
+        this.input = new Input({ slotCount: SoundSystem.SLOT_COUNT });
+
+        // On-screen controls (only enabled on touch devices)
+        this.touchControls = new TouchControls(this);
+        this.touchControls.init();
 
         // Connect input callbacks
         this.input.onSlotChange = (slot) => {
-            if (this.ui) this.ui.setActiveSlot(slot);
-            if (this.soundSystem) this.soundSystem.setActiveSlot(slot);
+            if (this.soundSystem) this.soundSystem.selectSlot(slot);
+        };
+
+        this.input.onSlotCycle = (step) => {
+            if (this.soundSystem) this.soundSystem.cycleSlot(step);
         };
 
         this.input.onVolumeChange = (volume) => {
             if (this.ui) this.ui.setVolume(volume);
             if (this.soundSystem) this.soundSystem.setVolume(volume);
+            if (this.audio) this.audio.setSoundVolume(volume);
         };
 
+        this.input.onPause = () => {
+            if (this.input.isEngaged && !this.isPaused) {
+                this.pause();
+            } else if (this.isPaused && this.input.device === 'gamepad') {
+                // Gamepads have no pointer lock to regain, so the pause button toggles
+                this.resume();
+            } else if (this.isPaused && this.ui) {
+                // Pause key inside the menu steps back to the main panel
+                this.ui.showPausePanel('main');
+            }
+        };
+
+        this.input.onPointerLockChange = (isLocked) => {
+            // Losing the pointer mid-level (Escape, alt-tab) pauses the game
+            if (!isLocked) this.pause();
+        };
+
+        // Audio playback (Web Audio)
+        this.audio = new AudioSystem(this);
+        await this.audio.init();
+
         // Sound system
         this.soundSystem = new SoundSystem(this);
+        this.ui.initSoundSlots(this.soundSystem.slotCount);
 
         // Record system
         this.recordSystem = new RecordSystem(this);
 
-        // Puzzle system
+        // Herd steering for clofens
+        this.flocking = new FlockingSystem(this);
+
+        // Level sequence and best times
+        this.progression = new ProgressionSystem(this);
+        await this.progression.init();
+
+        // Save games
+        this.saveSystem = new SaveSystem(this);
+        this.saveSystem.init();
+
+        // Player settings
+        this.settings = new SettingsSystem(this);
+        this.settings.init();
+    }
+
+    /**
+     * Offer "Continue" vs "New game" when a save exists
+     * @returns {Promise<Object|null>} Save to restore, or null for a new game
+     */
+    async _chooseSave() {
+        const save = this.saveSystem.load();
+        if (!save || !this.ui) return null;
+
+        const choice = await this.ui.promptContinue();
+        if (choice === 'continue') {
+            return save;
+        }
+
+        this.saveSystem.clear();
+        return null;
+    }
+
+    async _initLevel(levelId) {
+        // Level layout drives the scene, entities and puzzle
+        this.level = await Level.load(Level.urlFor(levelId));
+        this.random.seed(this.seed !== null ? `${this.seed}:${this.level.seed}` : this.level.seed);
+        this.collision = new CollisionWorld(this.level.bounds);
+        this.state.levelTime = 0;
+        this.state.puzzleSolved = false;
+
+        // Puzzle system (exit gate belongs to the level)
         this.puzzleSystem = new PuzzleSystem(this);
         this.puzzleSystem.init();
+
+        await this._initWorld();
+        await this._initEntities();
+
+        // Every static collider is registered by now
+        this.navGrid = new NavGrid(this.collision);
+
+        // Player is rebuilt per level - push settings again
+        this.settings.apply();
     }
 
     async _initWorld() {
@@ -184,9 +320,11 @@ class Game {
         this.environment = new Environment(this);
         await this.environment.init();
 
-        // Visual effects (particles, waves)
-        this.effects = new Effects(this);
-        await this.effects.init();
+        // Visual effects (particles, waves) - created once, survives level loads
+        if (!this.effects) {
+            this.effects = new Effects(this);
+            await this.effects.init();
+        }
     }
 
     async _initEntities() {
@@ -194,28 +332,33 @@ class Game {
         this.player = new Player(this);
         await this.player.init();
 
-        // clofens (5 sheep)
-        const clofenPositions = [
-            { x: 5, z: 0 },
-            { x: -3, z: 4 },
-            { x: 2, z: -5 },
-            { x: -5, z: -2 },
-            { x: 0, z: 6 },
-        ];
-
-        for (const pos of clofenPositions) {
+        // clofens (spawn points from level); the model also has to be ready for puzzle spawns
+        await clofen.preloadModel();
+        for (const pos of this.level.clofens) {
             const clofen = new clofen(this);
             await clofen.init(pos.x, pos.z);
             this.clofens.push(clofen);
         }
 
         // Bird
-        this.bird = new Bird(this);
-        await this.bird.init();
+        if (this.level.bird) {
+            this.bird = new Bird(this);
+            await this.bird.init();
+        }
+
+        // Moss balls
+        for (const data of this.level.mossBalls) {
+            const mossBall = new MossBall(this);
+            await mossBall.init(data);
+            this.mossBalls.push(mossBall);
+        }
 
-        // Moss Ball
-        this.mossBall = new MossBall(this);
-        await this.mossBall.init();
+        // Sound stones (extra recordable sounds)
+        for (const source of this.level.soundSources) {
+            const stone = new SoundStone(this);
+            await stone.init(source);
+            this.soundStones.push(stone);
+        }
     }
 
     _initUI() {
@@ -229,23 +372,82 @@ class Game {
     }
 
     _bindEvents() {
-        // Click to start / lock pointer
+        // Click to start / lock pointer (touch devices start from their first touch instead)
         this.canvas.addEventListener('click', () => {
-            if (!this.input.isLocked) {
+            if (!this.input.isLocked && !this.touchControls.enabled) {
                 this.input.requestPointerLock(this.canvas);
-                if (this.state.phase === 'loading') {
-                    this.state.phase = 'tutorial';
-                    this.tutorial.start();
-                }
+                this.startTutorial();
             }
         });
 
-        // Escape to pause
-        document.addEventListener('keydown', (e) => {
-            if (e.code === 'Escape' && this.input.isLocked) {
-                this.isPaused = !this.isPaused;
-            }
-        });
+        // Pause is an Input action (Escape by default); browsers also release
+        // pointer lock on Escape, which pauses through onPointerLockChange
+    }
+
+    /**
+     * Leave the start screen (first click, gamepad input or touch)
+     */
+    startTutorial() {
+        if (this.state.phase !== 'loading') return;
+        this.state.phase = 'tutorial';
+        this.tutorial.start(this.state.tutorialStep);
+    }
+
+    /**
+     * Pause mid-level: release the pointer and show the pause menu
+     */
+    pause() {
+        const phase = this.state.phase;
+        if (this.isPaused || this.isLoadingLevel) return;
+        if (phase !== 'tutorial' && phase !== 'playing') return;
+
+        this.isPaused = true;
+
+        // Fingers on the controls stay down while the menu covers them
+        this.touchControls.reset();
+
+        // Don't leave Gather droning (or the wheel open) under the menu
+        if (this.soundSystem) {
+            this.soundSystem.stopStateSound();
+            this.soundSystem.closeWheel();
+        }
+
+        if (this.input.isLocked) {
+            this.input.exitPointerLock();
+        }
+
+        if (this.ui) {
+            this.ui.showPause();
+        }
+    }
+
+    /**
+     * Close the pause menu and re-lock the pointer
+     * Must be called from a user gesture (pointer lock requirement) on keyboard and mouse
+     */
+    resume() {
+        if (!this.isPaused) return;
+
+        this.isPaused = false;
+
+        if (this.ui) {
+            this.ui.hidePause();
+        }
+
+        if (this.input.device === 'keyboard') {
+            this.input.requestPointerLock(this.canvas);
+        }
+    }
+
+    /**
+     * Restart the current level from the pause menu
+     */
+    restartLevel() {
+        this.isPaused = false;
+        if (this.ui) {
+            this.ui.hidePause();
+        }
+        this.replay();
     }
 
     _hideLoading() {
@@ -276,16 +478,79 @@ class Game {
 
         const delta = this.clock.getDelta();
 
-        if (!this.isPaused && this.input.isLocked) {
-            this._update(delta);
+        // Gamepads are polled, so Input runs even while paused
+        this.input.update(delta);
+        this.touchControls.update(delta);
+
+        if (this.input.isEngaged) {
+            this.startTutorial();
         }
 
-        this._render();
+        const isSimulating = !this.isPaused && this.input.isEngaged;
+        if (isSimulating) {
+            this._step(delta);
+        }
+
+        this._render(isSimulating ? this.accumulator / Game.FIXED_DT : null);
     }
 
-    _update(delta) {
-        // Clamp delta to avoid large jumps
-        const dt = Math.min(delta, 0.1);
+    /**
+     * Run as many fixed steps as the frame time covers
+     */
+    _step(delta) {
+        this.accumulator += delta;
+
+        let steps = 0;
+        while (this.accumulator >= Game.FIXED_DT && steps < Game.MAX_STEPS_PER_FRAME) {
+            this.interpolator.capturePrevious(this._interpolationTargets());
+            this._update(Game.FIXED_DT);
+            this.accumulator -= Game.FIXED_DT;
+            steps++;
+        }
+
+        // Too far behind (tab was hidden, long hitch) - slow down rather than spiral
+        if (this.accumulator >= Game.FIXED_DT) {
+            this.accumulator = 0;
+        }
+
+        if (steps > 0) {
+            this.interpolator.captureCurrent(this._interpolationTargets());
+        }
+    }
+
+    /**
+     * Objects drawn between their last two simulated poses
+     */
+    _interpolationTargets() {
+        const targets = [{ object: this.camera, rotation: true }];
+        const meshes = [
+            this.player && this.player.scout,
+            this.bird && this.bird.mesh,
+            ...this.clofens.map(clofen => clofen.mesh),
+            ...this.mossBalls.map(mossBall => mossBall.mesh),
+        ];
+        for (const mesh of meshes) {
+            if (mesh) targets.push({ object: mesh, rotation: false });
+        }
+        return targets;
+    }
+
+    /**
+     * One fixed simulation step
+     */
+    _update(dt) {
+        if (this.state.phase === 'transition') return;
+
+        this.time += dt;
+
+        if (this.state.phase !== 'victory') {
+            this.state.levelTime += dt;
+        }
+
+        // Refresh the broadphase before anything moves
+        if (this.collision) {
+            this.collision.update();
+        }
 
         // Update player
         if (this.player) {
@@ -302,9 +567,14 @@ class Game {
             this.bird.update(dt);
         }
 
-        // Update moss ball
-        if (this.mossBall) {
-            this.mossBall.update(dt);
+        // Update moss balls
+        for (const mossBall of this.mossBalls) {
+            mossBall.update(dt);
+        }
+
+        // Update sound stones
+        for (const stone of this.soundStones) {
+            stone.update(dt);
         }
 
         // Update systems
@@ -320,6 +590,14 @@ class Game {
             this.puzzleSystem.update(dt);
         }
 
+        if (this.saveSystem) {
+            this.saveSystem.update(dt);
+        }
+
+        if (this.audio) {
+            this.audio.update(dt);
+        }
+
         // Update environment
         if (this.environment) {
             this.environment.update(dt);
@@ -336,12 +614,20 @@ class Game {
         }
     }
 
-    _render() {
+    /**
+     * @param {number|null} alpha - Blend between the last two steps, or null to draw the simulated pose
+     */
+    _render(alpha) {
+        const targets = alpha !== null ? this._interpolationTargets() : [];
+        this.interpolator.apply(targets, alpha);
+
         if (this.effects && this.effects.composer) {
             this.effects.composer.render();
         } else {
             this.renderer.render(this.scene, this.camera);
         }
+
+        this.interpolator.restore(targets);
     }
 
     /**
@@ -349,11 +635,31 @@ class Game {
      */
     victory() {
         this.state.phase = 'victory';
+        this.state.puzzleSolved = true;
         this.input.exitPointerLock();
 
+        // Record clear time
+        const levelId = this.level.id;
+        const time = this.state.levelTime;
+        const isNewBest = this.progression.recordClear(levelId, time);
+
+        // "Continue" resumes at the next level, or starts over after the last one
+        const nextId = this.progression.getNextLevelId(levelId);
+        if (nextId) {
+            this.saveSystem.saveLevelStart(nextId);
+        } else {
+            this.saveSystem.clear();
+        }
+
         // Show victory screen via UIManager
         if (this.ui) {
-            this.ui.showVictory();
+            this.ui.showVictory({
+                levelName: this.level.name,
+                time,
+                bestTime: this.progression.getBestTime(levelId),
+                isNewBest,
+                hasNextLevel: nextId !== null,
+            });
         }
 
         // Spawn celebration particles
@@ -363,10 +669,162 @@ class Game {
     }
 
     /**
-     * Reset and replay
+     * Add an entity mid-level (puzzle spawnObject action)
+     * Synchronous, so it joins the simulation on the step that spawned it
+     * @param {string} kind - 'clofen' or 'soundStone'
+     * @param {Object} data - { x, z } plus `type` for sound stones
+     */
+    spawnEntity(kind, data) {
+        if (kind === 'clofen') {
+            const sheep = new clofen(this);
+            sheep.spawn(data.x, data.z);
+            this.clofens.push(sheep);
+        } else if (kind === 'soundStone') {
+            const stone = new SoundStone(this);
+            stone.init(data);
+            this.soundStones.push(stone);
+            if (this.navGrid) this.navGrid.addCollider(stone.collider);
+        } else {
+            console.warn(`Cannot spawn unknown entity: ${kind}`);
+            return;
+        }
+
+        if (this.effects) {
+            this.effects.spawnImpact(new THREE.Vector3(data.x, 0.5, data.z), 0x7ee787);
+        }
+    }
+
+    /**
+     * Restart the current level
      */
     replay() {
-        window.location.reload();
+        this.loadLevel(this.level.id);
+    }
+
+    /**
+     * Continue to the next level in the sequence
+     */
+    nextLevel() {
+        const nextId = this.progression.getNextLevelId(this.level.id);
+        if (nextId) {
+            this.loadLevel(nextId);
+        }
+    }
+
+    /**
+     * Tear down the current level and load another one
+     * Unlocked sounds carry over - SoundSystem is not rebuilt
+     */
+    async loadLevel(levelId) {
+        if (this.isLoadingLevel) return;
+        this.isLoadingLevel = true;
+        this.state.phase = 'transition';
+
+        if (this.ui) {
+            this.ui.hideVictory();
+            this.ui.hideLevelSelect();
+            this.ui.showLoading('Travelling...');
+        }
+
+        const previousId = this.level ? this.level.id : null;
+        this._teardownLevel();
+
+        // Fall back to the level we came from, so a bad level file doesn't leave an empty world
+        let loaded = await this._tryInitLevel(levelId);
+        if (!loaded && previousId && previousId !== levelId) {
+            this._teardownLevel();
+            loaded = await this._tryInitLevel(previousId);
+        }
+
+        this.isLoadingLevel = false;
+
+        if (!loaded) {
+            // Nothing to play - stay in transition (the loop skips it) and let the player pick again
+            if (this.ui) {
+                this.ui.hideLoading();
+                this.ui.showNotification(`
+                    <strong>Could not load that level</strong>
+                    <br><small>Pick another one to keep playing</small>
+                `, {
+                    borderColor: '#ff6b6b',
+                    duration: 5000,
+                });
+                this.ui.showLevelSelect();
+            }
+            return;
+        }
+
+        this.state.phase = 'playing';
+        this.saveSystem.save();
+
+        if (this.ui) {
+            this.ui.hideLoading();
+            this.ui.showNotification(`
+                <strong>${this.level.name}</strong>
+                <br><small>Click to continue</small>
+            `);
+        }
+    }
+
+    /**
+     * Build a level, tearing down whatever got built if it fails
+     * @returns {Promise<boolean>} Whether the level loaded
+     */
+    async _tryInitLevel(levelId) {
+        try {
+            await this._initLevel(levelId);
+            return true;
+        } catch (error) {
+            console.error(`Level load failed: ${levelId}`, error);
+            this._teardownLevel();
+            return false;
+        }
+    }
+
+    /**
+     * Remove every level object from the scene and free GPU resources
+     */
+    _teardownLevel() {
+        // Stop anything that references old entities or meshes
+        if (this.soundSystem) this.soundSystem.reset();
+        if (this.recordSystem) this.recordSystem.reset();
+        if (this.effects) this.effects.clear();
+
+        // Everything except the shared lights belongs to the level
+        for (const child of [...this.scene.children]) {
+            if (this.lights.includes(child)) continue;
+            this.scene.remove(child);
+            this._disposeObject(child);
+        }
+
+        this.player = null;
+        this.clofens = [];
+        this.bird = null;
+        this.mossBalls = [];
+        this.soundStones = [];
+        this.puzzleSystem = null;
+        this.gameScene = null;
+        this.environment = null;
+        this.level = null;
+        this.collision = null;
+        this.navGrid = null;
+        this.interpolator.clear();
+    }
+
+    _disposeObject(object) {
+        object.traverse((child) => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            if (child.material) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                for (const material of materials) {
+                    if (material.map) material.map.dispose();
+                    if (material.gradientMap) material.gradientMap.dispose();
+                    material.dispose();
+                }
+            }
+        });
     }
 }
 
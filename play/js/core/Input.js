@@ -1,18 +1,127 @@
 /**
  * Input Manager - Handles all user input
- * Controls: WASD movement, Mouse look, LMB sound, Q record, E pet, Scroll volume, 1/2 switch
+ * Raw keys and mouse buttons are mapped to actions through rebindable bindings
+ * Default controls: WASD/arrows movement, Mouse look, LMB sound, Q record, E pet, Scroll volume (or slot cycling),
+ * 1-N switch, hold Tab for the sound wheel, -/= volume
+ * Gamepad (standard mapping): sticks move/look, triggers sound, X record, A pet, bumpers switch, Y wheel, D-pad volume
+ * Touch: TouchControls feeds virtual actions, movement and look through the methods below
  */
 export class Input {
-    constructor() {
-        // Movement keys
-        this.keys = {
-            forward: false,  // W
-            backward: false, // S
-            left: false,     // A
-            right: false,    // D
-            record: false,   // Q
-            pet: false,      // E
-        };
+    static STORAGE_KEY = 'baacadia-play-bindings';
+    static BINDINGS_VERSION = 1;
+
+    // Action -> list of binding codes (KeyboardEvent.code, Mouse0-2, or Pad0-16 for gamepad buttons)
+    // Per-slot actions (slot1..slotN) are generated by defaultBindings() and go before slotPrev
+    static DEFAULT_BINDINGS = {
+        moveForward: ['KeyW', 'ArrowUp'],
+        moveBackward: ['KeyS', 'ArrowDown'],
+        moveLeft: ['KeyA', 'ArrowLeft'],
+        moveRight: ['KeyD', 'ArrowRight'],
+        soundTrigger: ['Mouse0', 'Pad7', 'Pad6'],
+        record: ['KeyQ', 'Pad2'],
+        pet: ['KeyE', 'Pad0'],
+        slotPrev: ['Pad4'],
+        slotNext: ['Pad5'],
+        soundWheel: ['Tab', 'Pad3'],
+        volumeUp: ['Equal', 'Pad12'],
+        volumeDown: ['Minus', 'Pad13'],
+        pause: ['Escape', 'Pad9'],
+    };
+
+    // Display names (slot actions are named by getActionName)
+    static ACTION_LABELS = {
+        moveForward: 'Move Forward',
+        moveBackward: 'Move Back',
+        moveLeft: 'Move Left',
+        moveRight: 'Move Right',
+        soundTrigger: 'Play Sound',
+        record: 'Record (hold)',
+        pet: 'Pet',
+        slotPrev: 'Previous Slot',
+        slotNext: 'Next Slot',
+        soundWheel: 'Sound Wheel (hold)',
+        volumeUp: 'Volume Up',
+        volumeDown: 'Volume Down',
+        pause: 'Pause',
+    };
+
+    static MOUSE_LABELS = {
+        Mouse0: 'Left Click',
+        Mouse1: 'Middle Click',
+        Mouse2: 'Right Click',
+    };
+
+    static KEY_LABELS = {
+        ArrowUp: '↑',
+        ArrowDown: '↓',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        Space: 'Space',
+        Escape: 'Esc',
+        ShiftLeft: 'Shift',
+        ShiftRight: 'R-Shift',
+        ControlLeft: 'Ctrl',
+        ControlRight: 'R-Ctrl',
+        AltLeft: 'Alt',
+        AltRight: 'R-Alt',
+        Tab: 'Tab',
+        Equal: '=',
+        Minus: '-',
+        Enter: 'Enter',
+        Backspace: 'Backspace',
+    };
+
+    // Standard gamepad mapping (Xbox-style glyphs)
+    static PAD_LABELS = {
+        Pad0: 'A',
+        Pad1: 'B',
+        Pad2: 'X',
+        Pad3: 'Y',
+        Pad4: 'LB',
+        Pad5: 'RB',
+        Pad6: 'LT',
+        Pad7: 'RT',
+        Pad8: 'View',
+        Pad9: 'Menu',
+        Pad10: 'L3',
+        Pad11: 'R3',
+        Pad12: 'D-Pad ↑',
+        Pad13: 'D-Pad ↓',
+        Pad14: 'D-Pad ←',
+        Pad15: 'D-Pad →',
+        Pad16: 'Home',
+    };
+
+    // On-screen button glyphs (see TouchControls)
+    static TOUCH_LABELS = {
+        soundTrigger: '♪',
+        record: 'REC',
+        pet: 'PET',
+        pause: 'II',
+    };
+
+    // Analog trigger travel that counts as a press
+    static TRIGGER_THRESHOLD = 0.5;
+
+    // Right-stick look speed, in mouse pixels per second at full tilt
+    static STICK_LOOK_SPEED = 600;
+
+    /**
+     * @param {Object} options - slotCount: number of sound slots (one number-key action each)
+     */
+    constructor({ slotCount = 2 } = {}) {
+        // Bindings (loaded from storage, falling back to defaults)
+        this.defaults = Input.defaultBindings(slotCount);
+        this.bindings = Input._cloneBindings(this.defaults);
+
+        // Action state (true while any bound key/button is held)
+        this.actions = {};
+        for (const action of Object.keys(this.defaults)) {
+            this.actions[action] = false;
+        }
+
+        // Currently held binding codes
+        this.pressed = new Set();
 
         // Mouse state
         this.mouse = {
@@ -24,21 +133,76 @@ export class Input {
             rightButton: false,
         };
 
-        // Sound selection (1-2)
-        this.selectedSlot = 1;
-
         // Volume (0-1)
         this.volume = 0.7;
 
+        // Scroll wheel: 'volume' (default) or 'cycle' through sound slots
+        this.scrollMode = 'volume';
+        this._wheelAccum = 0;
+
         // Pointer lock state
         this.isLocked = false;
 
+        // Gamepad state (polled in update)
+        this.gamepad = {
+            index: null,
+            buttons: [],
+            move: { x: 0, z: 0 },
+            lookX: 0,
+            lookY: 0,
+            deadZone: 0.15,
+            sensitivity: 1.0,
+        };
+
+        // On-screen controls: actions held by buttons, joystick vector, drag-look delta
+        this.virtual = {
+            held: new Set(),
+            move: { x: 0, z: 0 },
+            lookX: 0,
+            lookY: 0,
+        };
+
+        // Last device used: 'keyboard' (includes mouse), 'gamepad' or 'touch'; drives prompt glyphs
+        this.device = 'keyboard';
+
+        // Rebinding: { action, index, callback, target } while waiting for a key
+        this._rebind = null;
+        this._swallowClick = false;
+
+        // Keyboard layout map (for AZERTY etc. key labels), if the browser exposes it
+        this._layoutMap = null;
+
         // Event listeners storage for cleanup
         this._listeners = [];
 
+        this._loadBindings();
         this._init();
     }
 
+    /**
+     * Default bindings with number keys for each sound slot
+     */
+    static defaultBindings(slotCount) {
+        const bindings = {};
+        for (const [action, codes] of Object.entries(Input.DEFAULT_BINDINGS)) {
+            if (action === 'slotPrev') {
+                for (let n = 1; n <= slotCount; n++) {
+                    bindings[`slot${n}`] = n <= 10 ? [`Digit${n % 10}`] : [];
+                }
+            }
+            bindings[action] = [...codes];
+        }
+        return bindings;
+    }
+
+    static _cloneBindings(bindings) {
+        const copy = {};
+        for (const [action, codes] of Object.entries(bindings)) {
+            copy[action] = [...codes];
+        }
+        return copy;
+    }
+
     _init() {
         // Keyboard events
         this._addListener(document, 'keydown', this._onKeyDown.bind(this));
@@ -50,8 +214,29 @@ export class Input {
         this._addListener(document, 'mouseup', this._onMouseUp.bind(this));
         this._addListener(document, 'wheel', this._onWheel.bind(this), { passive: false });
 
+        // Swallow the click that completes a mouse rebind so menus don't react to it
+        // (right and middle buttons send contextmenu / auxclick instead of click)
+        const swallow = this._onClickCapture.bind(this);
+        this._addListener(window, 'click', swallow, true);
+        this._addListener(window, 'auxclick', swallow, true);
+        this._addListener(window, 'contextmenu', swallow, true);
+
+        // Release everything when the window loses focus (keyup never arrives)
+        this._addListener(window, 'blur', this._releaseAll.bind(this));
+
         // Pointer lock events
         this._addListener(document, 'pointerlockchange', this._onPointerLockChange.bind(this));
+
+        // Gamepad events
+        this._addListener(window, 'gamepadconnected', this._onGamepadConnected.bind(this));
+        this._addListener(window, 'gamepaddisconnected', this._onGamepadDisconnected.bind(this));
+
+        // Layout-aware key labels
+        if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+            navigator.keyboard.getLayoutMap()
+                .then((map) => { this._layoutMap = map; })
+                .catch(() => {});
+        }
     }
 
     _addListener(target, event, handler, options) {
@@ -59,64 +244,548 @@ export class Input {
         this._listeners.push({ target, event, handler, options });
     }
 
+    // ========================================
+    // BINDINGS
+    // ========================================
+
+    _loadBindings() {
+        try {
+            const raw = localStorage.getItem(Input.STORAGE_KEY);
+            if (!raw) return;
+
+            const data = JSON.parse(raw);
+            if (data.version !== Input.BINDINGS_VERSION) return;
+
+            for (const action of Object.keys(this.bindings)) {
+                if (Array.isArray(data.bindings[action])) {
+                    this.bindings[action] = data.bindings[action];
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to read key bindings:', error);
+        }
+    }
+
+    _saveBindings() {
+        try {
+            const data = { version: Input.BINDINGS_VERSION, bindings: this.bindings };
+            localStorage.setItem(Input.STORAGE_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.warn('Failed to save key bindings:', error);
+        }
+    }
+
+    /**
+     * Actions bound to a code
+     */
+    _actionsForCode(code) {
+        const actions = [];
+        for (const [action, codes] of Object.entries(this.bindings)) {
+            if (codes.includes(code)) actions.push(action);
+        }
+        return actions;
+    }
+
+    /**
+     * Bind a code to an action
+     * A code drives one action only. The action that had it gets the replaced code
+     * in exchange (a swap); when adding, it just loses the code - unless that would
+     * leave it with nothing on that device (keyboard/mouse or gamepad), in which case
+     * nothing changes.
+     * @param {string} action - Action name
+     * @param {string} code - KeyboardEvent.code, Mouse0-2 or Pad0-16
+     * @param {number} index - Binding index to replace; appends when out of range
+     * @returns {string|null} Action that kept the code and blocked the binding, or null once bound
+     */
+    bind(action, code, index = -1) {
+        const codes = this.bindings[action];
+        if (!codes) return null;
+
+        const replaced = index >= 0 && index < codes.length ? codes[index] : null;
+        const owner = this._actionsForCode(code).find(other => other !== action);
+        const ownerCodes = owner ? this.bindings[owner] : null;
+
+        if (ownerCodes) {
+            const at = ownerCodes.indexOf(code);
+            const sameDevice = c => Input.isPadCode(c) === Input.isPadCode(code);
+            if (replaced !== null && sameDevice(replaced) && !ownerCodes.includes(replaced)) {
+                ownerCodes[at] = replaced;
+            } else if (ownerCodes.some(c => c !== code && sameDevice(c))) {
+                ownerCodes.splice(at, 1);
+            } else {
+                return owner;
+            }
+        }
+
+        if (replaced !== null) {
+            codes[index] = code;
+        } else if (!codes.includes(code)) {
+            codes.push(code);
+        }
+        // Binding the same code twice to one action (another slot already had it)
+        this.bindings[action] = codes.filter((c, i) => c !== code || i === codes.indexOf(code));
+
+        this._releaseAll();
+        this._saveBindings();
+        return null;
+    }
+
+    /**
+     * Remove one binding from an action
+     * Every action keeps at least one binding, so it can't become unreachable
+     * @returns {boolean} Whether the binding was removed
+     */
+    unbind(action, index) {
+        const codes = this.bindings[action];
+        if (!codes || codes.length <= 1 || !codes[index]) return false;
+        codes.splice(index, 1);
+        this._releaseAll();
+        this._saveBindings();
+        return true;
+    }
+
+    resetBindings() {
+        this.bindings = Input._cloneBindings(this.defaults);
+        this._releaseAll();
+        this._saveBindings();
+    }
+
+    /**
+     * Capture the next key, mouse button or gamepad button as a binding
+     * Escape cancels (unless rebinding pause itself)
+     * @param {Function} callback - Called with the new code, or null if cancelled; a second
+     *   argument names the action that kept the code when the binding was refused
+     * @param {Element} [target] - Listening element; mouse buttons only bind when pressed on it,
+     *   a press anywhere else cancels
+     */
+    startRebind(action, index, callback, target = null) {
+        this._rebind = { action, index, callback, target };
+    }
+
+    cancelRebind() {
+        if (!this._rebind) return;
+        const { callback } = this._rebind;
+        this._rebind = null;
+        if (callback) callback(null);
+    }
+
+    _completeRebind(code) {
+        const { action, index, callback } = this._rebind;
+        this._rebind = null;
+
+        if (code === 'Escape' && action !== 'pause') {
+            if (callback) callback(null);
+            return;
+        }
+
+        const blockedBy = this.bind(action, code, index);
+        if (callback) callback(code, blockedBy);
+    }
+
+    get isRebinding() {
+        return this._rebind !== null;
+    }
+
+    // ========================================
+    // LABELS
+    // ========================================
+
+    /**
+     * Human-readable label for a binding code
+     */
+    getCodeLabel(code) {
+        if (Input.MOUSE_LABELS[code]) return Input.MOUSE_LABELS[code];
+        if (Input.PAD_LABELS[code]) return Input.PAD_LABELS[code];
+        if (Input.KEY_LABELS[code]) return Input.KEY_LABELS[code];
+
+        // Character the key produces on this keyboard layout
+        if (this._layoutMap && this._layoutMap.has(code)) {
+            return this._layoutMap.get(code).toUpperCase();
+        }
+
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        if (code.startsWith('Numpad')) return 'Num ' + code.slice(6);
+        return code;
+    }
+
+    /**
+     * Display name of an action for the controls panel
+     */
+    getActionName(action) {
+        if (/^slot\d+$/.test(action)) return `Sound Slot ${action.slice(4)}`;
+        return Input.ACTION_LABELS[action] || action;
+    }
+
+    static isPadCode(code) {
+        return code.startsWith('Pad');
+    }
+
+    /**
+     * Label for an action's primary binding on the last used device (used in prompts and hints)
+     */
+    getActionLabel(action) {
+        if (this.device === 'touch') {
+            // Slots are tapped directly in the HUD
+            if (/^slot\d+$/.test(action)) return action.slice(4);
+            if (Input.TOUCH_LABELS[action]) return Input.TOUCH_LABELS[action];
+        }
+
+        const codes = this.bindings[action] || [];
+        const onPad = this.device === 'gamepad';
+        const code = codes.find(c => Input.isPadCode(c) === onPad);
+
+        if (code) return this.getCodeLabel(code);
+
+        // Slots have no direct pad button - the bumpers cycle through them
+        if (onPad && /^slot\d+$/.test(action)) {
+            return `${this.getActionLabel('slotPrev')}/${this.getActionLabel('slotNext')}`;
+        }
+
+        return codes.length > 0 ? this.getCodeLabel(codes[0]) : '—';
+    }
+
+    /**
+     * Compact label for the four movement actions, e.g. "WASD"
+     */
+    getMoveLabel() {
+        if (this.device === 'gamepad') return 'Left Stick';
+        if (this.device === 'touch') return 'the joystick';
+
+        return ['moveForward', 'moveLeft', 'moveBackward', 'moveRight']
+            .map(action => this.getActionLabel(action))
+            .join('');
+    }
+
+    getLookLabel() {
+        if (this.device === 'gamepad') return 'Right Stick';
+        if (this.device === 'touch') return 'Drag';
+        return 'Mouse';
+    }
+
+    // ========================================
+    // RAW EVENTS
+    // ========================================
+
     _onKeyDown(e) {
-        // Prevent default for game keys
-        if (['KeyW', 'KeyA', 'KeyS', 'KeyD', 'KeyQ', 'KeyE', 'Digit1', 'Digit2'].includes(e.code)) {
+        if (this._rebind) {
             e.preventDefault();
+            this._completeRebind(e.code);
+            return;
         }
 
-        switch (e.code) {
-            case 'KeyW': this.keys.forward = true; break;
-            case 'KeyS': this.keys.backward = true; break;
-            case 'KeyA': this.keys.left = true; break;
-            case 'KeyD': this.keys.right = true; break;
-            case 'KeyQ': this.keys.record = true; break;
-            case 'KeyE': this.keys.pet = true; break;
-            case 'Digit1': this.selectedSlot = 1; this._onSlotChange(1); break;
-            case 'Digit2': this.selectedSlot = 2; this._onSlotChange(2); break;
+        const actions = this._actionsForCode(e.code);
+        if (actions.length === 0) return;
+
+        // Prevent default for game keys (but leave menu inputs usable)
+        if (e.target.tagName !== 'INPUT') {
+            e.preventDefault();
         }
+
+        if (e.repeat) return;
+        this.setDevice('keyboard');
+        this._press(e.code);
     }
 
     _onKeyUp(e) {
-        switch (e.code) {
-            case 'KeyW': this.keys.forward = false; break;
-            case 'KeyS': this.keys.backward = false; break;
-            case 'KeyA': this.keys.left = false; break;
-            case 'KeyD': this.keys.right = false; break;
-            case 'KeyQ': this.keys.record = false; break;
-            case 'KeyE': this.keys.pet = false; break;
-        }
+        this._release(e.code);
     }
 
     _onMouseMove(e) {
         if (this.isLocked) {
-            this.mouse.deltaX = e.movementX || 0;
-            this.mouse.deltaY = e.movementY || 0;
+            // Accumulate until consumeMouseDelta - several events can arrive between fixed steps
+            const dx = e.movementX || 0;
+            const dy = e.movementY || 0;
+            this.mouse.deltaX += dx;
+            this.mouse.deltaY += dy;
+            if (dx !== 0 || dy !== 0) {
+                this.setDevice('keyboard');
+            }
         }
         this.mouse.x = e.clientX;
         this.mouse.y = e.clientY;
     }
 
     _onMouseDown(e) {
+        if (this._rebind) {
+            const { target } = this._rebind;
+            if (target && !target.contains(e.target)) {
+                // Clicking elsewhere (another chip, Back...) cancels and lets the click through
+                this.cancelRebind();
+                return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation();
+            this._swallowClick = true;
+            this._completeRebind(`Mouse${e.button}`);
+            return;
+        }
+
         if (e.button === 0) this.mouse.leftButton = true;
         if (e.button === 2) this.mouse.rightButton = true;
+
+        // Mouse bindings only drive actions while playing
+        if (this.isLocked) {
+            this.setDevice('keyboard');
+            this._press(`Mouse${e.button}`);
+        }
     }
 
     _onMouseUp(e) {
         if (e.button === 0) this.mouse.leftButton = false;
         if (e.button === 2) this.mouse.rightButton = false;
+        this._release(`Mouse${e.button}`);
+    }
+
+    _onClickCapture(e) {
+        if (this._swallowClick) {
+            this._swallowClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }
     }
 
     _onWheel(e) {
         e.preventDefault();
+
+        if (this.scrollMode === 'cycle') {
+            // One slot per notch; trackpads send many small deltas, so accumulate
+            const delta = e.deltaMode === 1 ? e.deltaY * 33 : e.deltaY;
+            this._wheelAccum += delta;
+            if (Math.abs(this._wheelAccum) >= 100) {
+                this._onSlotCycle(this._wheelAccum > 0 ? 1 : -1);
+                this._wheelAccum = 0;
+            }
+            return;
+        }
+
         // Adjust volume with scroll
-        const delta = e.deltaY > 0 ? -0.05 : 0.05;
-        this.volume = Math.max(0.1, Math.min(1.0, this.volume + delta));
+        this._adjustVolume(e.deltaY > 0 ? -0.05 : 0.05);
+    }
+
+    _adjustVolume(delta) {
+        this.setVolume(this.volume + delta);
+    }
+
+    /**
+     * Set sound volume (0.1-1) - scroll wheel, D-pad and the touch slider all end here
+     */
+    setVolume(volume) {
+        this.volume = Math.max(0.1, Math.min(1.0, volume));
         this._onVolumeChange(this.volume);
     }
 
     _onPointerLockChange() {
         this.isLocked = document.pointerLockElement !== null;
+        if (!this.isLocked) {
+            this._releaseAll();
+        }
+        // Override in Game to handle lock changes (pause on unlock)
+        if (this.onPointerLockChange) this.onPointerLockChange(this.isLocked);
+    }
+
+    // ========================================
+    // GAMEPAD
+    // ========================================
+
+    _onGamepadConnected(e) {
+        if (this.gamepad.index === null) {
+            this.gamepad.index = e.gamepad.index;
+        }
+    }
+
+    _onGamepadDisconnected(e) {
+        if (e.gamepad.index !== this.gamepad.index) return;
+
+        this._releasePad();
+        this.gamepad.index = null;
+        this.setDevice('keyboard');
+    }
+
+    _releasePad() {
+        this.gamepad.buttons.forEach((held, i) => {
+            if (held) this._release(`Pad${i}`);
+        });
+        this.gamepad.buttons = [];
+        this.gamepad.move = { x: 0, z: 0 };
+        this.gamepad.lookX = 0;
+        this.gamepad.lookY = 0;
+    }
+
+    /**
+     * Radial dead zone, rescaled so output still starts at 0 and reaches 1
+     */
+    _applyDeadZone(x, y) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        const deadZone = this.gamepad.deadZone;
+        if (magnitude <= deadZone) return { x: 0, y: 0 };
+
+        const scale = Math.min(1, (magnitude - deadZone) / (1 - deadZone)) / magnitude;
+        return { x: x * scale, y: y * scale };
+    }
+
+    /**
+     * Poll the gamepad (the Gamepad API has no button events) - call every frame,
+     * including while paused so the pause button and rebinding keep working
+     */
+    update(dt) {
+        if (!navigator.getGamepads) return;
+
+        // Pads connected before the page loaded may not fire gamepadconnected
+        if (this.gamepad.index === null) {
+            const found = Array.from(navigator.getGamepads()).find(p => p && p.connected);
+            if (!found) return;
+            this.gamepad.index = found.index;
+        }
+
+        const pad = navigator.getGamepads()[this.gamepad.index];
+        if (!pad || !pad.connected) return;
+
+        // Buttons -> Pad codes
+        pad.buttons.forEach((button, i) => {
+            const held = button.pressed || button.value > Input.TRIGGER_THRESHOLD;
+            const wasHeld = this.gamepad.buttons[i] === true;
+            this.gamepad.buttons[i] = held;
+
+            if (held && !wasHeld) {
+                this.setDevice('gamepad');
+                if (this._rebind) {
+                    this._completeRebind(`Pad${i}`);
+                } else {
+                    this._press(`Pad${i}`);
+                }
+            } else if (!held && wasHeld) {
+                this._release(`Pad${i}`);
+            }
+        });
+
+        // Sticks
+        const left = this._applyDeadZone(pad.axes[0] || 0, pad.axes[1] || 0);
+        const right = this._applyDeadZone(pad.axes[2] || 0, pad.axes[3] || 0);
+
+        this.gamepad.move = { x: left.x, z: left.y };
+
+        const lookSpeed = Input.STICK_LOOK_SPEED * this.gamepad.sensitivity * dt;
+        this.gamepad.lookX += right.x * lookSpeed;
+        this.gamepad.lookY += right.y * lookSpeed;
+
+        if (left.x || left.y || right.x || right.y) {
+            this.setDevice('gamepad');
+        }
+    }
+
+    // ========================================
+    // VIRTUAL (ON-SCREEN) CONTROLS
+    // ========================================
+
+    /**
+     * Hold an action from an on-screen button
+     */
+    pressVirtual(action) {
+        if (this.virtual.held.has(action)) return;
+        this.virtual.held.add(action);
+
+        const wasActive = this.actions[action];
+        this.actions[action] = true;
+        if (!wasActive) this._onActionPressed(action);
+    }
+
+    releaseVirtual(action) {
+        if (!this.virtual.held.delete(action)) return;
+        this.actions[action] = this._isHeld(action);
+    }
+
+    /**
+     * Joystick vector, -1..1 on each axis (z positive = backwards)
+     */
+    setVirtualMove(x, z) {
+        this.virtual.move = { x, z };
+    }
+
+    /**
+     * Add look movement in mouse pixels (consumed with the mouse delta)
+     */
+    addLookDelta(dx, dy) {
+        this.virtual.lookX += dx;
+        this.virtual.lookY += dy;
+    }
+
+    setDevice(device) {
+        // Prompts and slot hints read labels every frame, so they follow this directly
+        this.device = device;
+    }
+
+    get hasGamepad() {
+        return this.gamepad.index !== null;
+    }
+
+    /**
+     * Whether gameplay should receive input: pointer locked, or driven by a gamepad
+     * (which needs no pointer lock)
+     */
+    get isEngaged() {
+        return this.isLocked
+            || (this.hasGamepad && this.device === 'gamepad')
+            || this.device === 'touch';
+    }
+
+    // ========================================
+    // ACTIONS
+    // ========================================
+
+    _press(code) {
+        if (this.pressed.has(code)) return;
+        this.pressed.add(code);
+
+        for (const action of this._actionsForCode(code)) {
+            const wasActive = this.actions[action];
+            this.actions[action] = true;
+            if (!wasActive) this._onActionPressed(action);
+        }
+    }
+
+    _release(code) {
+        if (!this.pressed.delete(code)) return;
+
+        for (const action of this._actionsForCode(code)) {
+            this.actions[action] = this._isHeld(action);
+        }
+    }
+
+    _isHeld(action) {
+        return this.bindings[action].some(c => this.pressed.has(c)) || this.virtual.held.has(action);
+    }
+
+    _releaseAll() {
+        this.pressed.clear();
+        this.virtual.held.clear();
+        this.virtual.move = { x: 0, z: 0 };
+        for (const action of Object.keys(this.actions)) {
+            this.actions[action] = false;
+        }
+        this.mouse.leftButton = false;
+        this.mouse.rightButton = false;
+    }
+
+    _onActionPressed(action) {
+        if (action === 'slotPrev' || action === 'slotNext') {
+            this._onSlotCycle(action === 'slotNext' ? 1 : -1);
+        } else if (/^slot\d+$/.test(action)) {
+            this.selectSlot(parseInt(action.slice(4), 10));
+        } else if (action === 'volumeUp' || action === 'volumeDown') {
+            this._adjustVolume(action === 'volumeUp' ? 0.05 : -0.05);
+        } else if (action === 'pause') {
+            // Override in Game to handle pause
+            if (this.onPause) this.onPause();
+        }
+    }
+
+    /**
+     * Ask for a sound slot by number (number keys, tapped HUD slots)
+     */
+    selectSlot(slot) {
+        this._onSlotChange(slot);
     }
 
     _onSlotChange(slot) {
@@ -124,21 +793,40 @@ export class Input {
         if (this.onSlotChange) this.onSlotChange(slot);
     }
 
+    _onSlotCycle(step) {
+        // Override in Game to step through slots (+1 next, -1 previous)
+        if (this.onSlotCycle) this.onSlotCycle(step);
+    }
+
     _onVolumeChange(volume) {
         // Override in Game to handle volume change
         if (this.onVolumeChange) this.onVolumeChange(volume);
     }
 
     /**
-     * Get movement direction vector (normalized)
+     * Check if an action is currently held
+     */
+    isActionActive(action) {
+        return this.actions[action] === true;
+    }
+
+    /**
+     * Get movement direction vector (normalized for keys; analog length up to 1 for sticks)
      */
     getMovementDirection() {
+        // Analog sources first: left stick, then the touch joystick
+        for (const stick of [this.gamepad.move, this.virtual.move]) {
+            if (stick.x !== 0 || stick.z !== 0) {
+                return { x: stick.x, z: stick.z };
+            }
+        }
+
         const dir = { x: 0, z: 0 };
 
-        if (this.keys.forward) dir.z -= 1;
-        if (this.keys.backward) dir.z += 1;
-        if (this.keys.left) dir.x -= 1;
-        if (this.keys.right) dir.x += 1;
+        if (this.actions.moveForward) dir.z -= 1;
+        if (this.actions.moveBackward) dir.z += 1;
+        if (this.actions.moveLeft) dir.x -= 1;
+        if (this.actions.moveRight) dir.x += 1;
 
         // Normalize
         const len = Math.sqrt(dir.x * dir.x + dir.z * dir.z);
@@ -151,12 +839,20 @@ export class Input {
     }
 
     /**
-     * Get and reset mouse delta (for camera rotation)
+     * Get and reset look delta in mouse pixels (for camera rotation)
+     * Includes right-stick and touch-drag movement since the last call
      */
     consumeMouseDelta() {
-        const delta = { x: this.mouse.deltaX, y: this.mouse.deltaY };
+        const delta = {
+            x: this.mouse.deltaX + this.gamepad.lookX + this.virtual.lookX,
+            y: this.mouse.deltaY + this.gamepad.lookY + this.virtual.lookY,
+        };
         this.mouse.deltaX = 0;
         this.mouse.deltaY = 0;
+        this.gamepad.lookX = 0;
+        this.gamepad.lookY = 0;
+        this.virtual.lookX = 0;
+        this.virtual.lookY = 0;
         return delta;
     }
 
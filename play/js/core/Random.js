@@ -0,0 +1,67 @@
+/**
+ * Random - Seeded pseudo-random numbers (mulberry32)
+ * Game.random is shared by every system and reseeded per level, so the same seed and
+ * the same inputs play out the same way. Use it instead of Math.random().
+ */
+export class Random {
+    /**
+     * @param {number|string} [seed]
+     */
+    constructor(seed = 1) {
+        this.state = 0;
+        this.seed(seed);
+    }
+
+    /**
+     * Restart the sequence (strings are hashed, so level ids work as seeds)
+     */
+    seed(seed) {
+        this.state = Random.hashSeed(seed);
+    }
+
+    /**
+     * 32-bit seed from a number or string (FNV-1a for strings)
+     */
+    static hashSeed(seed) {
+        if (typeof seed === 'number') return seed >>> 0;
+
+        let hash = 0x811c9dc5;
+        for (const char of String(seed)) {
+            hash ^= char.charCodeAt(0);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Seed from the page URL (?seed=...), or null
+     */
+    static seedFromQuery() {
+        return new URLSearchParams(window.location.search).get('seed');
+    }
+
+    /**
+     * Float in [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+}
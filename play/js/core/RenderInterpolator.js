@@ -0,0 +1,103 @@
+/**
+ * RenderInterpolator - Smooths rendering between fixed simulation steps
+ * Remembers where each tracked object was before and after the last step, draws it
+ * part-way between, then puts it back so the simulation never sees the blended pose
+ *
+ * Targets are { object: THREE.Object3D, rotation: boolean }. Only the camera blends
+ * rotation - entities steer by their mesh's Euler angles, which a quaternion round trip can rewrite.
+ */
+export class RenderInterpolator {
+    constructor() {
+        // Object3D -> { previous, current, previousRotation, currentRotation, hasCurrent }
+        this.states = new WeakMap();
+    }
+
+    _stateFor(object) {
+        let state = this.states.get(object);
+        if (!state) {
+            state = {
+                previous: new THREE.Vector3(),
+                current: new THREE.Vector3(),
+                previousRotation: new THREE.Quaternion(),
+                currentRotation: new THREE.Quaternion(),
+                hasPrevious: false,
+                hasCurrent: false,
+            };
+            this.states.set(object, state);
+        }
+        return state;
+    }
+
+    /**
+     * Record poses before a step
+     */
+    capturePrevious(targets) {
+        for (const { object, rotation } of targets) {
+            const state = this._stateFor(object);
+            state.previous.copy(object.position);
+            if (rotation) state.previousRotation.copy(object.quaternion);
+            state.hasPrevious = true;
+        }
+    }
+
+    /**
+     * Record poses after the frame's last step
+     */
+    captureCurrent(targets) {
+        for (const { object, rotation } of targets) {
+            const state = this._stateFor(object);
+            state.current.copy(object.position);
+            if (rotation) state.currentRotation.copy(object.quaternion);
+
+            // Created during the step - nothing to blend from
+            if (!state.hasPrevious) {
+                state.previous.copy(state.current);
+                state.previousRotation.copy(state.currentRotation);
+                state.hasPrevious = true;
+            }
+            state.hasCurrent = true;
+        }
+    }
+
+    /**
+     * Move objects to their blended pose for rendering
+     * @param {number} alpha - 0 = previous step, 1 = current step
+     */
+    apply(targets, alpha) {
+        for (const { object, rotation } of targets) {
+            const state = this.states.get(object);
+            if (!state || !state.hasCurrent) continue;
+
+            // Moved outside a step (save restore, level load) - trust the new pose
+            if (!object.position.equals(state.current)) {
+                this.states.delete(object);
+                continue;
+            }
+
+            object.position.lerpVectors(state.previous, state.current, alpha);
+            if (rotation) {
+                object.quaternion.copy(state.previousRotation).slerp(state.currentRotation, alpha);
+            }
+        }
+    }
+
+    /**
+     * Put objects back on their simulated pose after rendering
+     */
+    restore(targets) {
+        for (const { object, rotation } of targets) {
+            const state = this.states.get(object);
+            if (!state || !state.hasCurrent) continue;
+
+            object.position.copy(state.current);
+            if (rotation) object.quaternion.copy(state.currentRotation);
+        }
+    }
+
+    /**
+     * Forget every tracked pose (level teardown)
+     */
+    clear() {
+        this.states = new WeakMap();
+    }
+}
@@ -0,0 +1,318 @@
+/**
+ * TouchControls - On-screen controls for phones and tablets
+ * Same scheme as touch-sheep: virtual joystick on the left, drag anywhere to look (with inertia)
+ * Buttons feed Input as virtual actions, so systems keep reading input.isActionActive()
+ */
+export class TouchControls {
+    constructor(game) {
+        this.game = game;
+        this.input = game.input;
+
+        this.enabled = false;
+
+        this.touch = {
+            // Joystick
+            joystickActive: false,
+            joystickTouchId: null,
+            joystickStart: { x: 0, y: 0 },
+            // Camera look
+            lookActive: false,
+            lookTouchId: null,
+            lookLast: { x: 0, y: 0 },
+            // Look velocity for smooth inertia (mouse pixels per frame)
+            lookVelocity: { x: 0, y: 0 },
+        };
+
+        // Max thumb travel in px
+        this.joystickRadius = 35;
+
+        // Screen px -> mouse px, so touch look shares the mouse sensitivity setting
+        this.lookScale = 1.5;
+
+        // Inertia decay per 60 Hz frame
+        this.lookFriction = 0.92;
+
+        this.elements = {};
+    }
+
+    init() {
+        this.enabled = TouchControls.isTouchDevice();
+        if (!this.enabled) return;
+
+        document.body.classList.add('touch-device');
+
+        this.elements = {
+            root: document.getElementById('touch-controls'),
+            joystickZone: document.getElementById('joystick-zone'),
+            joystickBase: document.getElementById('joystick-base'),
+            joystickThumb: document.getElementById('joystick-thumb'),
+            actionButtons: document.querySelectorAll('#touch-controls [data-touch-action]'),
+            pauseButton: document.getElementById('btn-touch-pause'),
+            slots: document.getElementById('sound-slots'),
+            volumeSlider: document.getElementById('volume-slider'),
+        };
+
+        this._bindJoystick();
+        this._bindButtons();
+        this._bindLook();
+        this._bindVolume();
+    }
+
+    /**
+     * Parent page mode, else whether the primary pointer is a finger
+     * Touchscreen laptops report touch points but have a mouse as primary input,
+     * and their players need pointer lock, not on-screen sticks
+     */
+    static isTouchDevice() {
+        const parentMode = new URLSearchParams(window.location.search).get('mode');
+        if (parentMode) return parentMode === 'mobile';
+
+        return window.matchMedia('(pointer: coarse)').matches;
+    }
+
+    // ========================================
+    // JOYSTICK
+    // ========================================
+
+    _bindJoystick() {
+        const zone = this.elements.joystickZone;
+        if (!zone) return;
+
+        zone.addEventListener('touchstart', this._onJoystickStart.bind(this), { passive: false });
+        zone.addEventListener('touchmove', this._onJoystickMove.bind(this), { passive: false });
+        zone.addEventListener('touchend', this._onJoystickEnd.bind(this), { passive: false });
+        zone.addEventListener('touchcancel', this._onJoystickEnd.bind(this), { passive: false });
+    }
+
+    _onJoystickStart(e) {
+        e.preventDefault();
+        this.input.setDevice('touch');
+        if (this.touch.joystickActive) return;
+
+        const touch = e.changedTouches[0];
+        this.touch.joystickActive = true;
+        this.touch.joystickTouchId = touch.identifier;
+
+        const rect = this.elements.joystickBase.getBoundingClientRect();
+        this.touch.joystickStart.x = rect.left + rect.width / 2;
+        this.touch.joystickStart.y = rect.top + rect.height / 2;
+
+        this.elements.joystickBase.classList.add('active');
+        this._updateJoystick(touch.clientX, touch.clientY);
+    }
+
+    _onJoystickMove(e) {
+        e.preventDefault();
+        if (!this.touch.joystickActive) return;
+
+        for (const touch of e.changedTouches) {
+            if (touch.identifier === this.touch.joystickTouchId) {
+                this._updateJoystick(touch.clientX, touch.clientY);
+                break;
+            }
+        }
+    }
+
+    _onJoystickEnd(e) {
+        for (const touch of e.changedTouches) {
+            if (touch.identifier === this.touch.joystickTouchId) {
+                this._resetJoystick();
+                break;
+            }
+        }
+    }
+
+    _resetJoystick() {
+        this.touch.joystickActive = false;
+        this.touch.joystickTouchId = null;
+        this.input.setVirtualMove(0, 0);
+
+        if (this.elements.joystickBase) {
+            this.elements.joystickBase.classList.remove('active');
+            this.elements.joystickThumb.style.transform = 'translate(0, 0)';
+        }
+    }
+
+    _updateJoystick(touchX, touchY) {
+        const maxRadius = this.joystickRadius;
+
+        let dx = touchX - this.touch.joystickStart.x;
+        let dy = touchY - this.touch.joystickStart.y;
+
+        // Clamp to max radius
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist > maxRadius) {
+            dx = (dx / dist) * maxRadius;
+            dy = (dy / dist) * maxRadius;
+        }
+
+        this.elements.joystickThumb.style.transform = `translate(${dx}px, ${dy}px)`;
+
+        // Screen down is backwards, same as the left stick
+        this.input.setVirtualMove(dx / maxRadius, dy / maxRadius);
+    }
+
+    // ========================================
+    // BUTTONS
+    // ========================================
+
+    _bindButtons() {
+        // Action buttons are held for as long as the finger stays down (record needs a hold)
+        this.elements.actionButtons.forEach(button => {
+            const action = button.dataset.touchAction;
+
+            button.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.input.setDevice('touch');
+                button.classList.add('active');
+                this.input.pressVirtual(action);
+            }, { passive: false });
+
+            const release = () => {
+                button.classList.remove('active');
+                this.input.releaseVirtual(action);
+            };
+            button.addEventListener('touchend', release);
+            button.addEventListener('touchcancel', release);
+        });
+
+        // Tap a HUD sound slot to select it (slots are rendered later, so delegate)
+        if (this.elements.slots) {
+            this.elements.slots.addEventListener('touchstart', (e) => {
+                const slotEl = e.target.closest('.sound-slot');
+                if (!slotEl) return;
+                e.preventDefault();
+                this.input.setDevice('touch');
+                this.input.selectSlot(parseInt(slotEl.dataset.slot, 10));
+            }, { passive: false });
+        }
+
+        if (this.elements.pauseButton) {
+            this.elements.pauseButton.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.game.pause();
+            }, { passive: false });
+        }
+    }
+
+    // ========================================
+    // LOOK
+    // ========================================
+
+    _bindLook() {
+        // Controls sit above the canvas, so any touch reaching it is a look drag
+        const canvas = this.game.canvas;
+        canvas.addEventListener('touchstart', this._onLookStart.bind(this), { passive: false });
+        canvas.addEventListener('touchmove', this._onLookMove.bind(this), { passive: false });
+        canvas.addEventListener('touchend', this._onLookEnd.bind(this), { passive: false });
+        canvas.addEventListener('touchcancel', this._onLookEnd.bind(this), { passive: false });
+    }
+
+    _onLookStart(e) {
+        e.preventDefault();
+        this.input.setDevice('touch');
+        if (this.touch.lookActive) return;
+
+        const touch = e.changedTouches[0];
+        this.touch.lookActive = true;
+        this.touch.lookTouchId = touch.identifier;
+        this.touch.lookLast.x = touch.clientX;
+        this.touch.lookLast.y = touch.clientY;
+
+        // Reset velocity on new touch
+        this.touch.lookVelocity.x = 0;
+        this.touch.lookVelocity.y = 0;
+    }
+
+    _onLookMove(e) {
+        e.preventDefault();
+        if (!this.touch.lookActive) return;
+
+        for (const touch of e.changedTouches) {
+            if (touch.identifier === this.touch.lookTouchId) {
+                const dx = (touch.clientX - this.touch.lookLast.x) * this.lookScale;
+                const dy = (touch.clientY - this.touch.lookLast.y) * this.lookScale;
+
+                this.input.addLookDelta(dx, dy);
+
+                // Store velocity for inertia after release
+                this.touch.lookVelocity.x = dx;
+                this.touch.lookVelocity.y = dy;
+
+                this.touch.lookLast.x = touch.clientX;
+                this.touch.lookLast.y = touch.clientY;
+                break;
+            }
+        }
+    }
+
+    _onLookEnd(e) {
+        for (const touch of e.changedTouches) {
+            if (touch.identifier === this.touch.lookTouchId) {
+                // Velocity is kept for inertia
+                this.touch.lookActive = false;
+                this.touch.lookTouchId = null;
+                break;
+            }
+        }
+    }
+
+    // ========================================
+    // VOLUME
+    // ========================================
+
+    _bindVolume() {
+        const slider = this.elements.volumeSlider;
+        if (!slider) return;
+
+        slider.value = this.input.volume;
+        slider.addEventListener('input', () => {
+            this.input.setDevice('touch');
+            this.input.setVolume(parseFloat(slider.value));
+        });
+    }
+
+    /**
+     * Apply look inertia (call every frame)
+     */
+    update(dt) {
+        if (!this.enabled) return;
+
+        // Keep the slider in step with volume changed elsewhere (saves, other devices)
+        const slider = this.elements.volumeSlider;
+        if (slider && document.activeElement !== slider) {
+            slider.value = this.input.volume;
+        }
+
+        if (this.touch.lookActive) return;
+
+        const velocity = this.touch.lookVelocity;
+        if (Math.abs(velocity.x) < 0.01 && Math.abs(velocity.y) < 0.01) return;
+
+        // Velocity is per frame; scale to this frame's length
+        const frames = dt * 60;
+        this.input.addLookDelta(velocity.x * frames, velocity.y * frames);
+
+        const friction = Math.pow(this.lookFriction, frames);
+        velocity.x *= friction;
+        velocity.y *= friction;
+    }
+
+    /**
+     * Drop held buttons and motion (pause, level change)
+     */
+    reset() {
+        if (!this.enabled) return;
+
+        this._resetJoystick();
+        this.touch.lookActive = false;
+        this.touch.lookTouchId = null;
+        this.touch.lookVelocity.x = 0;
+        this.touch.lookVelocity.y = 0;
+
+        this.elements.actionButtons.forEach(button => {
+            button.classList.remove('active');
+            this.input.releaseVirtual(button.dataset.touchAction);
+        });
+    }
+}
@@ -1,14 +1,29 @@
 /**
  * Bird - Guardian bird that patrols around moss ball
- * Emits Charge sound that player can record
+ * Chirps in cycles; Charge can only be recorded mid-chirp.
+ * States: PATROL, PERCHED, ALERT, DIVING, FLEEING, RETURNING
+ * Tutorial, puzzle and recording code read `state`, `isChirping` and canBeRecorded()
+ * All player distances are measured on the ground, like RecordSystem's
  */
+import { RecordSystem } from '../systems/RecordSystem.js';
+
 export class Bird {
+    static STATE = {
+        PATROL: 'patrol',       // Circling home
+        PERCHED: 'perched',     // Resting on the ground near home
+        ALERT: 'alert',         // Player close - climbs and circles faster
+        DIVING: 'diving',       // Player lingered too long - swoops at them
+        FLEEING: 'fleeing',     // Charging clofens came close
+        RETURNING: 'returning', // Flying back to the patrol circle
+    };
+
     constructor(game) {
         this.game = game;
 
         // Position
         this.position = new THREE.Vector3(0, 2, 25);
         this.homePosition = new THREE.Vector3(0, 2, 25);
+        this.perchPosition = new THREE.Vector3();
 
         // Patrol behavior
         this.patrolRadius = 6;
@@ -16,16 +31,60 @@ export class Bird {
         this.patrolAngle = 0;
         this.patrolHeight = 2;
 
-        // State
-        this.isAlerted = false;
-        this.alertTimer = 0;
+        // State machine
+        this.state = Bird.STATE.PATROL;
+        this.stateTimer = 0;
+
+        // Perch - lands after patrolling a while, unless the player is near.
+        // A perched bird sings more and lets the player walk up to record it;
+        // it only takes off when they come well inside the record range
+        this.patrolDuration = 14;
+        this.perchDuration = 12;
+        this.perchSpookRadius = 3;
+        this.perchChirpInterval = 2;
+
+        // Alert and dive - lingering inside alertRadius earns a warning, then a dive
+        this.alertRadius = 8;
+        this.lingerTimer = 0;
+        this.lingerTime = 6;
+        this.warningLead = 1.5; // Seconds of warning before the dive
+        this.hasWarned = false;
+        this.diveSpeed = 14;
+        this.diveTarget = new THREE.Vector3();
+
+        // Flee from charging clofens
+        this.fleeRadius = 6;
+        this.fleeSpeed = 8;
+        this.fleeDuration = 2.5;
+        this.fleeDirection = new THREE.Vector3();
+        this.flySpeed = 6;
+
+        // Chirp cycle - silent for chirpInterval, then chirps for chirpDuration
+        this.isChirping = false;
+        this.chirpTimer = 0;
+        this.chirpInterval = 5;
+        this.chirpDuration = 3;
+        this.chirpNoteTimer = 0;
 
         // Visual
         this.mesh = null;
         this.wingPhase = 0;
+        this._lastPosition = new THREE.Vector3();
     }
 
     async init() {
+        // Home and patrol from level
+        const data = this.game.level.bird;
+        this.homePosition.set(data.x, data.y, data.z);
+        this.position.copy(this.homePosition);
+        this.patrolRadius = data.patrolRadius;
+        this.patrolHeight = data.y;
+
+        // Perch defaults to the ground on the east side of the patrol circle
+        const perch = data.perch || { x: data.x + data.patrolRadius, z: data.z };
+        this.perchPosition.set(perch.x, 0.3, perch.z);
+        this._lastPosition.copy(this.position);
+
         this._createMesh();
         this._createSoundVisual();
     }
@@ -125,46 +184,250 @@ export class Bird {
     }
 
     update(dt) {
-        this._updatePatrol(dt);
-        this._updateAlert(dt);
+        this.stateTimer += dt;
+        this._lastPosition.copy(this.position);
+
+        this._checkForCharge();
+
+        switch (this.state) {
+            case Bird.STATE.PATROL:
+                this._updatePatrol(dt);
+                break;
+            case Bird.STATE.PERCHED:
+                this._updatePerched(dt);
+                break;
+            case Bird.STATE.ALERT:
+                this._updateAlert(dt);
+                break;
+            case Bird.STATE.DIVING:
+                this._updateDiving(dt);
+                break;
+            case Bird.STATE.FLEEING:
+                this._updateFleeing(dt);
+                break;
+            case Bird.STATE.RETURNING:
+                this._updateReturning(dt);
+                break;
+        }
+
+        this._updateChirp(dt);
         this._updateVisuals(dt);
-        this._emitSound(dt);
     }
 
-    _updatePatrol(dt) {
-        if (this.isAlerted) return;
+    setState(newState) {
+        if (this.state === newState) return;
+
+        this.state = newState;
+        this.stateTimer = 0;
+    }
+
+    _distanceToPlayer() {
+        const player = this.game.player;
+        if (!player) return Infinity;
+
+        return this.groundDistanceTo(player.position);
+    }
 
+    /**
+     * Ground distance, so climbing doesn't calm it down (or put it out of record range)
+     */
+    groundDistanceTo(point) {
+        const dx = this.position.x - point.x;
+        const dz = this.position.z - point.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    _updatePatrol(dt) {
         // Circular patrol around home position
-        this.patrolAngle += dt * this.patrolSpeed;
+        this._circle(dt, this.patrolSpeed, this.patrolHeight);
+
+        if (this._distanceToPlayer() < this.alertRadius) {
+            this.setState(Bird.STATE.ALERT);
+        } else if (this.stateTimer > this.patrolDuration) {
+            this.setState(Bird.STATE.PERCHED);
+        }
+    }
+
+    _updatePerched(dt) {
+        // Glide down to the perch, then sit
+        this._flyTowards(this.perchPosition, this.flySpeed * 0.6, dt);
 
-        this.position.x = this.homePosition.x + Math.cos(this.patrolAngle) * this.patrolRadius;
-        this.position.z = this.homePosition.z + Math.sin(this.patrolAngle) * this.patrolRadius;
-        this.position.y = this.patrolHeight + Math.sin(this.patrolAngle * 2) * 0.5;
+        // Spooked by the player, or rested enough
+        if (this._distanceToPlayer() < this.perchSpookRadius || this.stateTimer > this.perchDuration) {
+            this.setState(Bird.STATE.RETURNING);
+        }
     }
 
     _updateAlert(dt) {
+        // Fly higher and circle faster when alerted
+        this._circle(dt, this.patrolSpeed * 2, this.patrolHeight + 2);
+
+        if (this._distanceToPlayer() >= this.alertRadius) {
+            // Calm down a few seconds after the player leaves
+            this.lingerTimer = Math.max(0, this.lingerTimer - dt * 2);
+            if (this.lingerTimer === 0 && this.stateTimer > 3) {
+                this.hasWarned = false;
+                this.setState(Bird.STATE.PATROL);
+            }
+            return;
+        }
+
+        this.stateTimer = 0;
+        this.lingerTimer += dt;
+
+        // Warn, then dive
+        if (!this.hasWarned && this.lingerTimer > this.lingerTime - this.warningLead) {
+            this.hasWarned = true;
+            if (this.game.ui) this.game.ui.notifyBirdWarning();
+            if (this.game.audio) this.game.audio.playChirp(this.position, 0.6);
+        }
+
+        if (this.lingerTimer > this.lingerTime) {
+            this.diveTarget.copy(this.game.player.position);
+            this.diveTarget.y = 1;
+            this.setState(Bird.STATE.DIVING);
+        }
+    }
+
+    _updateDiving(dt) {
+        const reached = this._flyTowards(this.diveTarget, this.diveSpeed, dt);
+
+        // Buffet the player if the swoop connects
         const player = this.game.player;
-        if (!player) return;
+        if (player && this.position.distanceTo(player.position) < 1.5) {
+            const dx = player.position.x - this.position.x;
+            const dz = player.position.z - this.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz) || 1;
+            player.velocity.x += (dx / dist) * 8;
+            player.velocity.z += (dz / dist) * 8;
+
+            if (this.game.effects) {
+                this.game.effects.spawnImpact(player.position, 0xff9f43);
+            }
+            this._endDive();
+        } else if (reached || this.stateTimer > 1.5) {
+            this._endDive();
+        }
+    }
 
-        const distToPlayer = this.position.distanceTo(player.position);
+    _endDive() {
+        this.lingerTimer = 0;
+        this.hasWarned = false;
+        this.setState(Bird.STATE.RETURNING);
+    }
 
-        // Alert if player is too close
-        if (distToPlayer < 8) {
-            if (!this.isAlerted) {
-                this.isAlerted = true;
-                this.alertTimer = 0;
+    _checkForCharge() {
+        if (this.state === Bird.STATE.FLEEING) return;
+
+        for (const clofen of this.game.clofens) {
+            if (clofen.state !== 'charging') continue; // clofen.STATE.CHARGING
+
+            const dx = this.position.x - clofen.position.x;
+            const dz = this.position.z - clofen.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            if (dist < this.fleeRadius) {
+                // Flee straight away from the charge
+                this.fleeDirection.set(dx, 0, dz);
+                if (dist < 0.01) this.fleeDirection.set(1, 0, 0);
+                this.fleeDirection.normalize();
+
+                this.lingerTimer = 0;
+                this.hasWarned = false;
+                this.setState(Bird.STATE.FLEEING);
+                if (this.game.audio) this.game.audio.playChirp(this.position, 0.8);
+                return;
             }
+        }
+    }
+
+    _updateFleeing(dt) {
+        this.position.x += this.fleeDirection.x * this.fleeSpeed * dt;
+        this.position.z += this.fleeDirection.z * this.fleeSpeed * dt;
+        this.position.y = THREE.MathUtils.lerp(this.position.y, this.patrolHeight + 6, dt * 2);
+
+        if (this.stateTimer > this.fleeDuration) {
+            this.setState(Bird.STATE.RETURNING);
+        }
+    }
+
+    _updateReturning(dt) {
+        // Rejoin the circle at the nearest point
+        const angle = Math.atan2(this.position.z - this.homePosition.z, this.position.x - this.homePosition.x);
+        const target = new THREE.Vector3(
+            this.homePosition.x + Math.cos(angle) * this.patrolRadius,
+            this.patrolHeight,
+            this.homePosition.z + Math.sin(angle) * this.patrolRadius
+        );
+
+        if (this._flyTowards(target, this.flySpeed, dt)) {
+            this.patrolAngle = angle;
+            this.setState(Bird.STATE.PATROL);
+        }
+    }
 
-            // Fly higher and circle faster when alerted
-            this.patrolAngle += dt * this.patrolSpeed * 2;
-            this.position.y = this.patrolHeight + 2 + Math.sin(this.patrolAngle * 3) * 0.3;
-        } else {
-            if (this.isAlerted) {
-                this.alertTimer += dt;
-                if (this.alertTimer > 3) {
-                    this.isAlerted = false;
-                }
+    /**
+     * Follow the patrol circle
+     */
+    _circle(dt, speed, height) {
+        this.patrolAngle += dt * speed;
+
+        const targetX = this.homePosition.x + Math.cos(this.patrolAngle) * this.patrolRadius;
+        const targetZ = this.homePosition.z + Math.sin(this.patrolAngle) * this.patrolRadius;
+        const targetY = height + Math.sin(this.patrolAngle * 2) * 0.5;
+
+        this.position.x = targetX;
+        this.position.z = targetZ;
+        // Ease height changes (alert climb, landing)
+        this.position.y = THREE.MathUtils.lerp(this.position.y, targetY, Math.min(1, dt * 3));
+    }
+
+    /**
+     * Move straight at a point
+     * @returns {boolean} True once arrived
+     */
+    _flyTowards(target, speed, dt) {
+        const toTarget = new THREE.Vector3().subVectors(target, this.position);
+        const dist = toTarget.length();
+        const step = speed * dt;
+
+        if (dist <= step) {
+            this.position.copy(target);
+            return true;
+        }
+
+        this.position.addScaledVector(toTarget, step / dist);
+        return false;
+    }
+
+    _updateChirp(dt) {
+        // Startled or attacking birds don't sing
+        const canSing = this.state === Bird.STATE.PATROL
+            || this.state === Bird.STATE.PERCHED
+            || this.state === Bird.STATE.ALERT;
+
+        if (!canSing) {
+            this.isChirping = false;
+            this.chirpTimer = 0;
+            return;
+        }
+
+        this.chirpTimer += dt;
+        if (this.isChirping) {
+            // Short notes through the chirp
+            this.chirpNoteTimer -= dt;
+            if (this.chirpNoteTimer <= 0) {
+                this.chirpNoteTimer = 0.35 + this.game.random.next() * 0.2;
+                if (this.game.audio) this.game.audio.playChirp(this.position);
+            }
+
+            if (this.chirpTimer > this.chirpDuration) {
+                this.isChirping = false;
+                this.chirpTimer = 0;
             }
+        } else if (this.chirpTimer > this._currentChirpInterval()) {
+            this.isChirping = true;
+            this.chirpTimer = 0;
+            this.chirpNoteTimer = 0;
         }
     }
 
@@ -174,9 +437,12 @@ export class Bird {
         // Update position
         this.mesh.position.copy(this.position);
 
-        // Wing flapping
-        this.wingPhase += dt * (this.isAlerted ? 25 : 15);
-        const wingAngle = Math.sin(this.wingPhase) * 0.6;
+        // Wing flapping (folded while perched)
+        const isPerched = this.state === Bird.STATE.PERCHED
+            && this.position.distanceTo(this.perchPosition) < 0.05;
+        const flapSpeed = this.state === Bird.STATE.PATROL || this.state === Bird.STATE.PERCHED ? 15 : 25;
+        this.wingPhase += dt * flapSpeed;
+        const wingAngle = isPerched ? 0.9 : Math.sin(this.wingPhase) * 0.6;
 
         if (this.leftWing) {
             this.leftWing.rotation.x = wingAngle;
@@ -185,31 +451,51 @@ export class Bird {
             this.rightWing.rotation.x = -wingAngle;
         }
 
-        // Face movement direction
-        const targetRotation = this.patrolAngle + Math.PI / 2;
-        this.mesh.rotation.y = targetRotation;
+        // Face movement direction (model faces +x)
+        const dx = this.position.x - this._lastPosition.x;
+        const dz = this.position.z - this._lastPosition.z;
+        if (dx * dx + dz * dz > 1e-6) {
+            this.mesh.rotation.y = Math.atan2(-dz, dx);
+        }
 
-        // Body tilt
-        this.mesh.rotation.z = Math.sin(this.wingPhase * 0.5) * 0.1;
+        // Body tilt (nose down in a dive)
+        this.mesh.rotation.z = this.state === Bird.STATE.DIVING
+            ? -0.5
+            : Math.sin(this.wingPhase * 0.5) * 0.1;
 
-        // Sound ring pulse
+        // Sound ring pulses only while chirping
         if (this.soundRing) {
-            const pulse = 1 + Math.sin(Date.now() * 0.005) * 0.2;
+            this.soundRing.visible = this.isChirping;
+            const pulse = 1 + Math.sin(this.game.time * 5) * 0.2;
             this.soundRing.scale.set(pulse, pulse, 1);
-            this.soundRing.material.opacity = 0.3 + Math.sin(Date.now() * 0.003) * 0.2;
+            this.soundRing.material.opacity = 0.3 + Math.sin(this.game.time * 3) * 0.2;
         }
     }
 
-    _emitSound(dt) {
-        // Bird periodically "chirps" (visual cue for charge sound)
-        // This is mainly for visual feedback, actual recording is handled by RecordSystem
+    /**
+     * Whether Charge can be recorded right now (only mid-chirp)
+     */
+    canBeRecorded() {
+        return this.isChirping;
+    }
+
+    /**
+     * Seconds until the next chirp starts (0 while chirping)
+     */
+    getTimeUntilChirp() {
+        if (this.isChirping) return 0;
+        return Math.max(0, this._currentChirpInterval() - this.chirpTimer);
+    }
+
+    _currentChirpInterval() {
+        return this.state === Bird.STATE.PERCHED ? this.perchChirpInterval : this.chirpInterval;
     }
 
     /**
      * Check if player is in range to record
      */
     isInRecordRange(playerPos) {
-        return this.position.distanceTo(playerPos) < 5;
+        return this.groundDistanceTo(playerPos) < RecordSystem.PROFILES.bird.range;
     }
 
     /**
@@ -1,6 +1,7 @@
 /**
  * clofen - Sheep AI with state machine
- * States: IDLE, GATHERING, CHARGING, PETTED
+ * States: IDLE, GATHERING, CHARGING, DRIVEN, SCATTERING, PETTED
+ * Sound-driven states are entered through the reactions declared in SoundTypes
  */
 export class clofen {
     // State constants
@@ -8,9 +9,15 @@ export class clofen {
         IDLE: 'idle',
         GATHERING: 'gathering',
         CHARGING: 'charging',
+        DRIVEN: 'driven',
+        SCATTERING: 'scattering',
         PETTED: 'petted',
     };
 
+    // sheep.glb, loaded once and cloned for every sheep (stays null if loading failed)
+    static _modelPromise = null;
+    static _modelTemplate = null;
+
     constructor(game) {
         this.game = game;
 
@@ -19,6 +26,21 @@ export class clofen {
         this.velocity = new THREE.Vector3();
         this.targetPosition = null;
 
+        // Flocking - smoothed steering from FlockingSystem, added on top of the state's velocity
+        this.flockVelocity = new THREE.Vector3();
+        this._flockTarget = new THREE.Vector3();
+        this.flockResponse = 4; // How fast steering changes (per second)
+
+        // Pathing around colliders (NavGrid)
+        this.radius = 0.6;
+        this.path = null;
+        this.pathIndex = 0;
+        this.pathGoal = null;
+        this.repathTimer = 0;
+
+        // Collision body (CollisionWorld)
+        this.body = null;
+
         // State machine
         this.state = clofen.STATE.IDLE;
         this.stateTimer = 0;
@@ -27,15 +49,20 @@ export class clofen {
         this.wanderSpeed = 1.5;
         this.gatherSpeed = 4;
         this.chargeSpeed = 12;
+        this.scatterSpeed = 9;
+        this.scatterDuration = 1.0;
+
+        // Scales the speed of the current sound reaction (recording quality, see SoundSystem.getStrength)
+        this.soundStrength = 1;
 
         // Idle behavior
         this.idleTimer = 0;
-        this.nextWanderTime = Math.random() * 3 + 2;
+        this.nextWanderTime = this.game.random.next() * 3 + 2;
 
         // Visual
         this.mesh = null;
         this.model = null;
-        this.bobPhase = Math.random() * Math.PI * 2;
+        this.bobPhase = this.game.random.next() * Math.PI * 2;
         this.bounceHeight = 0;
 
         // Pet reaction
@@ -48,9 +75,43 @@ export class clofen {
         this.currentAnimation = null;
     }
 
+    /**
+     * Load the sheep model once; sheep created afterwards clone it without waiting
+     */
+    static preloadModel() {
+        if (!clofen._modelPromise) {
+            const loader = new THREE.GLTFLoader();
+            clofen._modelPromise = new Promise((resolve, reject) => {
+                loader.load('assets/models/sheep.glb', resolve, undefined, reject);
+            }).then((gltf) => {
+                clofen._modelTemplate = gltf.scene;
+                console.log('Loaded sheep.glb successfully');
+            }).catch((e) => {
+                console.warn('Failed to load sheep.glb, using fallback:', e);
+            });
+        }
+        return clofen._modelPromise;
+    }
+
     async init(x, z) {
+        await clofen.preloadModel();
+        this.spawn(x, z);
+    }
+
+    /**
+     * Place the sheep right away - preloadModel() must have finished
+     * (puzzle spawns happen mid-step, where nothing can be awaited)
+     */
+    spawn(x, z) {
         this.position.set(x, 0, z);
-        await this._createMesh();
+        this._createMesh();
+
+        // Soft body, so bumping sheep squash together a little like balloons
+        this.body = this.game.collision.addBody(this, {
+            type: 'clofen',
+            radius: this.radius,
+            stiffness: 0.8,
+        });
     }
 
     // Create gradient texture for toon shading (same as landing page)
@@ -69,21 +130,10 @@ export class clofen {
         return texture;
     }
 
-    async _createMesh() {
-        const loader = new THREE.GLTFLoader();
-
-        try {
+    _createMesh() {
+        if (clofen._modelTemplate) {
             // Use static sheep.glb for now (animation models have issues)
-            const gltf = await new Promise((resolve, reject) => {
-                loader.load(
-                    'assets/models/sheep.glb',
-                    resolve,
-                    undefined,
-                    reject
-                );
-            });
-
-            this.model = gltf.scene;
+            this.model = clofen._modelTemplate.clone();
 
             // Create materials
             const gradientMap = this._createGradientTexture();
@@ -116,11 +166,7 @@ export class clofen {
             this.model.scale.setScalar(0.8);
             this.modelYOffset = 0.9;
             this.mesh = this.model;
-            
-            console.log('Loaded sheep.glb successfully');
-
-        } catch (e) {
-            console.warn('Failed to load sheep.glb, using fallback:', e);
+        } else {
             this.mesh = this._createFallbackMesh();
             this.modelYOffset = 0;
         }
@@ -255,11 +301,20 @@ export class clofen {
             case clofen.STATE.CHARGING:
                 this._updateCharging(dt);
                 break;
+            case clofen.STATE.DRIVEN:
+                this._updateDriven(dt);
+                break;
+            case clofen.STATE.SCATTERING:
+                this._updateScattering(dt);
+                break;
             case clofen.STATE.PETTED:
                 this._updatePetted(dt);
                 break;
         }
 
+        // Blend with the herd
+        this._updateFlocking(dt);
+
         // Apply physics
         this._applyPhysics(dt);
 
@@ -273,11 +328,11 @@ export class clofen {
         // Random wandering
         if (this.idleTimer >= this.nextWanderTime) {
             this.idleTimer = 0;
-            this.nextWanderTime = Math.random() * 4 + 2;
+            this.nextWanderTime = this.game.random.next() * 4 + 2;
 
             // Pick random nearby position
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * 3 + 1;
+            const angle = this.game.random.next() * Math.PI * 2;
+            const distance = this.game.random.next() * 3 + 1;
 
             this.targetPosition = new THREE.Vector3(
                 this.position.x + Math.cos(angle) * distance,
@@ -285,23 +340,25 @@ export class clofen {
                 this.position.z + Math.sin(angle) * distance
             );
 
-            // Keep within bounds
-            const bounds = 35;
+            // Keep within bounds (a little inside the fence)
+            const bounds = this.game.level.bounds - 3;
             this.targetPosition.x = Math.max(-bounds, Math.min(bounds, this.targetPosition.x));
             this.targetPosition.z = Math.max(-bounds, Math.min(bounds, this.targetPosition.z));
+
+            // Don't wander into a rock - wait for the next pick
+            const navGrid = this.game.navGrid;
+            if (navGrid && !navGrid.isWalkable(this.targetPosition.x, this.targetPosition.z)) {
+                this.targetPosition = null;
+            }
         }
 
         // Move towards target
         if (this.targetPosition) {
-            const dir = new THREE.Vector3().subVectors(this.targetPosition, this.position);
-            const dist = dir.length();
-
-            if (dist > 0.3) {
-                dir.normalize();
-                this.velocity.x = dir.x * this.wanderSpeed;
-                this.velocity.z = dir.z * this.wanderSpeed;
-            } else {
+            const dist = this._moveTowards(this.targetPosition, this.wanderSpeed, dt);
+
+            if (dist <= 0.3) {
                 this.targetPosition = null;
+                this.path = null;
                 this.velocity.x *= 0.8;
                 this.velocity.z *= 0.8;
             }
@@ -313,13 +370,12 @@ export class clofen {
         const player = this.game.player;
         if (!player) return;
 
-        const dir = new THREE.Vector3().subVectors(player.position, this.position);
-        const dist = dir.length();
+        const dx = player.position.x - this.position.x;
+        const dz = player.position.z - this.position.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
 
         if (dist > 2) {
-            dir.normalize();
-            this.velocity.x = dir.x * this.gatherSpeed;
-            this.velocity.z = dir.z * this.gatherSpeed;
+            this._moveTowards(player.position, this.gatherSpeed * this.soundStrength, dt);
         } else {
             // Close enough, slow down
             this.velocity.x *= 0.9;
@@ -327,13 +383,68 @@ export class clofen {
         }
     }
 
+    /**
+     * Set velocity towards a point, walking a NavGrid path when a collider is in the way
+     * @returns {number} Straight-line distance to the target
+     */
+    _moveTowards(target, speed, dt) {
+        const waypoint = this._nextWaypoint(target, dt);
+
+        const dx = waypoint.x - this.position.x;
+        const dz = waypoint.z - this.position.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist > 0.01) {
+            this.velocity.x = (dx / dist) * speed;
+            this.velocity.z = (dz / dist) * speed;
+        }
+
+        return this.position.distanceTo(new THREE.Vector3(target.x, 0, target.z));
+    }
+
+    /**
+     * Next point to walk to: the target itself when it's in plain sight, else the current path waypoint
+     */
+    _nextWaypoint(target, dt) {
+        const navGrid = this.game.navGrid;
+        if (!navGrid || navGrid.hasLineOfSight(this.position, target)) {
+            this.path = null;
+            return target;
+        }
+
+        // Repath when there's no path yet, or the target has moved (throttled)
+        this.repathTimer -= dt;
+        const goalMoved = !this.pathGoal
+            || (this.pathGoal.x - target.x) ** 2 + (this.pathGoal.z - target.z) ** 2 > 1;
+        if (!this.path || (goalMoved && this.repathTimer <= 0)) {
+            this.path = navGrid.findPath(this.position, target);
+            this.pathIndex = 0;
+            this.pathGoal = new THREE.Vector3(target.x, 0, target.z);
+            this.repathTimer = 0.5;
+        }
+
+        // Unreachable - head straight and let collisions sort it out
+        if (!this.path || this.path.length === 0) return target;
+
+        // Advance past reached waypoints, and skip ahead once the next one is in sight
+        const last = this.path.length - 1;
+        while (this.pathIndex < last) {
+            const waypoint = this.path[this.pathIndex];
+            const reached = (waypoint.x - this.position.x) ** 2 + (waypoint.z - this.position.z) ** 2 < 0.25;
+            if (!reached && !navGrid.hasLineOfSight(this.position, this.path[this.pathIndex + 1])) break;
+            this.pathIndex++;
+        }
+
+        return this.path[this.pathIndex];
+    }
+
     _updateCharging(dt) {
         this.stateTimer += dt;
 
         // Charge in stored direction
         if (this.chargeDirection) {
-            this.velocity.x = this.chargeDirection.x * this.chargeSpeed;
-            this.velocity.z = this.chargeDirection.z * this.chargeSpeed;
+            const speed = this.chargeSpeed * this.soundStrength;
+            this.velocity.x = this.chargeDirection.x * speed;
+            this.velocity.z = this.chargeDirection.z * speed;
         }
 
         // End charge after duration
@@ -343,6 +454,32 @@ export class clofen {
         }
     }
 
+    _updateDriven(dt) {
+        // Mirror the player's steps
+        const player = this.game.player;
+        if (!player) return;
+
+        this.velocity.x = player.velocity.x * this.soundStrength;
+        this.velocity.z = player.velocity.z * this.soundStrength;
+    }
+
+    _updateScattering(dt) {
+        this.stateTimer += dt;
+
+        // Flee fast at first, easing off towards the end
+        if (this.scatterDirection) {
+            const ease = 1 - this.stateTimer / this.scatterDuration;
+            const speed = this.scatterSpeed * this.soundStrength * ease;
+            this.velocity.x = this.scatterDirection.x * speed;
+            this.velocity.z = this.scatterDirection.z * speed;
+        }
+
+        if (this.stateTimer >= this.scatterDuration) {
+            this.setState(clofen.STATE.IDLE);
+            this.scatterDirection = null;
+        }
+    }
+
     _updatePetted(dt) {
         this.stateTimer += dt;
 
@@ -355,89 +492,64 @@ export class clofen {
         }
     }
 
+    _updateFlocking(dt) {
+        const flocking = this.game.flocking;
+        if (!flocking) return;
+
+        flocking.steer(this, this._flockTarget);
+        this.flockVelocity.lerp(this._flockTarget, Math.min(1, dt * this.flockResponse));
+    }
+
     _applyPhysics(dt) {
-        // Apply velocity
-        this.position.x += this.velocity.x * dt;
-        this.position.z += this.velocity.z * dt;
+        // Apply velocity (own state plus flock steering)
+        this.position.x += (this.velocity.x + this.flockVelocity.x) * dt;
+        this.position.z += (this.velocity.z + this.flockVelocity.z) * dt;
 
         // Ground collision
         this.position.y = 0;
 
-        // Bounds
-        const bounds = 38;
-        this.position.x = Math.max(-bounds, Math.min(bounds, this.position.x));
-        this.position.z = Math.max(-bounds, Math.min(bounds, this.position.z));
-
         // Friction
         this.velocity.x *= 0.95;
         this.velocity.z *= 0.95;
 
-        // Collision with moss ball - always active
-        const mossBall = this.game.mossBall;
-        if (mossBall) {
-            // Use 2D distance (ignore Y) for ground-level collision
-            const dx = this.position.x - mossBall.position.x;
-            const dz = this.position.z - mossBall.position.z;
-            const dist2D = Math.sqrt(dx * dx + dz * dz);
-            const clofenRadius = 0.6;
-            const collisionDist = clofenRadius + mossBall.radius;
-
-            if (dist2D < collisionDist && dist2D > 0) {
-                // Calculate push direction (from clofen to moss ball)
-                const pushDir = new THREE.Vector3(
-                    mossBall.position.x - this.position.x,
-                    0,
-                    mossBall.position.z - this.position.z
-                ).normalize();
-
-                // Push strength depends on clofen's speed
-                const speed = Math.sqrt(this.velocity.x ** 2 + this.velocity.z ** 2);
-
-                if (this.state === clofen.STATE.CHARGING) {
-                    // Strong push when charging
-                    mossBall.push(pushDir, this.chargeSpeed * 1.2);
-
-                    // Visual feedback
-                    if (this.game.effects) {
-                        this.game.effects.spawnImpact(mossBall.position, 0x228B22);
-                    }
-                } else if (speed > 0.5) {
-                    // Light push when walking into it
-                    mossBall.push(pushDir, speed * 0.8);
-                }
+        // Shared collision: rocks, trees, fence, other clofens, player, moss ball
+        if (!this.body) return;
+        const contacts = this.game.collision.resolve(this.body);
+
+        for (const contact of contacts) {
+            if (contact.isStatic) continue;
 
-                // Push clofen back (separation)
-                const overlap = collisionDist - dist2D;
-                this.position.x -= pushDir.x * overlap * 0.5;
-                this.position.z -= pushDir.z * overlap * 0.5;
+            if (contact.other.type === 'mossBall') {
+                this._pushMossBall(contact.other.owner, contact);
+            } else if (contact.other.type === 'clofen') {
+                // Tiny velocity bounce for a balloon-like bump
+                this.velocity.x += contact.nx * 0.3;
+                this.velocity.z += contact.nz * 0.3;
             }
         }
+    }
 
-        // Collision with other clofens - soft balloon-like bouncing
-        const clofenRadius = 0.6;
-        for (const other of this.game.clofens) {
-            if (other === this) continue;
-
-            const dx = this.position.x - other.position.x;
-            const dz = this.position.z - other.position.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-            const minDist = clofenRadius * 2; // Both sheep radii
-
-            if (dist < minDist && dist > 0) {
-                // Soft push apart (like balloons)
-                const overlap = minDist - dist;
-                const nx = dx / dist;
-                const nz = dz / dist;
-
-                // Push this clofen away (soft, bouncy)
-                const pushStrength = overlap * 0.4;
-                this.position.x += nx * pushStrength;
-                this.position.z += nz * pushStrength;
-
-                // Add a tiny velocity bounce for fun balloon effect
-                this.velocity.x += nx * 0.3;
-                this.velocity.z += nz * 0.3;
+    /**
+     * Walking or charging into the moss ball rolls it away
+     */
+    _pushMossBall(mossBall, contact) {
+        // Push direction (from clofen to moss ball)
+        const pushDir = new THREE.Vector3(-contact.nx, 0, -contact.nz);
+
+        // Push strength depends on clofen's speed
+        const speed = Math.sqrt(this.velocity.x ** 2 + this.velocity.z ** 2);
+
+        if (this.state === clofen.STATE.CHARGING) {
+            // Strong push when charging
+            mossBall.push(pushDir, this.chargeSpeed * 1.2);
+
+            // Visual feedback
+            if (this.game.effects) {
+                this.game.effects.spawnImpact(mossBall.position, 0x228B22);
             }
+        } else if (speed > 0.5) {
+            // Light push when walking into it
+            mossBall.push(pushDir, speed * 0.8);
         }
     }
 
@@ -481,9 +593,11 @@ export class clofen {
             this.mesh.rotation.z *= 0.9;
         }
 
-        // Face movement direction
-        if (speed > 0.3) {
-            const targetRotation = Math.atan2(this.velocity.x, this.velocity.z);
+        // Face movement direction (including flock steering)
+        const headingX = this.velocity.x + this.flockVelocity.x;
+        const headingZ = this.velocity.z + this.flockVelocity.z;
+        if (Math.sqrt(headingX ** 2 + headingZ ** 2) > 0.3) {
+            const targetRotation = Math.atan2(headingX, headingZ);
             this.mesh.rotation.y = THREE.MathUtils.lerp(
                 this.mesh.rotation.y,
                 targetRotation,
@@ -493,7 +607,7 @@ export class clofen {
 
         // Scale pulse when happy (petted)
         if (this.happiness > 0) {
-            const pulse = 1 + Math.sin(Date.now() * 0.01) * 0.05 * this.happiness;
+            const pulse = 1 + Math.sin(this.game.time * 10) * 0.05 * this.happiness;
             this.mesh.scale.setScalar(pulse * 0.8);
         } else {
             this.mesh.scale.setScalar(0.8);
@@ -512,8 +626,10 @@ export class clofen {
 
     /**
      * Start gathering towards player
+     * @param {number} [strength] - Speed scale from the sound's recording quality
      */
-    startGathering() {
+    startGathering(strength = 1) {
+        this.soundStrength = strength;
         if (this.state !== clofen.STATE.PETTED) {
             this.setState(clofen.STATE.GATHERING);
         }
@@ -530,8 +646,10 @@ export class clofen {
 
     /**
      * Charge in direction
+     * @param {number} [strength] - Speed scale from the sound's recording quality
      */
-    charge(direction) {
+    charge(direction, strength = 1) {
+        this.soundStrength = strength;
         this.chargeDirection = direction.clone().normalize();
         this.setState(clofen.STATE.CHARGING);
 
@@ -541,6 +659,83 @@ export class clofen {
         }
     }
 
+    /**
+     * Start mirroring the player's movement
+     * @param {number} [strength] - Share of the player's velocity mirrored
+     */
+    startDriving(strength = 1) {
+        this.soundStrength = strength;
+        if (this.state !== clofen.STATE.PETTED) {
+            this.setState(clofen.STATE.DRIVEN);
+        }
+    }
+
+    /**
+     * Stop mirroring
+     */
+    stopDriving() {
+        if (this.state === clofen.STATE.DRIVEN) {
+            this.setState(clofen.STATE.IDLE);
+        }
+    }
+
+    /**
+     * Flee directly away from a point
+     * @param {THREE.Vector3} origin - Where the sound came from
+     * @param {number} [strength] - Speed scale from the sound's recording quality
+     */
+    scatter(origin, strength = 1) {
+        this.soundStrength = strength;
+
+        const away = new THREE.Vector3(
+            this.position.x - origin.x,
+            0,
+            this.position.z - origin.z
+        );
+
+        // Standing on the origin - pick any direction
+        if (away.lengthSq() < 0.0001) {
+            const angle = this.game.random.next() * Math.PI * 2;
+            away.set(Math.cos(angle), 0, Math.sin(angle));
+        }
+
+        this.scatterDirection = away.normalize();
+        this.setState(clofen.STATE.SCATTERING);
+    }
+
+    /**
+     * Restore position and mood from a save game
+     * Sound-driven states (gathering, charging, driven, scattering) fall back to idle
+     */
+    restore(saved) {
+        this.position.set(saved.x, 0, saved.z);
+        this.velocity.set(0, 0, 0);
+        this.flockVelocity.set(0, 0, 0);
+        this.targetPosition = null;
+        this.path = null;
+        this.happiness = saved.happiness || 0;
+
+        const keepState = saved.state === clofen.STATE.PETTED;
+        this.setState(keepState ? saved.state : clofen.STATE.IDLE);
+    }
+
+    /**
+     * Horizontal unit vector the clofen's head points along
+     */
+    getFacingDirection() {
+        const angle = this.mesh ? this.mesh.rotation.y : 0;
+        return { x: Math.sin(angle), z: Math.cos(angle) };
+    }
+
+    /**
+     * Whether the clofen is bleating calmly enough to record (not while running)
+     */
+    canBeRecorded() {
+        return this.state === clofen.STATE.IDLE
+            || this.state === clofen.STATE.GATHERING
+            || this.state === clofen.STATE.PETTED;
+    }
+
     /**
      * Pet the clofen
      */
@@ -1,11 +1,17 @@
 /**
  * MossBall - Physics-enabled ball that blocks the exit
- * Can be pushed by charging clofens
+ * Rolls over the terrain (gravity, slopes, rolling resistance), bounces off rocks
+ * and other balls, and tells PuzzleSystem when it settles
  */
 export class MossBall {
+    // Push response is scaled against this mass (a 5-mass ball reacts 1:1)
+    static REFERENCE_MASS = 5;
+
     constructor(game) {
         this.game = game;
 
+        this.id = 'mossBall';
+
         // Position and physics (closer to center for easier gameplay)
         this.position = new THREE.Vector3(0, 0.8, 15);
         this.velocity = new THREE.Vector3();
@@ -13,19 +19,48 @@ export class MossBall {
 
         // Physics settings
         this.mass = 5;
-        this.friction = 0.92;
         this.radius = 0.8;
+        this.gravity = 15;
+        this.damping = 5; // Velocity decay per second (grass drag)
+        this.rollingResistance = 0.8; // Constant deceleration - a bit more than the steepest hill pulls
+        this.bounciness = 0.3; // Landing bounce
+        this.restitution = 0.5; // Ball-ball and ball-rock bounce
+
+        // Collision body (CollisionWorld)
+        this.body = null;
 
         // State
         this.isMoving = false;
+        this.isGrounded = true;
+        this.isSettled = true;
+        this.settleTimer = 0;
+        this.settleTime = 0.3; // Seconds below settleSpeed before counting as settled
+        this.settleSpeed = 0.1;
         this.hasBeenPushed = false;
 
         // Visual
         this.mesh = null;
     }
 
-    async init() {
+    /**
+     * @param {Object} data - Level entry { id, x, z, radius, mass }
+     */
+    async init(data) {
+        this.id = data.id;
+        this.radius = data.radius;
+        this.mass = data.mass;
+        this.position.set(data.x, this._groundHeight() + this.radius, data.z);
+
         this._createMesh();
+
+        // Heavy and bouncy; may roll just past the fence
+        this.body = this.game.collision.addBody(this, {
+            type: 'mossBall',
+            radius: this.radius,
+            mass: this.mass,
+            restitution: this.restitution,
+            boundsPadding: 2,
+        });
     }
 
     _createMesh() {
@@ -56,15 +91,15 @@ export class MossBall {
             const bump = new THREE.Mesh(bumpGeometry, bumpMaterial);
 
             // Random position on sphere surface
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
+            const theta = this.game.random.next() * Math.PI * 2;
+            const phi = Math.acos(2 * this.game.random.next() - 1);
 
             bump.position.x = this.radius * Math.sin(phi) * Math.cos(theta);
             bump.position.y = this.radius * Math.sin(phi) * Math.sin(theta);
             bump.position.z = this.radius * Math.cos(phi);
 
             // Random size
-            const scale = 0.5 + Math.random() * 0.8;
+            const scale = 0.5 + this.game.random.next() * 0.8;
             bump.scale.setScalar(scale);
 
             bump.castShadow = true;
@@ -82,15 +117,15 @@ export class MossBall {
             const grassGeometry = new THREE.PlaneGeometry(0.05, 0.3);
             const grass = new THREE.Mesh(grassGeometry, grassMaterial);
 
-            const angle = Math.random() * Math.PI * 2;
-            const r = Math.random() * 0.4;
+            const angle = this.game.random.next() * Math.PI * 2;
+            const r = this.game.random.next() * 0.4;
 
             grass.position.x = Math.cos(angle) * r;
             grass.position.y = this.radius + 0.1;
             grass.position.z = Math.sin(angle) * r;
 
-            grass.rotation.y = Math.random() * Math.PI;
-            grass.rotation.x = -0.2 + Math.random() * 0.4;
+            grass.rotation.y = this.game.random.next() * Math.PI;
+            grass.rotation.x = -0.2 + this.game.random.next() * 0.4;
 
             group.add(grass);
         }
@@ -103,39 +138,134 @@ export class MossBall {
     update(dt) {
         this._applyPhysics(dt);
         this._updateVisuals(dt);
-        this._checkPuzzle();
+    }
+
+    _groundHeight() {
+        const gameScene = this.game.gameScene;
+        return gameScene ? gameScene.getGroundHeight(this.position.x, this.position.z) : 0;
     }
 
     _applyPhysics(dt) {
+        if (this.isGrounded) {
+            this._applyRolling(dt);
+        } else {
+            this.velocity.y -= this.gravity * dt;
+        }
+
         // Apply velocity
-        this.position.add(this.velocity.clone().multiplyScalar(dt));
+        this.position.addScaledVector(this.velocity, dt);
+
+        // Ground contact
+        const groundLevel = this._groundHeight() + this.radius;
+        if (this.position.y <= groundLevel) {
+            this.position.y = groundLevel;
+
+            // Bounce if landing hard
+            if (this.velocity.y < -1) {
+                this.velocity.y *= -this.bounciness;
+            } else {
+                this.velocity.y = 0;
+            }
+            this.isGrounded = true;
+        } else if (this.position.y > groundLevel + 0.15) {
+            // Rolled off a crest faster than the ground falls away
+            this.isGrounded = false;
+        }
 
-        // Ground constraint
-        this.position.y = this.radius;
+        // Bounce off rocks, trees, the fence and other balls; clofens shove it through their own contacts
+        const speedBefore = Math.sqrt(this.velocity.x ** 2 + this.velocity.z ** 2);
+        const contacts = this.game.collision.resolve(this.body);
+        for (const contact of contacts) {
+            if (contact.isStatic) {
+                if (speedBefore > 3 && this.game.audio) {
+                    this.game.audio.playMossyImpact(speedBefore, this.position);
+                }
+            } else if (contact.other.type === 'mossBall') {
+                this._collideWithBall(contact.other.owner, contact);
+            }
+        }
 
-        // Friction
-        this.velocity.multiplyScalar(this.friction);
+        this._updateSettled(dt);
+    }
 
-        // Check if still moving
-        this.isMoving = this.velocity.length() > 0.1;
+    /**
+     * Slope pull, rolling resistance and drag while on the ground
+     */
+    _applyRolling(dt) {
+        // Slope from the terrain height gradient (central difference)
+        const gameScene = this.game.gameScene;
+        if (gameScene) {
+            const e = 0.1;
+            const { x, z } = this.position;
+            const slopeX = (gameScene.getGroundHeight(x + e, z) - gameScene.getGroundHeight(x - e, z)) / (2 * e);
+            const slopeZ = (gameScene.getGroundHeight(x, z + e) - gameScene.getGroundHeight(x, z - e)) / (2 * e);
+
+            // A rolling solid sphere accelerates at 5/7 of a sliding one
+            this.velocity.x -= this.gravity * slopeX * (5 / 7) * dt;
+            this.velocity.z -= this.gravity * slopeZ * (5 / 7) * dt;
+        }
 
-        // Bounds (don't let it go too far)
-        const bounds = 40;
-        if (this.position.x < -bounds) {
-            this.position.x = -bounds;
-            this.velocity.x *= -0.5;
+        // Rolling resistance - constant deceleration that stops rather than reverses
+        const speed = Math.sqrt(this.velocity.x ** 2 + this.velocity.z ** 2);
+        if (speed > 0) {
+            const slowed = Math.max(0, speed - this.rollingResistance * dt) / speed;
+            this.velocity.x *= slowed;
+            this.velocity.z *= slowed;
         }
-        if (this.position.x > bounds) {
-            this.position.x = bounds;
-            this.velocity.x *= -0.5;
+
+        // Drag
+        const drag = Math.exp(-this.damping * dt);
+        this.velocity.x *= drag;
+        this.velocity.z *= drag;
+    }
+
+    /**
+     * Exchange momentum with another ball along the contact normal
+     * Whichever ball resolves first applies the impulse; the pair is separating after that
+     */
+    _collideWithBall(other, contact) {
+        const relX = this.velocity.x - other.velocity.x;
+        const relZ = this.velocity.z - other.velocity.z;
+        const approach = relX * contact.nx + relZ * contact.nz;
+        if (approach >= 0) return;
+
+        const impulse = (-(1 + this.restitution) * approach) / (1 / this.mass + 1 / other.mass);
+        this.velocity.x += (impulse / this.mass) * contact.nx;
+        this.velocity.z += (impulse / this.mass) * contact.nz;
+        other.velocity.x -= (impulse / other.mass) * contact.nx;
+        other.velocity.z -= (impulse / other.mass) * contact.nz;
+
+        other.hasBeenPushed = true;
+
+        if (this.game.audio) {
+            this.game.audio.playMossyImpact(-approach, this.position);
         }
-        if (this.position.z < -bounds) {
-            this.position.z = -bounds;
-            this.velocity.z *= -0.5;
+    }
+
+    /**
+     * Fire the settled event once the ball has been still for settleTime
+     */
+    _updateSettled(dt) {
+        const speed = Math.sqrt(this.velocity.x ** 2 + this.velocity.z ** 2);
+        this.isMoving = speed > this.settleSpeed || !this.isGrounded;
+
+        if (this.isMoving) {
+            this.isSettled = false;
+            this.settleTimer = 0;
+            return;
         }
-        if (this.position.z > bounds) {
-            this.position.z = bounds;
-            this.velocity.z *= -0.5;
+
+        if (this.isSettled) return;
+
+        this.settleTimer += dt;
+        if (this.settleTimer >= this.settleTime) {
+            this.isSettled = true;
+            this.velocity.x = 0;
+            this.velocity.z = 0;
+
+            if (this.game.puzzleSystem) {
+                this.game.puzzleSystem.onMossBallSettled(this);
+            }
         }
     }
 
@@ -157,26 +287,21 @@ export class MossBall {
         }
     }
 
-    _checkPuzzle() {
-        // Check if ball has moved away from exit
-        const exitPos = new THREE.Vector3(0, 0, 35);
-        const distToExit = this.position.distanceTo(exitPos);
-
-        // If ball is far enough from original position and exit
-        if (distToExit > 5 && this.hasBeenPushed) {
-            // Signal puzzle system
-            if (this.game.puzzleSystem) {
-                this.game.puzzleSystem.onMossBallMoved();
-            }
-        }
-    }
-
     /**
      * Push the moss ball in a direction with force
      */
     push(direction, force) {
-        this.velocity.add(direction.clone().multiplyScalar(force));
+        // Heavier balls take more shoving
+        const response = MossBall.REFERENCE_MASS / this.mass;
+        this.velocity.x += direction.x * force * response;
+        this.velocity.z += direction.z * force * response;
         this.hasBeenPushed = true;
+        this.isSettled = false;
+
+        // Impact sound
+        if (this.game.audio) {
+            this.game.audio.playMossyImpact(force, this.position);
+        }
 
         // Visual feedback
         if (this.game.effects) {
@@ -184,6 +309,17 @@ export class MossBall {
         }
     }
 
+    /**
+     * Restore position from a save game
+     */
+    restore(saved) {
+        this.position.set(saved.x, 0, saved.z);
+        this.position.y = this._groundHeight() + this.radius;
+        this.velocity.set(0, 0, 0);
+        this.hasBeenPushed = saved.hasBeenPushed;
+        this.isSettled = true;
+    }
+
     /**
      * Check collision with a point
      */
@@ -14,6 +14,7 @@ export class Player {
         this.cameraDistance = 10;
         this.cameraHeight = 5;
         this.cameraSensitivity = 0.15; // Degrees per pixel
+        this.invertY = false;
         this.cameraYaw = 0;   // Horizontal rotation (radians)
         this.cameraPitch = 20; // Vertical angle (degrees) - positive = looking down
 
@@ -28,6 +29,7 @@ export class Player {
 
         // Collision
         this.radius = 0.5;
+        this.body = null;
 
         // Scout (visual representation)
         this.scout = null;
@@ -36,11 +38,18 @@ export class Player {
         // Interaction
         this.nearbyclofen = null;
         this.nearbySoundSource = null;
+        this.waitingForSound = null; // Sound type in range but not currently audible
     }
 
     async init() {
+        // Spawn point from level
+        const spawn = this.game.level.player;
+        this.position.set(spawn.x, 0, spawn.z);
+
         this._createScout();
         this._setupCamera();
+
+        this.body = this.game.collision.addBody(this, { type: 'player', radius: this.radius });
     }
 
     _createScout() {
@@ -97,8 +106,9 @@ export class Player {
     _handleInput(dt) {
         const input = this.game.input;
 
-        // Camera rotation (mouse)
-        if (input.isLocked) {
+        // Camera rotation (mouse or right stick) - the sound wheel takes the pointer while open
+        const soundSystem = this.game.soundSystem;
+        if (input.isEngaged && !(soundSystem && soundSystem.isWheelOpen)) {
             const delta = input.consumeMouseDelta();
 
             // Third-person camera: mouse right should rotate view right
@@ -106,7 +116,8 @@ export class Player {
             this.cameraYaw -= delta.x * this.cameraSensitivity * (Math.PI / 180);
 
             // Mouse down (positive deltaY) should look down (increase pitch)
-            this.cameraPitch += delta.y * this.cameraSensitivity;
+            const pitchDelta = delta.y * this.cameraSensitivity;
+            this.cameraPitch += this.invertY ? -pitchDelta : pitchDelta;
 
             // Clamp pitch
             this.cameraPitch = Math.max(this.minPitch, Math.min(this.maxPitch, this.cameraPitch));
@@ -152,11 +163,6 @@ export class Player {
         this.position.x += this.velocity.x * dt;
         this.position.z += this.velocity.z * dt;
 
-        // Keep within bounds
-        const bounds = 38;
-        this.position.x = Math.max(-bounds, Math.min(bounds, this.position.x));
-        this.position.z = Math.max(-bounds, Math.min(bounds, this.position.z));
-
         // Update rotation to face movement direction
         if (Math.abs(this.velocity.x) > 0.1 || Math.abs(this.velocity.z) > 0.1) {
             this.rotation.y = Math.atan2(this.velocity.x, this.velocity.z);
@@ -164,64 +170,8 @@ export class Player {
     }
 
     _handleCollisions() {
-        // Collision with rocks (simple sphere collision)
-        const rockPositions = [
-            { x: -15, z: 10, r: 2 },
-            { x: 20, z: -8, r: 1.5 },
-            { x: -25, z: -15, r: 2.5 },
-            { x: 12, z: 20, r: 1.8 },
-            { x: -8, z: 25, r: 1.2 },
-            { x: 30, z: 5, r: 2.2 },
-        ];
-
-        for (const rock of rockPositions) {
-            const dx = this.position.x - rock.x;
-            const dz = this.position.z - rock.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-            const minDist = rock.r + this.radius;
-
-            if (dist < minDist && dist > 0) {
-                // Push player out of rock
-                const overlap = minDist - dist;
-                const nx = dx / dist;
-                const nz = dz / dist;
-                this.position.x += nx * overlap;
-                this.position.z += nz * overlap;
-
-                // Cancel velocity into rock
-                const velDot = this.velocity.x * nx + this.velocity.z * nz;
-                if (velDot < 0) {
-                    this.velocity.x -= nx * velDot;
-                    this.velocity.z -= nz * velDot;
-                }
-            }
-        }
-
-        // Player can pass through moss ball (no collision)
-
-        // Collision with trees
-        const treePositions = [
-            { x: -25, z: -25, r: 1 },
-            { x: 25, z: -20, r: 1 },
-            { x: 30, z: 20, r: 1 },
-            { x: -20, z: 30, r: 1 },
-            { x: 35, z: -5, r: 1 },
-        ];
-
-        for (const tree of treePositions) {
-            const dx = this.position.x - tree.x;
-            const dz = this.position.z - tree.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-            const minDist = tree.r + this.radius;
-
-            if (dist < minDist && dist > 0) {
-                const overlap = minDist - dist;
-                const nx = dx / dist;
-                const nz = dz / dist;
-                this.position.x += nx * overlap;
-                this.position.z += nz * overlap;
-            }
-        }
+        // Rocks, trees, fence and clofens (passes through the moss ball, see CollisionWorld.IGNORE)
+        this.game.collision.resolve(this.body);
     }
 
     _updateCameraPosition() {
@@ -282,25 +232,46 @@ export class Player {
             }
         }
 
-        // Check for nearby sound sources (Bird)
+        // Check for nearby sound sources (Bird - only recordable mid-chirp)
         this.nearbySoundSource = null;
+        this.waitingForSound = null;
         if (this.game.bird) {
-            const distToBird = this.position.distanceTo(this.game.bird.position);
-            if (distToBird < 6) {
+            const distToBird = this.game.bird.groundDistanceTo(this.position);
+            if (this.game.bird.isInRecordRange(this.position)) {
+                if (this.game.bird.canBeRecorded()) {
+                    this.nearbySoundSource = {
+                        type: 'charge',
+                        kind: 'bird',
+                        source: this.game.bird,
+                        distance: distToBird
+                    };
+                } else if (!this.game.soundSystem.hasSound('charge')) {
+                    this.waitingForSound = 'charge';
+                }
+            }
+        }
+
+        // Check for sound stones (Drive, Scatter, ...) - nearest wins
+        for (const stone of this.game.soundStones) {
+            const dist = this.position.distanceTo(stone.position);
+            const nearest = this.nearbySoundSource ? this.nearbySoundSource.distance : 4;
+            if (dist < nearest) {
                 this.nearbySoundSource = {
-                    type: 'charge',
-                    source: this.game.bird,
-                    distance: distToBird
+                    type: stone.type,
+                    kind: 'soundStone',
+                    source: stone,
+                    distance: dist
                 };
             }
         }
 
-        // Check for clofen sound source (Gather)
-        if (this.nearbyclofen && !this.game.state.hasGather) {
+        // Check for clofen sound source (Gather) - also to re-record a weak take
+        if (this.nearbyclofen && this.game.soundSystem.canImprove('gather')) {
             const dist = this.position.distanceTo(this.nearbyclofen.position);
             if (dist < 4) {
                 this.nearbySoundSource = {
                     type: 'gather',
+                    kind: 'clofen',
                     source: this.nearbyclofen,
                     distance: dist
                 };
@@ -308,13 +279,27 @@ export class Player {
         }
 
         // Update UI prompts via UIManager
-        // Priority: Recording > Petting
+        // Priority: Recording > Waiting > Re-recording > Petting. Recording prompts win near
+        // sheep (a clofen is always in reach when Gather is), and petting works without one
         if (this.game.ui) {
-            // Show record prompt if near sound source (highest priority)
-            if (this.nearbySoundSource !== null) {
-                this.game.ui.showInteractionPrompt(`record-${this.nearbySoundSource.type}`);
+            const soundSystem = this.game.soundSystem;
+            const source = this.nearbySoundSource;
+            const isNewSound = source !== null && !soundSystem.hasSound(source.type);
+            const canRerecord = source !== null && soundSystem.canImprove(source.type);
+
+            // Show record prompt if near a sound not yet recorded (highest priority)
+            if (isNewSound) {
+                this.game.ui.showInteractionPrompt(`record-${source.type}`);
+            }
+            // Source in range but silent - wait for it
+            else if (this.waitingForSound !== null) {
+                this.game.ui.showInteractionPrompt(`wait-${this.waitingForSound}`);
+            }
+            // Offer to improve a weak recording
+            else if (canRerecord) {
+                this.game.ui.showInteractionPrompt(`rerecord-${source.type}`);
             }
-            // Show pet prompt if near clofen (lower priority)
+            // Show pet prompt if near clofen (lowest priority)
             else if (this.nearbyclofen !== null) {
                 this.game.ui.showInteractionPrompt('pet');
             }
@@ -325,7 +310,7 @@ export class Player {
         }
 
         // Handle pet interaction
-        if (input.keys.pet && this.nearbyclofen) {
+        if (input.isActionActive('pet') && this.nearbyclofen) {
             this.nearbyclofen.pet();
             if (this.game.effects) {
                 this.game.effects.spawnHearts(this.nearbyclofen.position);
@@ -0,0 +1,87 @@
+import { SoundTypes } from '../systems/SoundTypes.js';
+import { Level } from '../world/Level.js';
+
+/**
+ * SoundStone - Humming crystal placed by a level
+ * Emits a recordable sound (any registered type), e.g. Drive or Scatter
+ */
+export class SoundStone {
+    constructor(game) {
+        this.game = game;
+
+        this.position = new THREE.Vector3();
+        this.type = null;
+        this.collider = null;
+
+        // Visual
+        this.mesh = null;
+        this.crystal = null;
+        this.pulsePhase = this.game.random.next() * Math.PI * 2;
+    }
+
+    /**
+     * @param {Object} data - Level entry { type, x, z }
+     */
+    init(data) {
+        this.type = data.type;
+        this.position.set(data.x, 0, data.z);
+        this._createMesh();
+        this.collider = this.game.collision.addStatic(data.x, data.z, Level.SOUND_STONE_RADIUS, 'stone');
+    }
+
+    _createMesh() {
+        const soundType = SoundTypes.get(this.type);
+        const color = soundType ? soundType.color : 0xffffff;
+
+        const group = new THREE.Group();
+
+        // Base stone
+        const baseGeometry = new THREE.DodecahedronGeometry(0.6, 0);
+        const baseMaterial = new THREE.MeshStandardMaterial({
+            color: 0x8b7355,
+            roughness: 0.9,
+            flatShading: true,
+        });
+        const base = new THREE.Mesh(baseGeometry, baseMaterial);
+        base.scale.set(1, 0.5, 1);
+        base.position.y = 0.25;
+        base.castShadow = true;
+        group.add(base);
+
+        // Floating crystal in the sound's colour
+        const crystalGeometry = new THREE.OctahedronGeometry(0.35, 0);
+        const crystalMaterial = new THREE.MeshStandardMaterial({
+            color,
+            emissive: color,
+            emissiveIntensity: 0.5,
+            roughness: 0.3,
+        });
+        this.crystal = new THREE.Mesh(crystalGeometry, crystalMaterial);
+        this.crystal.position.y = 1.2;
+        this.crystal.scale.set(1, 1.6, 1);
+        group.add(this.crystal);
+
+        group.position.copy(this.position);
+        this.mesh = group;
+        this.game.scene.add(group);
+    }
+
+    update(dt) {
+        if (!this.crystal) return;
+
+        // Hover and hum
+        this.pulsePhase += dt * 2;
+        this.crystal.position.y = 1.2 + Math.sin(this.pulsePhase) * 0.1;
+        this.crystal.rotation.y += dt * 0.8;
+        // Dim while the hum fades out
+        const glow = this.canBeRecorded() ? 0.4 : 0.15;
+        this.crystal.material.emissiveIntensity = glow + Math.sin(this.pulsePhase * 2) * 0.2;
+    }
+
+    /**
+     * Whether the stone is humming (it swells and fades every ~12 seconds)
+     */
+    canBeRecorded() {
+        return Math.sin(this.pulsePhase * 0.25) > -0.6;
+    }
+}
@@ -0,0 +1,407 @@
+/**
+ * AudioSystem - Web Audio playback for the play demo
+ * Loads the Baacadia WAVs and plays them spatialised around the camera
+ */
+export class AudioSystem {
+    constructor(game) {
+        this.game = game;
+
+        // Audio context (created on first user interaction)
+        this.context = null;
+        this.masterGain = null;
+        this.sfxGain = null;
+        this.initialized = false;
+
+        // Audio buffers
+        this.buffers = {
+            sheepBaa: null,
+            sheepBleat: null,
+            mossyImpact: null,
+        };
+
+        // Volume settings
+        this.volumes = {
+            master: 0.7,
+            sfx: 1.0,
+            impact: 0.5,
+            chirp: 0.35,
+        };
+
+        // Scroll-wheel volume (0.1-1), same value that drives sound range
+        this.soundVolume = 0.7;
+
+        // Cooldowns to prevent sound spam (keyed by sound type id for Event Sounds)
+        this.cooldowns = {
+            mossyImpact: 0,
+            chirp: 0,
+        };
+
+        // Looping State Sound tone while the button is held
+        this.stateLoop = null;
+        this.stateLoopVolume = 0;
+
+        // Track active sounds for cleanup
+        this.activeSounds = [];
+
+        // Panner settings (inverse distance model, same feel as touch-sheep)
+        this.pannerSettings = {
+            refDistance: 2.0,
+            maxDistance: 40.0,
+            rolloffFactor: 1.5,
+        };
+    }
+
+    async init() {
+        // Don't create the audio context here - wait for user interaction
+        // This is required by browser autoplay policies
+        this._setupUserInteraction();
+    }
+
+    _setupUserInteraction() {
+        const initAudio = async () => {
+            // Several unlock events can fire for one gesture (touchstart then touchend)
+            if (this.initialized || this.context) return;
+
+            try {
+                this.context = new (window.AudioContext || window.webkitAudioContext)();
+                this.masterGain = this.context.createGain();
+                this.masterGain.gain.value = this.volumes.master;
+                this.masterGain.connect(this.context.destination);
+
+                this.sfxGain = this.context.createGain();
+                this.sfxGain.gain.value = this.volumes.sfx;
+                this.sfxGain.connect(this.masterGain);
+
+                await this._loadAllAudio();
+                this.initialized = true;
+                console.log('Audio system initialized');
+            } catch (error) {
+                console.warn('Audio initialization failed:', error);
+            }
+
+            document.removeEventListener('click', initAudio);
+            document.removeEventListener('touchstart', initAudio);
+            document.removeEventListener('touchend', initAudio);
+            document.removeEventListener('keydown', initAudio);
+        };
+
+        // Touch controls preventDefault() their touchstarts, so no click follows a tap;
+        // touchend is the touch event browsers count as a user gesture
+        document.addEventListener('click', initAudio, { once: true });
+        document.addEventListener('touchstart', initAudio, { once: true });
+        document.addEventListener('touchend', initAudio, { once: true });
+        document.addEventListener('keydown', initAudio, { once: true });
+    }
+
+    async _loadAllAudio() {
+        const audioFiles = {
+            sheepBaa: 'assets/Audio/Baacadia_SheepBaa_V1_04_(BEST).wav',
+            sheepBleat: 'assets/Audio/Baacadia_SheepBleat_V1_05_(BEST).wav',
+            mossyImpact: 'assets/Audio/Baacadia_Mossy_Impact_v4.wav',
+        };
+
+        const loadPromises = Object.entries(audioFiles).map(async ([key, path]) => {
+            try {
+                const response = await fetch(path);
+                const arrayBuffer = await response.arrayBuffer();
+                this.buffers[key] = await this.context.decodeAudioData(arrayBuffer);
+            } catch (error) {
+                console.warn(`Failed to load audio: ${path}`, error);
+            }
+        });
+
+        await Promise.all(loadPromises);
+    }
+
+    _createPanner(position) {
+        const panner = this.context.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = this.pannerSettings.refDistance;
+        panner.maxDistance = this.pannerSettings.maxDistance;
+        panner.rolloffFactor = this.pannerSettings.rolloffFactor;
+        this._setPannerPosition(panner, position);
+        return panner;
+    }
+
+    _setPannerPosition(panner, position) {
+        if (panner.positionX) {
+            const now = this.context.currentTime;
+            panner.positionX.setValueAtTime(position.x, now);
+            panner.positionY.setValueAtTime(position.y, now);
+            panner.positionZ.setValueAtTime(position.z, now);
+        } else {
+            panner.setPosition(position.x, position.y, position.z);
+        }
+    }
+
+    /**
+     * Play a buffer at a world position
+     * @param {AudioBuffer} buffer - The audio buffer to play
+     * @param {THREE.Vector3} position - World position of the sound
+     * @param {number} volume - Base volume (0-1)
+     * @param {Object} options - playbackRate, loop, fadeIn (seconds)
+     * @returns {Object} Sound control object with stop(), fadeOut(), setVolume() and setPosition()
+     */
+    _playSpatial(buffer, position, volume = 1.0, options = {}) {
+        if (!this.initialized || !buffer || !this.context) return null;
+
+        // Resume context if suspended (required by some browsers)
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+
+        const { playbackRate = 1.0, loop = false, fadeIn = 0 } = options;
+
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = playbackRate;
+        source.loop = loop;
+
+        const gainNode = this.context.createGain();
+        const panner = this._createPanner(position);
+        const now = this.context.currentTime;
+
+        if (fadeIn > 0) {
+            gainNode.gain.setValueAtTime(0, now);
+            gainNode.gain.linearRampToValueAtTime(volume, now + fadeIn);
+        } else {
+            gainNode.gain.value = volume;
+        }
+
+        source.connect(gainNode);
+        gainNode.connect(panner);
+        panner.connect(this.sfxGain);
+
+        source.start(0);
+
+        const soundControl = {
+            source,
+            gainNode,
+            panner,
+            isPlaying: true,
+            stop: () => {
+                if (soundControl.isPlaying) {
+                    source.stop();
+                    soundControl.isPlaying = false;
+                    this._removeActiveSound(soundControl);
+                }
+            },
+            fadeOut: (duration = 0.3) => {
+                if (!soundControl.isPlaying) return;
+                const t = this.context.currentTime;
+                gainNode.gain.setValueAtTime(gainNode.gain.value, t);
+                gainNode.gain.linearRampToValueAtTime(0, t + duration);
+                setTimeout(() => {
+                    soundControl.stop();
+                }, duration * 1000);
+            },
+            setVolume: (vol) => {
+                gainNode.gain.setTargetAtTime(vol, this.context.currentTime, 0.05);
+            },
+            setPosition: (pos) => {
+                this._setPannerPosition(panner, pos);
+            },
+        };
+
+        this.activeSounds.push(soundControl);
+
+        source.onended = () => {
+            soundControl.isPlaying = false;
+            this._removeActiveSound(soundControl);
+        };
+
+        return soundControl;
+    }
+
+    _removeActiveSound(soundControl) {
+        const idx = this.activeSounds.indexOf(soundControl);
+        if (idx !== -1) {
+            this.activeSounds.splice(idx, 1);
+        }
+    }
+
+    /**
+     * Start the looping tone of a State Sound (e.g. Gather)
+     * @param {Object} audio - Sound type audio settings { buffer, volume, playbackRate }
+     * @param {THREE.Vector3} origin - Player sound origin
+     */
+    startLoop(audio, origin) {
+        if (this.stateLoop && this.stateLoop.isPlaying) return;
+
+        this.stateLoopVolume = audio.volume;
+        this.stateLoop = this._playSpatial(
+            this.buffers[audio.buffer],
+            origin,
+            audio.volume * this.soundVolume,
+            { playbackRate: audio.playbackRate || 1.0, loop: true, fadeIn: 0.15 }
+        );
+    }
+
+    /**
+     * Keep the State Sound tone following the player
+     * @param {THREE.Vector3} origin - Player sound origin
+     */
+    updateLoop(origin) {
+        if (!this.stateLoop || !this.stateLoop.isPlaying) return;
+        this.stateLoop.setPosition(origin);
+    }
+
+    /**
+     * Stop the State Sound tone with a short release
+     */
+    stopLoop() {
+        if (this.stateLoop) {
+            this.stateLoop.fadeOut(0.25);
+            this.stateLoop = null;
+        }
+    }
+
+    /**
+     * Play the burst of an Event Sound (e.g. Charge)
+     * @param {string} id - Sound type id (each type has its own cooldown)
+     * @param {Object} audio - Sound type audio settings { buffer, volume, playbackRate, pitchJitter }
+     * @param {THREE.Vector3} origin - Player sound origin
+     */
+    playOneShot(id, audio, origin) {
+        if (this.cooldowns[id] > 0) return null;
+
+        const pitch = (audio.playbackRate || 1.0) + this.game.random.next() * (audio.pitchJitter || 0);
+        const sound = this._playSpatial(
+            this.buffers[audio.buffer],
+            origin,
+            audio.volume * this.soundVolume,
+            { playbackRate: pitch }
+        );
+
+        this.cooldowns[id] = 0.1;
+
+        return sound;
+    }
+
+    /**
+     * Play mossy impact sound (when the moss ball is pushed)
+     * @param {number} force - Push force, scales loudness and pitch
+     * @param {THREE.Vector3} position - Impact position
+     */
+    playMossyImpact(force, position) {
+        if (this.cooldowns.mossyImpact > 0) return null;
+
+        const forceMultiplier = Math.min(1.0, 0.3 + force * 0.05);
+        const pitch = 0.85 + this.game.random.next() * 0.3;
+
+        const sound = this._playSpatial(
+            this.buffers.mossyImpact,
+            position,
+            this.volumes.impact * forceMultiplier,
+            { playbackRate: pitch }
+        );
+
+        this.cooldowns.mossyImpact = 0.15;
+
+        return sound;
+    }
+
+    /**
+     * Play a bird chirp (the bleat pitched way up - there's no bird recording yet)
+     * @param {THREE.Vector3} position - Bird position
+     * @param {number} loudness - 0-1, warnings and startled cries are louder
+     */
+    playChirp(position, loudness = 0.5) {
+        if (this.cooldowns.chirp > 0) return null;
+
+        const pitch = 2.2 + this.game.random.next() * 0.4;
+        const sound = this._playSpatial(
+            this.buffers.sheepBleat,
+            position,
+            this.volumes.chirp * loudness * 2,
+            { playbackRate: pitch }
+        );
+
+        this.cooldowns.chirp = 0.2;
+
+        return sound;
+    }
+
+    /**
+     * Update listener and cooldowns (call every frame)
+     */
+    update(dt) {
+        for (const key in this.cooldowns) {
+            if (this.cooldowns[key] > 0) {
+                this.cooldowns[key] -= dt;
+            }
+        }
+
+        if (this.initialized) {
+            this._updateListener();
+        }
+    }
+
+    _updateListener() {
+        const camera = this.game.camera;
+        if (!camera) return;
+
+        const listener = this.context.listener;
+        const forward = new THREE.Vector3();
+        camera.getWorldDirection(forward);
+        const up = camera.up;
+
+        if (listener.positionX) {
+            const now = this.context.currentTime;
+            listener.positionX.setValueAtTime(camera.position.x, now);
+            listener.positionY.setValueAtTime(camera.position.y, now);
+            listener.positionZ.setValueAtTime(camera.position.z, now);
+            listener.forwardX.setValueAtTime(forward.x, now);
+            listener.forwardY.setValueAtTime(forward.y, now);
+            listener.forwardZ.setValueAtTime(forward.z, now);
+            listener.upX.setValueAtTime(up.x, now);
+            listener.upY.setValueAtTime(up.y, now);
+            listener.upZ.setValueAtTime(up.z, now);
+        } else {
+            listener.setPosition(camera.position.x, camera.position.y, camera.position.z);
+            listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+        }
+    }
+
+    /**
+     * Set scroll-wheel volume (0.1-1), scales recorded sound loudness
+     */
+    setSoundVolume(volume) {
+        this.soundVolume = volume;
+        if (this.stateLoop && this.stateLoop.isPlaying) {
+            this.stateLoop.setVolume(this.stateLoopVolume * volume);
+        }
+    }
+
+    /**
+     * Set master volume (0-1)
+     */
+    setMasterVolume(volume) {
+        this.volumes.master = Math.max(0, Math.min(1, volume));
+        if (this.masterGain) {
+            this.masterGain.gain.value = this.volumes.master;
+        }
+    }
+
+    /**
+     * Set sound effects volume (0-1)
+     */
+    setSfxVolume(volume) {
+        this.volumes.sfx = Math.max(0, Math.min(1, volume));
+        if (this.sfxGain) {
+            this.sfxGain.gain.value = this.volumes.sfx;
+        }
+    }
+
+    /**
+     * Stop all active sounds
+     */
+    stopAll() {
+        for (const sound of [...this.activeSounds]) {
+            sound.stop();
+        }
+        this.activeSounds = [];
+        this.stateLoop = null;
+    }
+}
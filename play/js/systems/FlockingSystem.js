@@ -0,0 +1,133 @@
+/**
+ * FlockingSystem - Boids-style steering for the clofen herd
+ * Separation, alignment, cohesion and obstacle avoidance, weighted per clofen state
+ * Each clofen blends the result with the velocity its own state asks for
+ */
+export class FlockingSystem {
+    // How strongly each state listens to the flock (keys are clofen.STATE values)
+    static WEIGHTS = {
+        idle: { separation: 1.5, alignment: 0.3, cohesion: 0.4, avoidance: 2.0 },
+        // Walk in as a herd and settle around the player instead of on one spot
+        gathering: { separation: 2.5, alignment: 0.6, cohesion: 0.5, avoidance: 3.0 },
+        // Keep a shared heading so the charge rolls forward as a wave
+        charging: { separation: 1.5, alignment: 2.0, cohesion: 0.2, avoidance: 1.0 },
+        driven: { separation: 2.0, alignment: 1.0, cohesion: 0.4, avoidance: 3.0 },
+        // Fleeing sheep only care about not running into things
+        scattering: { separation: 1.0, alignment: 0, cohesion: 0, avoidance: 3.0 },
+        petted: { separation: 1.0, alignment: 0, cohesion: 0, avoidance: 0 },
+    };
+
+    constructor(game) {
+        this.game = game;
+
+        // Radii in world units
+        this.neighborRadius = 4;
+        this.separationRadius = 1.8;
+        this.avoidanceRadius = 1.5;
+
+        // Cap on the combined steering velocity
+        this.maxSteer = 5;
+    }
+
+    /**
+     * Steering velocity for one clofen (y is always 0)
+     * @param {clofen} clofen
+     * @param {THREE.Vector3} [out] - Written and returned
+     * @returns {THREE.Vector3}
+     */
+    steer(clofen, out = new THREE.Vector3()) {
+        out.set(0, 0, 0);
+
+        const weights = FlockingSystem.WEIGHTS[clofen.state];
+        if (!weights) return out;
+
+        const separation = { x: 0, z: 0 };
+        const alignment = { x: 0, z: 0 };
+        const center = { x: 0, z: 0 };
+        let neighbors = 0;
+
+        const nearby = this.game.collision.queryBodies(
+            clofen.position.x, clofen.position.z, this.neighborRadius, 'clofen'
+        );
+        for (const { owner: other } of nearby) {
+            if (other === clofen) continue;
+
+            const dx = clofen.position.x - other.position.x;
+            const dz = clofen.position.z - other.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+
+            // Separation - push away harder the closer they are
+            if (dist < this.separationRadius && dist > 0) {
+                const strength = 1 - dist / this.separationRadius;
+                separation.x += (dx / dist) * strength;
+                separation.z += (dz / dist) * strength;
+            }
+
+            alignment.x += other.velocity.x;
+            alignment.z += other.velocity.z;
+            center.x += other.position.x;
+            center.z += other.position.z;
+            neighbors++;
+        }
+
+        // Separation is a unit-ish push; scale to walking pace
+        out.x += separation.x * weights.separation * clofen.wanderSpeed * 2;
+        out.z += separation.z * weights.separation * clofen.wanderSpeed * 2;
+
+        if (neighbors > 0) {
+            // Alignment - match the average neighbour velocity
+            out.x += (alignment.x / neighbors - clofen.velocity.x) * weights.alignment * 0.5;
+            out.z += (alignment.z / neighbors - clofen.velocity.z) * weights.alignment * 0.5;
+
+            // Cohesion - drift towards the local centre
+            const cx = center.x / neighbors - clofen.position.x;
+            const cz = center.z / neighbors - clofen.position.z;
+            out.x += (cx / this.neighborRadius) * weights.cohesion * clofen.wanderSpeed;
+            out.z += (cz / this.neighborRadius) * weights.cohesion * clofen.wanderSpeed;
+        }
+
+        if (weights.avoidance > 0) {
+            this._addAvoidance(clofen, out, weights.avoidance);
+        }
+
+        // Clamp
+        const length = Math.sqrt(out.x * out.x + out.z * out.z);
+        if (length > this.maxSteer) {
+            out.x = (out.x / length) * this.maxSteer;
+            out.z = (out.z / length) * this.maxSteer;
+        }
+
+        return out;
+    }
+
+    /**
+     * Push away from static colliders and the fence before touching them
+     */
+    _addAvoidance(clofen, out, weight) {
+        const collision = this.game.collision;
+        const speed = clofen.wanderSpeed * weight;
+
+        const colliders = collision.queryStatics(clofen.position.x, clofen.position.z, this.avoidanceRadius);
+        for (const collider of colliders) {
+            const dx = clofen.position.x - collider.x;
+            const dz = clofen.position.z - collider.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            const reach = collider.r + this.avoidanceRadius;
+            if (dist >= reach || dist === 0) continue;
+
+            const strength = 1 - (dist - collider.r) / this.avoidanceRadius;
+            out.x += (dx / dist) * Math.min(strength, 1) * speed;
+            out.z += (dz / dist) * Math.min(strength, 1) * speed;
+        }
+
+        // Fence - steer back inside near the edges
+        const edge = collision.bounds - this.avoidanceRadius;
+        for (const axis of ['x', 'z']) {
+            const p = clofen.position[axis];
+            if (Math.abs(p) > edge) {
+                const strength = Math.min((Math.abs(p) - edge) / this.avoidanceRadius, 1);
+                out[axis] -= Math.sign(p) * strength * speed;
+            }
+        }
+    }
+}
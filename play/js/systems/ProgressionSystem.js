@@ -0,0 +1,116 @@
+/**
+ * ProgressionSystem - Level sequence and cleared-level records
+ * Reads the level manifest and remembers best clear times between sessions
+ */
+export class ProgressionSystem {
+    static MANIFEST_URL = 'assets/levels/levels.json';
+    static STORAGE_KEY = 'baacadia-play-progress';
+
+    constructor(game) {
+        this.game = game;
+
+        // Ordered level list: [{ id, name }]
+        this.levels = [];
+
+        // Cleared levels: { [levelId]: bestTimeSeconds }
+        this.cleared = {};
+    }
+
+    async init() {
+        try {
+            const response = await fetch(ProgressionSystem.MANIFEST_URL);
+            const manifest = await response.json();
+            this.levels = manifest.levels || [];
+        } catch (error) {
+            console.warn('Failed to load level manifest, using default level:', error);
+        }
+
+        if (this.levels.length === 0) {
+            this.levels = [{ id: 'meadow', name: 'The Meadow' }];
+        }
+
+        this._loadRecords();
+    }
+
+    _loadRecords() {
+        try {
+            const raw = localStorage.getItem(ProgressionSystem.STORAGE_KEY);
+            this.cleared = raw ? JSON.parse(raw).cleared || {} : {};
+        } catch (error) {
+            console.warn('Failed to read level progress:', error);
+            this.cleared = {};
+        }
+    }
+
+    _saveRecords() {
+        try {
+            localStorage.setItem(
+                ProgressionSystem.STORAGE_KEY,
+                JSON.stringify({ cleared: this.cleared })
+            );
+        } catch (error) {
+            console.warn('Failed to save level progress:', error);
+        }
+    }
+
+    /**
+     * First level in the sequence
+     */
+    getFirstLevelId() {
+        return this.levels[0].id;
+    }
+
+    /**
+     * Level after the given one, or null at the end of the sequence
+     */
+    getNextLevelId(levelId) {
+        const index = this.levels.findIndex(level => level.id === levelId);
+        if (index === -1 || index >= this.levels.length - 1) return null;
+        return this.levels[index + 1].id;
+    }
+
+    /**
+     * A level is playable once it is the first level or the previous one is cleared
+     */
+    isUnlocked(levelId) {
+        const index = this.levels.findIndex(level => level.id === levelId);
+        if (index <= 0) return index === 0;
+        return this.isCleared(this.levels[index - 1].id);
+    }
+
+    isCleared(levelId) {
+        return this.cleared[levelId] !== undefined;
+    }
+
+    getBestTime(levelId) {
+        return this.isCleared(levelId) ? this.cleared[levelId] : null;
+    }
+
+    /**
+     * Record a clear and keep the best time
+     * @returns {boolean} True if this is a new best time
+     */
+    recordClear(levelId, time) {
+        const best = this.getBestTime(levelId);
+        const isNewBest = best === null || time < best;
+
+        if (isNewBest) {
+            this.cleared[levelId] = time;
+            this._saveRecords();
+        }
+
+        return isNewBest;
+    }
+
+    /**
+     * Level list with unlock/clear info for the level-select screen
+     */
+    getLevelSummaries() {
+        return this.levels.map(level => ({
+            id: level.id,
+            name: level.name,
+            unlocked: this.isUnlocked(level.id),
+            bestTime: this.getBestTime(level.id),
+        }));
+    }
+}
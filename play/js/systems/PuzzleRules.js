@@ -0,0 +1,194 @@
+/**
+ * PuzzleRules - Registry of puzzle conditions and actions
+ * Levels list rules as { id, when, then, once }; PuzzleSystem evaluates them every frame.
+ *
+ * `when` is a condition node:
+ *   { type, ...params }             - Leaf condition registered below
+ *   { all: [...] } / { any: [...] } - Every / at least one child holds
+ *   { not: node }                   - Child does not hold
+ * `then` is a list of actions { type, ...params }.
+ *
+ * Condition definition: { setup?(node, ctx), test(node, ctx) }
+ *   node.params is the level entry, node.state is scratch space for the condition
+ * Action definition: run(params, ctx)
+ *   ctx: { game, puzzle, dt }
+ */
+export class PuzzleRules {
+    static conditions = {};
+    static actions = {};
+
+    static registerCondition(type, definition) {
+        PuzzleRules.conditions[type] = definition;
+    }
+
+    static registerAction(type, run) {
+        PuzzleRules.actions[type] = run;
+    }
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+function distance2D(position, x, z) {
+    const dx = position.x - x;
+    const dz = position.z - z;
+    return Math.sqrt(dx * dx + dz * dz);
+}
+
+/**
+ * Entities a condition can refer to by name: 'player', 'clofen' (every clofen), 'mossBall'
+ */
+function entitiesOf(game, kind) {
+    switch (kind) {
+        case 'player': return game.player ? [game.player] : [];
+        case 'clofen': return game.clofens;
+        case 'mossBall': return game.mossBalls;
+        default: return [];
+    }
+}
+
+// ========================================
+// CONDITIONS
+// ========================================
+
+// Pressure plate - pressed while any of `by` stands on it (default: player or clofen)
+PuzzleRules.registerCondition('pressurePlate', {
+    setup(node, { game }) {
+        const { x, z, radius = 1.2 } = node.params;
+
+        const geometry = new THREE.CylinderGeometry(radius, radius * 1.1, 0.2, 24);
+        const material = new THREE.MeshStandardMaterial({
+            color: 0x8b7355,
+            emissive: 0x7ee787,
+            emissiveIntensity: 0,
+            roughness: 0.8,
+        });
+        const plate = new THREE.Mesh(geometry, material);
+        plate.position.set(x, 0.1, z);
+        plate.receiveShadow = true;
+        game.scene.add(plate);
+
+        node.state.plate = plate;
+    },
+    test(node, { game, dt }) {
+        const { x, z, radius = 1.2, by = ['player', 'clofen'] } = node.params;
+        const pressed = by.some(kind =>
+            entitiesOf(game, kind).some(entity => distance2D(entity.position, x, z) < radius)
+        );
+
+        // Sink and glow while pressed
+        const plate = node.state.plate;
+        if (plate) {
+            const targetY = pressed ? 0.02 : 0.1;
+            plate.position.y += (targetY - plate.position.y) * Math.min(1, dt * 10);
+            plate.material.emissiveIntensity = pressed ? 0.6 : 0;
+        }
+
+        return pressed;
+    },
+});
+
+// Zone - an entity kind (default: player) is inside a circle
+PuzzleRules.registerCondition('zone', {
+    test({ params }, { game }) {
+        const { x, z, radius, who = 'player' } = params;
+        return entitiesOf(game, who).some(entity => distance2D(entity.position, x, z) < radius);
+    },
+});
+
+// At least `count` clofens inside a circle
+PuzzleRules.registerCondition('clofensInArea', {
+    test({ params }, { game }) {
+        const { x, z, radius, count = 1 } = params;
+        const inside = game.clofens.filter(clofen => distance2D(clofen.position, x, z) < radius);
+        return inside.length >= count;
+    },
+});
+
+// Object moved at least `distance` away from a point (every matching object)
+PuzzleRules.registerCondition('objectAwayFrom', {
+    test({ params }, { game }) {
+        const { object = 'mossBall', x, z, distance } = params;
+        const objects = entitiesOf(game, object);
+        return objects.length > 0 && objects.every(entity => distance2D(entity.position, x, z) > distance);
+    },
+});
+
+// Timer - `seconds` after the level starts, or after rule `after` fired
+PuzzleRules.registerCondition('timer', {
+    test({ params }, { game, puzzle }) {
+        const { seconds, after = null } = params;
+        if (after === null) return game.state.levelTime >= seconds;
+
+        const firedAt = puzzle.getFiredTime(after);
+        return firedAt !== null && game.state.levelTime - firedAt >= seconds;
+    },
+});
+
+// A sound (optionally a specific type) was played within `radius` of a point this frame
+PuzzleRules.registerCondition('soundPlayed', {
+    test({ params }, { puzzle }) {
+        const { sound = null, x, z, radius } = params;
+        return puzzle.soundEvents.some(event =>
+            (!sound || event.type === sound) && distance2D(event.origin, x, z) < radius
+        );
+    },
+});
+
+// A moss ball (optionally a specific `ball` id) came to rest inside a circle this frame
+PuzzleRules.registerCondition('mossBallSettled', {
+    test({ params }, { puzzle }) {
+        const { ball = null, x, z, radius } = params;
+        return puzzle.settleEvents.some(mossBall =>
+            (!ball || mossBall.id === ball) && distance2D(mossBall.position, x, z) < radius
+        );
+    },
+});
+
+// Exit gate state
+PuzzleRules.registerCondition('gateOpen', {
+    test(node, { puzzle }) {
+        return puzzle.isExitOpen;
+    },
+});
+
+// Another rule has fired
+PuzzleRules.registerCondition('ruleFired', {
+    test({ params }, { puzzle }) {
+        return puzzle.getFiredTime(params.rule) !== null;
+    },
+});
+
+// ========================================
+// ACTIONS
+// ========================================
+
+PuzzleRules.registerAction('openGate', (params, { puzzle }) => {
+    puzzle.openExit();
+});
+
+PuzzleRules.registerAction('closeGate', (params, { puzzle }) => {
+    puzzle.closeExit();
+});
+
+// Spawn a clofen or a sound stone { entity: 'clofen' | 'soundStone', x, z, type? }
+PuzzleRules.registerAction('spawnObject', (params, { game }) => {
+    game.spawnEntity(params.entity, params);
+});
+
+// Notification, or a tutorial-style hint when `style` is 'hint'
+PuzzleRules.registerAction('showHint', (params, { game }) => {
+    if (!game.ui) return;
+
+    const { text, duration = 4000, style = 'notification' } = params;
+    if (style === 'hint') {
+        game.ui.showTutorialHint(text, duration);
+    } else {
+        game.ui.showNotification(text, { duration });
+    }
+});
+
+PuzzleRules.registerAction('victory', (params, { puzzle }) => {
+    puzzle.triggerVictory();
+});
@@ -1,27 +1,76 @@
+import { PuzzleRules } from './PuzzleRules.js';
+
 /**
- * PuzzleSystem - Manages puzzle state and victory condition
- * Puzzle: Move the moss ball away from exit using Charge sound
+ * PuzzleSystem - Runs the level's puzzle rules and owns the exit gate
+ * Rules (conditions -> actions) come from the level; see PuzzleRules for the vocabulary
  */
 export class PuzzleSystem {
     constructor(game) {
         this.game = game;
 
         // Puzzle state
-        this.isExitBlocked = true;
         this.isExitOpen = false;
         this.victoryTriggered = false;
 
-        // Exit position
-        this.exitPosition = new THREE.Vector3(0, 0, 38);
+        // Exit position (set from level in init)
+        this.exitPosition = new THREE.Vector3();
         this.exitRadius = 3;
 
+        // Compiled rules and when each fired (levelTime, by rule id)
+        this.rules = [];
+        this.firedAt = {};
+
+        // Sounds played this frame { type, origin } (soundPlayed conditions)
+        this.soundEvents = [];
+
+        // Moss balls that came to rest this frame (mossBallSettled conditions)
+        this.settleEvents = [];
+
         // Exit visual
         this.exitMesh = null;
         this.exitGlow = null;
     }
 
     init() {
+        const level = this.game.level;
+        this.exitPosition.copy(level.getExitPosition());
+        this.exitRadius = level.exit.radius;
+        this.isExitOpen = level.exit.startsOpen;
+
         this._createExitVisual();
+
+        this.rules = level.puzzle.rules.map((rule, i) => ({
+            id: rule.id || `rule-${i}`,
+            once: rule.once ?? true,
+            when: this._compile(rule.when),
+            then: rule.then || [],
+        }));
+    }
+
+    /**
+     * Turn a level condition entry into a node tree, running each leaf's setup
+     */
+    _compile(entry) {
+        if (!entry) return { kind: 'always' };
+        if (entry.all) return { kind: 'all', children: entry.all.map(e => this._compile(e)) };
+        if (entry.any) return { kind: 'any', children: entry.any.map(e => this._compile(e)) };
+        if (entry.not) return { kind: 'not', child: this._compile(entry.not) };
+
+        const definition = PuzzleRules.conditions[entry.type];
+        if (!definition) {
+            console.warn(`Unknown puzzle condition: ${entry.type}`);
+            return { kind: 'never' };
+        }
+
+        const node = { kind: 'leaf', definition, params: entry, state: {} };
+        if (definition.setup) {
+            definition.setup(node, this._context(0));
+        }
+        return node;
+    }
+
+    _context(dt) {
+        return { game: this.game, puzzle: this, dt };
     }
 
     _createExitVisual() {
@@ -78,28 +127,78 @@ export class PuzzleSystem {
     }
 
     update(dt) {
-        this._checkMossBallPosition();
-        this._checkPlayerAtExit();
+        this._evaluateRules(dt);
         this._updateExitVisual(dt);
+
+        // Events only count for the frame they happened in
+        this.soundEvents.length = 0;
+        this.settleEvents.length = 0;
     }
 
-    _checkMossBallPosition() {
-        const mossBall = this.game.mossBall;
-        if (!mossBall) return;
+    _evaluateRules(dt) {
+        const ctx = this._context(dt);
 
-        // Check distance from exit
-        const distToExit = mossBall.position.distanceTo(this.exitPosition);
+        for (const rule of this.rules) {
+            if (this.victoryTriggered) return;
 
-        // Exit is unblocked if moss ball is far enough
-        if (distToExit > 5) {
-            if (this.isExitBlocked) {
-                this.isExitBlocked = false;
-                this._onExitUnblocked();
+            // Leaves are always tested so plates keep animating after their rule fired
+            const holds = this._test(rule.when, ctx);
+            if (rule.once && this.firedAt[rule.id] !== undefined) continue;
+            if (!holds) continue;
+
+            this.firedAt[rule.id] = this.game.state.levelTime;
+            this._runActions(rule, ctx);
+        }
+    }
+
+    _test(node, ctx) {
+        switch (node.kind) {
+            case 'always': return true;
+            case 'never': return false;
+            case 'all': return node.children.map(child => this._test(child, ctx)).every(Boolean);
+            case 'any': return node.children.map(child => this._test(child, ctx)).some(Boolean);
+            case 'not': return !this._test(node.child, ctx);
+            default: return node.definition.test(node, ctx);
+        }
+    }
+
+    _runActions(rule, ctx) {
+        for (const action of rule.then) {
+            const run = PuzzleRules.actions[action.type];
+            if (run) {
+                run(action, ctx);
+            } else {
+                console.warn(`Unknown puzzle action: ${action.type} (rule ${rule.id})`);
             }
         }
     }
 
-    _onExitUnblocked() {
+    /**
+     * Level time a rule fired at, or null if it hasn't
+     */
+    getFiredTime(ruleId) {
+        return this.firedAt[ruleId] ?? null;
+    }
+
+    /**
+     * Called by SoundSystem whenever a sound plays (every frame for held State Sounds)
+     */
+    onSoundPlayed(type, origin) {
+        this.soundEvents.push({ type, origin: origin.clone() });
+    }
+
+    /**
+     * Called by MossBall when it stops rolling
+     */
+    onMossBallSettled(mossBall) {
+        this.settleEvents.push(mossBall);
+    }
+
+    /**
+     * Open the exit gate
+     */
+    openExit() {
+        if (this.isExitOpen) return;
         this.isExitOpen = true;
 
         // Show notification via UIManager
@@ -113,42 +212,11 @@ export class PuzzleSystem {
         }
     }
 
-    _checkPlayerAtExit() {
-        if (!this.isExitOpen || this.victoryTriggered) return;
-
-        const player = this.game.player;
-        if (!player) return;
-
-        // Check if player is at exit (use 2D distance)
-        const dx = player.position.x - this.exitPosition.x;
-        const dz = player.position.z - this.exitPosition.z;
-        const distToExit = Math.sqrt(dx * dx + dz * dz);
-
-        if (distToExit < this.exitRadius) {
-            // Also check if at least 1 clofen is nearby
-            const nearbyCount = this._countNearbyclofen();
-
-            if (nearbyCount >= 1) {
-                this._triggerVictory();
-            }
-        }
-    }
-
-    _countNearbyclofen() {
-        let count = 0;
-        for (const clofen of this.game.clofens) {
-            // Use 2D distance
-            const dx = clofen.position.x - this.exitPosition.x;
-            const dz = clofen.position.z - this.exitPosition.z;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-            if (dist < 10) {
-                count++;
-            }
-        }
-        return count;
+    closeExit() {
+        this.isExitOpen = false;
     }
 
-    _triggerVictory() {
+    triggerVictory() {
         if (this.victoryTriggered) return;
         this.victoryTriggered = true;
 
@@ -161,7 +229,7 @@ export class PuzzleSystem {
 
         if (this.isExitOpen) {
             // Glow when open
-            const pulse = 0.3 + Math.sin(Date.now() * 0.003) * 0.1;
+            const pulse = 0.3 + Math.sin(this.game.time * 3) * 0.1;
             this.exitGlow.material.opacity = pulse;
 
             // Gentle rotation
@@ -173,9 +241,32 @@ export class PuzzleSystem {
     }
 
     /**
-     * Called when moss ball is pushed away
+     * Puzzle progress for a save game
      */
-    onMossBallMoved() {
-        // This can be used for additional effects when the puzzle progresses
+    snapshot() {
+        return {
+            exitOpen: this.isExitOpen,
+            firedAt: { ...this.firedAt },
+        };
+    }
+
+    /**
+     * Restore saved progress without re-running actions or notifications
+     */
+    restore(saved) {
+        if (saved.exitOpen) this.isExitOpen = true;
+        Object.assign(this.firedAt, saved.firedAt);
+
+        // Spawned objects aren't in the save - spawn them again in the order their
+        // rules fired, so they line up with the saved clofens by index
+        const ctx = this._context(0);
+        const fired = this.rules
+            .filter(rule => this.firedAt[rule.id] !== undefined)
+            .sort((a, b) => this.firedAt[a.id] - this.firedAt[b.id]);
+        for (const rule of fired) {
+            for (const action of rule.then) {
+                if (action.type === 'spawnObject') PuzzleRules.actions.spawnObject(action, ctx);
+            }
+        }
     }
 }
@@ -1,17 +1,56 @@
 /**
  * RecordSystem - Handles recording sounds from sound sources
- * Hold Q near a sound source to record it
+ * Hold Q near a sound source and keep it in frame: progress only builds while the source
+ * is sounding, Scout is in range, the camera is aimed at it and the player holds still.
+ * Each take gets a quality score (distance, steadiness, interruptions) that SoundSystem
+ * turns into the sound's strength; recording an unlocked sound again can improve it.
  */
 export class RecordSystem {
+    // How hard each kind of source is to capture (keys match nearbySoundSource.kind)
+    //   duration - seconds of full-gain capture needed
+    //   range    - max horizontal distance; walking past 1.5x range drops the take
+    //   aimCone  - degrees off-centre where gain reaches zero
+    //   decay    - progress lost per second while out of range or off target
+    static PROFILES = {
+        // Grazing sheep bleat constantly and stand still
+        clofen: { duration: 1.5, range: 5, aimCone: 60, decay: 0.3 },
+        soundStone: { duration: 2.0, range: 5, aimCone: 45, decay: 0.5 },
+        // Short chirps, best caught while it is perched - usually takes more than one chirp.
+        // Range is well outside Bird.perchSpookRadius so a perched bird can be approached
+        bird: { duration: 2.0, range: 9, aimCone: 40, decay: 0.4 },
+    };
+
     constructor(game) {
         this.game = game;
 
         // Recording state
         this.isRecording = false;
-        this.recordProgress = 0;
-        this.recordDuration = 2.0; // Seconds to complete recording
+        this.recordProgress = 0; // Seconds of full-gain capture so far
+        this.recordDuration = 2.0; // From the current source's profile
         this.currentSource = null;
         this.currentSoundType = null;
+        this.profile = null;
+
+        // Signal quality this frame (0-1) and why it's low
+        this.gain = 0;
+        this.status = 'capturing'; // 'capturing', 'aim', 'far', 'waiting'
+        this._steadiness = 0;
+
+        // Below this gain nothing is captured
+        this.minGain = 0.35;
+
+        // Player speed at which steadiness reaches zero
+        this.maxSteadySpeed = 3;
+
+        // Take statistics for the quality score (capturing time only)
+        this.take = null;
+
+        // Set when a take completes; Q has to be let go before the next one starts
+        this.awaitingRelease = false;
+
+        // Quality lost per time the signal drops out mid-take, and the floor
+        this.interruptionPenalty = 0.1;
+        this.minQuality = 0.2;
     }
 
     update(dt) {
@@ -20,14 +59,19 @@ export class RecordSystem {
 
         if (!player) return;
 
-        // Check if Q is held and near a sound source
-        if (input.keys.record) {
-            const soundSource = player.nearbySoundSource;
+        const holding = input.isActionActive('record');
+        if (!holding) this.awaitingRelease = false;
 
-            if (soundSource && !this._alreadyHasSound(soundSource.type)) {
-                this._startOrContinueRecording(soundSource, dt);
+        if (holding && !this.awaitingRelease) {
+            if (this.isRecording) {
+                // Stay locked on the source we started with, even through its silences
+                this._continueRecording(dt);
             } else {
-                this._cancelRecording();
+                const soundSource = player.nearbySoundSource;
+                if (soundSource && this._canRecord(soundSource.type)) {
+                    this._startRecording(soundSource);
+                    this._continueRecording(dt);
+                }
             }
         } else {
             this._cancelRecording();
@@ -37,21 +81,75 @@ export class RecordSystem {
         this._updateUI();
     }
 
-    _alreadyHasSound(type) {
-        return this.game.soundSystem && this.game.soundSystem.hasSound(type);
+    /**
+     * New sounds, and unlocked ones whose take could be better
+     */
+    _canRecord(type) {
+        return this.game.soundSystem && this.game.soundSystem.canImprove(type);
     }
 
-    _startOrContinueRecording(soundSource, dt) {
-        // Check if switching sources
-        if (this.currentSoundType !== soundSource.type) {
-            this.isRecording = true;
-            this.recordProgress = 0;
-            this.currentSource = soundSource.source;
-            this.currentSoundType = soundSource.type;
+    _startRecording(soundSource) {
+        this.profile = RecordSystem.PROFILES[soundSource.kind] || RecordSystem.PROFILES.soundStone;
+
+        this.isRecording = true;
+        this.recordProgress = 0;
+        this.recordDuration = this.profile.duration;
+        this.currentSource = soundSource.source;
+        this.currentSoundType = soundSource.type;
+        this.status = 'capturing';
+
+        this.take = {
+            time: 0,
+            distance: 0, // Time-weighted sums, averaged at the end
+            steadiness: 0,
+            interruptions: 0,
+        };
+    }
+
+    _continueRecording(dt) {
+        const profile = this.profile;
+        const player = this.game.player;
+        const source = this.currentSource;
+
+        const dx = source.position.x - player.position.x;
+        const dz = source.position.z - player.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+
+        // Walked off - the take is lost
+        if (distance > profile.range * 1.5) {
+            this._cancelRecording();
+            return;
+        }
+
+        this.gain = this._measureGain(dx, dz, distance);
+        const wasCapturing = this.status === 'capturing';
+
+        if (distance > profile.range) {
+            this.status = 'far';
+        } else if (source.canBeRecorded && !source.canBeRecorded()) {
+            // Silent between emissions - hold what we have
+            this.status = 'waiting';
+            return;
+        } else if (this.gain < this.minGain) {
+            this.status = 'aim';
+        } else {
+            this.status = 'capturing';
         }
 
-        // Continue recording
-        this.recordProgress += dt;
+        if (this.status === 'capturing') {
+            this.recordProgress += dt * this.gain;
+
+            // Full marks for distance inside the nearest third of the range
+            this.take.time += dt;
+            this.take.distance += dt * Math.min(1, 1.5 * (1 - distance / profile.range));
+            this.take.steadiness += dt * this._steadiness;
+        } else {
+            // Losing the signal mid-take (the source going quiet doesn't count)
+            if (wasCapturing && this.take.time > 0) {
+                this.take.interruptions++;
+            }
+            this.recordProgress = Math.max(0, this.recordProgress - profile.decay * dt);
+        }
 
         // Check completion
         if (this.recordProgress >= this.recordDuration) {
@@ -59,33 +157,82 @@ export class RecordSystem {
         }
     }
 
+    /**
+     * Signal gain from aim, steadiness and distance (0-1)
+     */
+    _measureGain(dx, dz, distance) {
+        const player = this.game.player;
+        const profile = this.profile;
+
+        // Aim - angle between the camera's heading and the source
+        let aim = 1;
+        if (distance > 0.01) {
+            const forward = player.getForwardDirection();
+            const cos = (forward.x * dx + forward.z * dz) / distance;
+            const angle = Math.acos(Math.max(-1, Math.min(1, cos))) * (180 / Math.PI);
+            aim = Math.max(0, 1 - angle / profile.aimCone);
+        }
+
+        // Steadiness - "hold still"
+        const speed = Math.sqrt(player.velocity.x ** 2 + player.velocity.z ** 2);
+        const steadiness = Math.max(0, 1 - speed / this.maxSteadySpeed);
+        this._steadiness = steadiness;
+
+        // Closer is louder (half strength at the edge of range)
+        const proximity = 1 - 0.5 * Math.min(1, distance / profile.range);
+
+        return aim * steadiness * proximity;
+    }
+
     _cancelRecording() {
         if (this.isRecording) {
             this.isRecording = false;
             this.recordProgress = 0;
             this.currentSource = null;
             this.currentSoundType = null;
+            this.profile = null;
+            this.gain = 0;
+            this.take = null;
         }
     }
 
+    /**
+     * Quality of the finished take (0-1): average distance and steadiness, less interruptions
+     */
+    _scoreTake() {
+        const take = this.take;
+        if (!take || take.time <= 0) return this.minQuality;
+
+        const distance = take.distance / take.time;
+        const steadiness = take.steadiness / take.time;
+        const quality = distance * 0.6 + steadiness * 0.4 - take.interruptions * this.interruptionPenalty;
+
+        // Two decimals, so a clean take scores exactly 1
+        return Math.round(Math.max(this.minQuality, Math.min(1, quality)) * 100) / 100;
+    }
+
     _completeRecording() {
         const soundType = this.currentSoundType;
+        const quality = this._scoreTake();
+        const soundSystem = this.game.soundSystem;
+        const previousQuality = soundSystem.hasSound(soundType) ? soundSystem.quality[soundType] : null;
 
         // Reset state
         this.isRecording = false;
         this.recordProgress = 0;
         this.currentSource = null;
         this.currentSoundType = null;
+        this.profile = null;
+        this.gain = 0;
+        this.take = null;
+        this.awaitingRelease = true;
 
-        // Unlock the sound
-        if (this.game.soundSystem) {
-            this.game.soundSystem.unlockSound(soundType);
-        }
+        // Unlock the sound (or keep the better take)
+        const slotNumber = soundSystem.unlockSound(soundType, quality);
 
         // Show notification via UIManager
         if (this.game.ui) {
-            const slotNumber = this.game.soundSystem.slots[1] === soundType ? 1 : 2;
-            this.game.ui.notifySoundRecorded(soundType, slotNumber);
+            this.game.ui.notifySoundRecorded(soundType, slotNumber, quality, previousQuality);
         }
 
         // Trigger tutorial progression
@@ -104,14 +251,21 @@ export class RecordSystem {
         if (!this.game.ui) return;
 
         if (this.isRecording) {
-            const progress = this.recordProgress / this.recordDuration;
             this.game.ui.showRecording(this.currentSoundType);
-            this.game.ui.updateRecordingProgress(progress);
+            this.game.ui.updateRecordingProgress(this.getProgress(), this.gain, this.status);
         } else {
             this.game.ui.hideRecording();
         }
     }
 
+    /**
+     * Drop any in-progress recording (level teardown)
+     */
+    reset() {
+        this._cancelRecording();
+        this._updateUI();
+    }
+
     /**
      * Get current recording progress (0-1)
      */
@@ -0,0 +1,194 @@
+/**
+ * SaveSystem - Versioned save-game snapshots in localStorage
+ * Captures player, camera, sound slots, clofens, moss balls and tutorial progress
+ */
+export class SaveSystem {
+    static STORAGE_KEY = 'baacadia-play-save';
+    static VERSION = 1;
+
+    constructor(game) {
+        this.game = game;
+
+        // Autosave
+        this.autosaveInterval = 10; // Seconds
+        this.autosaveTimer = 0;
+
+        this._onPageHide = this._onPageHide.bind(this);
+    }
+
+    init() {
+        // Save when the tab is hidden or closed
+        document.addEventListener('visibilitychange', this._onPageHide);
+        window.addEventListener('beforeunload', this._onPageHide);
+    }
+
+    _onPageHide(e) {
+        if (e.type === 'beforeunload' || document.visibilityState === 'hidden') {
+            this.save();
+        }
+    }
+
+    update(dt) {
+        this.autosaveTimer += dt;
+        if (this.autosaveTimer >= this.autosaveInterval) {
+            this.autosaveTimer = 0;
+            this.save();
+        }
+    }
+
+    /**
+     * Only mid-level phases can be snapshotted
+     */
+    _canSave() {
+        const phase = this.game.state.phase;
+        return (phase === 'tutorial' || phase === 'playing') && this.game.player !== null;
+    }
+
+    /**
+     * Snapshot current game state
+     */
+    snapshot() {
+        const game = this.game;
+        const player = game.player;
+
+        return {
+            version: SaveSystem.VERSION,
+            savedAt: Date.now(),
+            levelId: game.level.id,
+            levelTime: game.state.levelTime,
+            tutorialStep: game.state.tutorialStep,
+            player: {
+                x: player.position.x,
+                z: player.position.z,
+                yaw: player.cameraYaw,
+                pitch: player.cameraPitch,
+            },
+            slots: { ...game.soundSystem.slots },
+            activeSlot: game.soundSystem.activeSlot,
+            soundQuality: { ...game.soundSystem.quality },
+            clofens: game.clofens.map(clofen => ({
+                x: clofen.position.x,
+                z: clofen.position.z,
+                state: clofen.state,
+                happiness: clofen.happiness,
+            })),
+            mossBalls: game.mossBalls.map(mossBall => ({
+                x: mossBall.position.x,
+                z: mossBall.position.z,
+                hasBeenPushed: mossBall.hasBeenPushed,
+            })),
+            puzzle: game.puzzleSystem ? game.puzzleSystem.snapshot() : null,
+        };
+    }
+
+    /**
+     * Write a snapshot of the current game to storage
+     */
+    save() {
+        if (!this._canSave()) return false;
+        return this._write(this.snapshot());
+    }
+
+    /**
+     * Save a fresh start of the given level, keeping sounds and tutorial progress
+     * Used after victory so "Continue" resumes at the next level
+     */
+    saveLevelStart(levelId) {
+        return this._write({
+            version: SaveSystem.VERSION,
+            savedAt: Date.now(),
+            levelId,
+            levelTime: 0,
+            tutorialStep: this.game.state.tutorialStep,
+            slots: { ...this.game.soundSystem.slots },
+            activeSlot: this.game.soundSystem.activeSlot,
+            soundQuality: { ...this.game.soundSystem.quality },
+        });
+    }
+
+    _write(data) {
+        try {
+            localStorage.setItem(SaveSystem.STORAGE_KEY, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save game:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read the stored save
+     * @returns {Object|null} Save data, or null if missing or unreadable
+     */
+    load() {
+        let data;
+        try {
+            const raw = localStorage.getItem(SaveSystem.STORAGE_KEY);
+            if (!raw) return null;
+            data = JSON.parse(raw);
+        } catch (error) {
+            console.warn('Failed to read save game:', error);
+            return null;
+        }
+
+        if (!data || data.version !== SaveSystem.VERSION || !data.levelId) {
+            console.warn('Discarding incompatible save game');
+            this.clear();
+            return null;
+        }
+
+        return data;
+    }
+
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    clear() {
+        try {
+            localStorage.removeItem(SaveSystem.STORAGE_KEY);
+        } catch (error) {
+            console.warn('Failed to clear save game:', error);
+        }
+    }
+
+    /**
+     * Restore a snapshot onto the freshly loaded level
+     * Fields missing from the save keep the level defaults
+     */
+    apply(data) {
+        const game = this.game;
+
+        game.state.levelTime = data.levelTime || 0;
+        game.state.tutorialStep = data.tutorialStep || 0;
+
+        if (data.slots) {
+            game.soundSystem.restoreSlots(data.slots, data.activeSlot || 1, data.soundQuality);
+        }
+
+        if (data.player && game.player) {
+            game.player.position.set(data.player.x, 0, data.player.z);
+            game.player.cameraYaw = data.player.yaw;
+            game.player.cameraPitch = data.player.pitch;
+        }
+
+        // Respawn puzzle-spawned entities first so saved clofens line up by index
+        if (data.puzzle && game.puzzleSystem) {
+            game.puzzleSystem.restore(data.puzzle);
+        }
+
+        if (data.clofens) {
+            data.clofens.forEach((saved, i) => {
+                const clofen = game.clofens[i];
+                if (clofen) clofen.restore(saved);
+            });
+        }
+
+        if (data.mossBalls) {
+            data.mossBalls.forEach((saved, i) => {
+                const mossBall = game.mossBalls[i];
+                if (mossBall) mossBall.restore(saved);
+            });
+        }
+    }
+}
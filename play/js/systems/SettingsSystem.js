@@ -0,0 +1,106 @@
+/**
+ * SettingsSystem - Player settings persisted in localStorage
+ * Pushes values into Player, Input, camera, AudioSystem and the Moebius pass
+ */
+export class SettingsSystem {
+    static STORAGE_KEY = 'baacadia-play-settings';
+
+    static DEFAULTS = {
+        mouseSensitivity: 0.15, // Degrees per pixel
+        invertY: false,
+        fov: 60,
+        masterVolume: 0.7,
+        sfxVolume: 1.0,
+        outlineThickness: 1.0,
+        stickSensitivity: 1.0,
+        stickDeadZone: 0.15,
+        scrollCyclesSlots: false,
+    };
+
+    // Drives the settings panel in UIManager
+    static SCHEMA = [
+        { key: 'mouseSensitivity', label: 'Mouse Sensitivity', type: 'range', min: 0.05, max: 0.4, step: 0.01 },
+        { key: 'invertY', label: 'Invert Y', type: 'toggle' },
+        { key: 'fov', label: 'Field of View', type: 'range', min: 50, max: 90, step: 1 },
+        { key: 'masterVolume', label: 'Master Volume', type: 'range', min: 0, max: 1, step: 0.05, format: 'percent' },
+        { key: 'sfxVolume', label: 'SFX Volume', type: 'range', min: 0, max: 1, step: 0.05, format: 'percent' },
+        { key: 'outlineThickness', label: 'Outline Thickness', type: 'range', min: 0, max: 3, step: 0.1 },
+        { key: 'stickSensitivity', label: 'Stick Sensitivity', type: 'range', min: 0.25, max: 2.5, step: 0.05 },
+        { key: 'stickDeadZone', label: 'Stick Dead Zone', type: 'range', min: 0, max: 0.5, step: 0.01, format: 'percent' },
+        { key: 'scrollCyclesSlots', label: 'Scroll Cycles Sounds', type: 'toggle' },
+    ];
+
+    constructor(game) {
+        this.game = game;
+        this.values = { ...SettingsSystem.DEFAULTS };
+    }
+
+    init() {
+        try {
+            const raw = localStorage.getItem(SettingsSystem.STORAGE_KEY);
+            if (raw) {
+                this.values = { ...SettingsSystem.DEFAULTS, ...JSON.parse(raw) };
+            }
+        } catch (error) {
+            console.warn('Failed to read settings:', error);
+        }
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(SettingsSystem.STORAGE_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('Failed to save settings:', error);
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        this.values[key] = value;
+        this._save();
+        this.apply();
+    }
+
+    reset() {
+        this.values = { ...SettingsSystem.DEFAULTS };
+        this._save();
+        this.apply();
+    }
+
+    /**
+     * Push current values to the systems that use them
+     * Called on change and after each level load (Player is rebuilt per level)
+     */
+    apply() {
+        const game = this.game;
+        const v = this.values;
+
+        if (game.player) {
+            game.player.cameraSensitivity = v.mouseSensitivity;
+            game.player.invertY = v.invertY;
+        }
+
+        if (game.input) {
+            game.input.gamepad.sensitivity = v.stickSensitivity;
+            game.input.gamepad.deadZone = v.stickDeadZone;
+            game.input.scrollMode = v.scrollCyclesSlots ? 'cycle' : 'volume';
+        }
+
+        if (game.camera) {
+            game.camera.fov = v.fov;
+            game.camera.updateProjectionMatrix();
+        }
+
+        if (game.audio) {
+            game.audio.setMasterVolume(v.masterVolume);
+            game.audio.setSfxVolume(v.sfxVolume);
+        }
+
+        if (game.effects && game.effects.moebiusPass) {
+            game.effects.moebiusPass.uniforms.outlineThickness.value = v.outlineThickness;
+        }
+    }
+}
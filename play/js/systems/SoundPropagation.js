@@ -0,0 +1,102 @@
+/**
+ * SoundPropagation - How far a sound carries across the level
+ * Colliders between the origin and a listener shorten the sound's reach along that line
+ * (rocks all but block it, trees muffle it), loudness falls off with distance,
+ * and clofens facing away from the sound take longer to react.
+ */
+export class SoundPropagation {
+    // Share of the remaining reach that survives passing each collider type
+    static OCCLUSION = {
+        rock: 0.25,
+        stone: 0.5,
+        prop: 0.6,
+        tree: 0.75,
+    };
+
+    // Seconds before a clofen facing straight away from the sound reacts
+    static MAX_REACTION_DELAY = 0.4;
+
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Loudness of a sound at a point (0 = out of reach, 1 = at the origin)
+     * @param {{x: number, z: number}} origin
+     * @param {{x: number, z: number}} target
+     * @param {number} range - Unobstructed reach
+     */
+    loudnessAt(origin, target, range) {
+        const dx = target.x - origin.x;
+        const dz = target.z - origin.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance >= range) return 0;
+        if (distance < 0.001) return 1;
+
+        const reach = this._reachAlong(origin, dx / distance, dz / distance, range);
+        return distance < reach ? 1 - distance / reach : 0;
+    }
+
+    /**
+     * Reach in a direction on the ground (radians: 0 = +x, PI / 2 = +z)
+     */
+    reachAt(origin, angle, range) {
+        return this._reachAlong(origin, Math.cos(angle), Math.sin(angle), range);
+    }
+
+    /**
+     * Walk the ray through every collider it crosses, shrinking the reach at each one
+     * A collider only counts once the sound has got as far as its near edge
+     */
+    _reachAlong(origin, dirX, dirZ, range) {
+        const collision = this.game.collision;
+        if (!collision) return range;
+
+        const hits = [];
+        for (const collider of collision.queryStatics(origin.x, origin.z, range)) {
+            const enter = this._rayEnter(origin, dirX, dirZ, collider);
+            if (enter !== null && enter < range) {
+                hits.push({ enter, factor: SoundPropagation.OCCLUSION[collider.type] ?? 0.5 });
+            }
+        }
+        hits.sort((a, b) => a.enter - b.enter);
+
+        let reach = range;
+        for (const hit of hits) {
+            if (hit.enter >= reach) break;
+            // Whatever got this far keeps going, just shorter
+            reach = Math.max(hit.enter, reach * hit.factor);
+        }
+        return reach;
+    }
+
+    /**
+     * Distance along a ray to where it enters a circle, or null if it misses
+     */
+    _rayEnter(origin, dirX, dirZ, collider) {
+        const cx = collider.x - origin.x;
+        const cz = collider.z - origin.z;
+        const along = cx * dirX + cz * dirZ;
+        const perpSq = cx * cx + cz * cz - along * along;
+        const rSq = collider.r * collider.r;
+        if (perpSq >= rSq) return null;
+
+        const half = Math.sqrt(rSq - perpSq);
+        if (along + half < 0) return null; // Behind the origin
+        return Math.max(0, along - half);
+    }
+
+    /**
+     * Seconds before a clofen reacts: none when facing the sound, up to MAX_REACTION_DELAY facing away
+     */
+    reactionDelay(clofen, origin) {
+        const dx = clofen.position.x - origin.x;
+        const dz = clofen.position.z - origin.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance < 0.001) return 0;
+
+        const facing = clofen.getFacingDirection();
+        const away = (facing.x * dx + facing.z * dz) / distance;
+        return SoundPropagation.MAX_REACTION_DELAY * (1 + away) / 2;
+    }
+}
@@ -1,133 +1,299 @@
+import { SoundTypes } from './SoundTypes.js';
+import { SoundPropagation } from './SoundPropagation.js';
+
 /**
- * SoundSystem - Handles Gather and Charge sound mechanics
- * Gather: State Sound (hold to activate) - clofens gather to player
- * Charge: Event Sound (click to activate) - clofens charge forward
+ * SoundSystem - Plays the sound in the active slot
+ * State Sounds (e.g. Gather) last while held, Event Sounds (e.g. Charge) fire once per click
+ * What each sound does is declared in SoundTypes; how far it carries comes from SoundPropagation
  */
 export class SoundSystem {
+    // Number of sound slots (number keys 1-N and wheel segments follow this)
+    static SLOT_COUNT = 4;
+
+    // Sound wheel: pointer travel (mouse px) to pick a segment, and the furthest the aim goes
+    static WHEEL_DEAD_ZONE = 20;
+    static WHEEL_RADIUS = 80;
+
+    // Range and clofen response of a quality-0 recording (quality 1 plays at full strength)
+    static MIN_STRENGTH = 0.5;
+
     constructor(game) {
         this.game = game;
 
-        // Sound slots
-        this.slots = {
-            1: null, // Sound type or null
-            2: null,
-        };
+        // Sound slots: number -> sound type or null
+        this.slotCount = SoundSystem.SLOT_COUNT;
+        this.slots = {};
+        for (let n = 1; n <= this.slotCount; n++) {
+            this.slots[n] = null;
+        }
 
         this.activeSlot = 1;
         this.volume = 0.7;
 
+        // Recording quality per unlocked sound type (0-1, see RecordSystem)
+        this.quality = {};
+
         // State sounds (currently active)
         this.isPlayingState = false;
         this.stateSoundType = null;
+        this.affectedClofens = new Set();
+
+        // Seconds until an Event Sound can fire again while held
+        this.eventResetTimer = 0;
+
+        // Occlusion, falloff and reaction delays
+        this.propagation = new SoundPropagation(game);
+
+        // Reactions waiting on a clofen's delay { clofen, soundType, delay, run }
+        this.pendingReactions = [];
 
         // Visual feedback
         this.soundWaves = [];
+
+        // Radial sound wheel (held open; aim picks a slot)
+        this.wheel = {
+            open: false,
+            aim: { x: 0, y: 0 },
+            hovered: null,
+        };
     }
 
     update(dt) {
         const input = this.game.input;
 
-        // Check for sound activation
-        if (input.mouse.leftButton) {
+        this._updateWheel(input);
+
+        // Check for sound activation (not while choosing on the wheel)
+        if (input.isActionActive('soundTrigger') && !this.wheel.open) {
             this._handleSoundActivation();
         } else {
             this._handleSoundDeactivation();
         }
 
+        if (this.eventResetTimer > 0) {
+            this.eventResetTimer -= dt;
+            if (this.eventResetTimer <= 0 && !this.stateSoundType) {
+                this.isPlayingState = false;
+            }
+        }
+
+        this._updatePendingReactions(dt);
+
         // Update sound waves
         this._updateSoundWaves(dt);
     }
 
     _handleSoundActivation() {
-        const currentSound = this.slots[this.activeSlot];
-        if (!currentSound) return;
-
-        if (currentSound === 'gather') {
-            // Gather is a State Sound - hold to maintain
-            if (!this.isPlayingState || this.stateSoundType !== 'gather') {
-                this._startGather();
-            }
-            this._maintainGather();
-        } else if (currentSound === 'charge') {
-            // Charge is an Event Sound - single click
-            if (!this.isPlayingState) {
-                this._triggerCharge();
+        const type = SoundTypes.get(this.slots[this.activeSlot]);
+        if (!type) return;
+
+        if (type.mode === 'state') {
+            // State Sound - hold to maintain
+            if (!this.isPlayingState || this.stateSoundType !== type.id) {
+                this._stopState();
+                this._startState(type);
             }
+            this._maintainState(type);
+        } else if (!this.isPlayingState) {
+            // Event Sound - single click
+            this._triggerEvent(type);
         }
     }
 
     _handleSoundDeactivation() {
-        if (this.isPlayingState && this.stateSoundType === 'gather') {
-            this._stopGather();
+        if (this.isPlayingState && this.stateSoundType) {
+            this._stopState();
         }
         this.isPlayingState = false;
     }
 
-    _startGather() {
+    /**
+     * Shared reaction context for the current player position
+     */
+    _getContext(type) {
+        const player = this.game.player;
+        return {
+            player,
+            origin: player.position.clone(),
+            direction: player.getForwardDirection(),
+            volume: this.volume,
+            strength: this.getStrength(type.id),
+        };
+    }
+
+    /**
+     * How strongly a sound plays, from its recording quality
+     * (MIN_STRENGTH at quality 0, 1 at quality 1)
+     */
+    getStrength(typeId) {
+        const quality = this.quality[typeId] ?? 1;
+        return SoundSystem.MIN_STRENGTH + (1 - SoundSystem.MIN_STRENGTH) * quality;
+    }
+
+    /**
+     * Unobstructed reach of a sound type at the current volume and recording quality
+     */
+    _getRange(type) {
+        return type.range(this.volume) * this.getStrength(type.id);
+    }
+
+    /**
+     * Loudness of a sound type at a clofen (0 = out of reach), after occlusion and falloff
+     */
+    _loudnessAt(type, clofen) {
+        return this.propagation.loudnessAt(this.game.player.position, clofen.position, this._getRange(type));
+    }
+
+    /**
+     * Run a clofen's reaction once it has turned towards the sound
+     * Quieter sounds get a weaker reaction (half strength at the edge of reach)
+     */
+    _queueReaction(type, clofen, context, loudness, react) {
+        const reactionContext = { ...context, strength: context.strength * (0.5 + 0.5 * loudness) };
+        const run = () => react(clofen, reactionContext);
+
+        const delay = this.propagation.reactionDelay(clofen, context.origin);
+        if (delay <= 0) {
+            run();
+        } else {
+            this.pendingReactions.push({ clofen, soundType: type.id, delay, run });
+        }
+    }
+
+    _updatePendingReactions(dt) {
+        for (let i = this.pendingReactions.length - 1; i >= 0; i--) {
+            const reaction = this.pendingReactions[i];
+            reaction.delay -= dt;
+            if (reaction.delay <= 0) {
+                this.pendingReactions.splice(i, 1);
+                reaction.run();
+            }
+        }
+    }
+
+    _startState(type) {
         this.isPlayingState = true;
-        this.stateSoundType = 'gather';
+        this.stateSoundType = type.id;
+        this.affectedClofens = new Set();
 
         // Visual feedback
-        this._spawnGatherWave();
+        this._spawnWave(type);
 
-        // Start all clofens gathering
-        for (const clofen of this.game.clofens) {
-            clofen.startGathering();
+        // Looping tone
+        if (this.game.audio) {
+            this.game.audio.startLoop(type.audio, this.game.player.getSoundOrigin());
         }
     }
 
-    _maintainGather() {
+    _maintainState(type) {
+        this._notifyPuzzle(type);
+
         // Continuously spawn waves while holding
-        if (Math.random() < 0.1) {
-            this._spawnGatherWave();
+        if (this.game.random.next() < type.wave.spawnChance) {
+            this._spawnWave(type);
+        }
+
+        // Keep the tone on the player
+        if (this.game.audio) {
+            this.game.audio.updateLoop(this.game.player.getSoundOrigin());
+        }
+
+        // clofens that come into reach join in
+        const context = this._getContext(type);
+        for (const clofen of this.game.clofens) {
+            if (this.affectedClofens.has(clofen)) continue;
+
+            const loudness = this._loudnessAt(type, clofen);
+            if (loudness > 0) {
+                this.affectedClofens.add(clofen);
+                this._queueReaction(type, clofen, context, loudness, type.onStart);
+            }
         }
     }
 
-    _stopGather() {
+    _stopState() {
+        const type = SoundTypes.get(this.stateSoundType);
+
         this.isPlayingState = false;
         this.stateSoundType = null;
 
-        // Stop all clofens from gathering
-        for (const clofen of this.game.clofens) {
-            clofen.stopGathering();
+        // clofens still turning towards the sound never start
+        this.pendingReactions = this.pendingReactions.filter(reaction => !type || reaction.soundType !== type.id);
+
+        if (this.game.audio) {
+            this.game.audio.stopLoop();
+        }
+
+        // Release every clofen the sound reached
+        if (type) {
+            const context = this._getContext(type);
+            for (const clofen of this.affectedClofens) {
+                type.onStop(clofen, context);
+            }
         }
+        this.affectedClofens.clear();
     }
 
-    _triggerCharge() {
+    _triggerEvent(type) {
         this.isPlayingState = true;
+        this._notifyPuzzle(type);
 
-        // Get player forward direction
         const player = this.game.player;
-        const direction = player.getForwardDirection();
+        const context = this._getContext(type);
 
-        // Visual feedback - directional wave
-        this._spawnChargeWave(direction);
+        // Visual feedback
+        this._spawnWave(type, context.direction);
 
-        // Make all nearby clofens charge
-        const playerPos = player.position;
-        const range = 8 * this.volume;
+        // One-shot burst
+        if (this.game.audio) {
+            this.game.audio.playOneShot(type.id, type.audio, player.getSoundOrigin());
+        }
 
         for (const clofen of this.game.clofens) {
-            const dist = clofen.position.distanceTo(playerPos);
-            if (dist < range) {
-                clofen.charge(direction);
+            const loudness = this._loudnessAt(type, clofen);
+            if (loudness > 0) {
+                this._queueReaction(type, clofen, context, loudness, type.onTrigger);
             }
         }
 
-        // Reset after short delay
-        setTimeout(() => {
-            this.isPlayingState = false;
-        }, 100);
+        // Reset after short delay (simulation time, so replays match)
+        this.eventResetTimer = 0.1;
     }
 
-    _spawnGatherWave() {
+    /**
+     * Let puzzle rules react to where a sound was played
+     */
+    _notifyPuzzle(type) {
+        if (this.game.puzzleSystem && this.game.player) {
+            this.game.puzzleSystem.onSoundPlayed(type.id, this.game.player.position);
+        }
+    }
+
+    /**
+     * Spawn the wave visual a sound type declares
+     * @param {Object} type - Sound type definition
+     * @param {THREE.Vector3} direction - Travel direction (cone waves)
+     */
+    _spawnWave(type, direction = null) {
         const player = this.game.player;
         if (!player) return;
 
+        if (type.wave.shape === 'cone') {
+            this._spawnConeWave(type, direction || player.getForwardDirection());
+        } else {
+            this._spawnRingWave(type);
+        }
+    }
+
+    _spawnRingWave(type) {
+        const player = this.game.player;
+        const range = this._getRange(type);
+
         // Create expanding ring
         const geometry = new THREE.RingGeometry(0.5, 0.7, 32);
+        this._shapeRingToReach(geometry, range);
         const material = new THREE.MeshBasicMaterial({
-            color: 0x7ee787,
+            color: type.color,
             transparent: true,
             opacity: 0.8,
             side: THREE.DoubleSide,
@@ -141,27 +307,51 @@ export class SoundSystem {
 
         this.soundWaves.push({
             mesh: ring,
-            type: 'gather',
+            shape: 'ring',
             age: 0,
-            maxAge: 1.5,
-            maxScale: 10 * this.volume,
+            maxAge: type.wave.maxAge,
+            // Grow until the outer edge meets the sound's reach
+            maxScale: range / 0.7 - 1,
         });
     }
 
-    _spawnChargeWave(direction) {
+    /**
+     * Pull each ring vertex in to the reach in its direction, so the full-grown ring
+     * traces where the sound actually carries (dents behind rocks and trees)
+     */
+    _shapeRingToReach(geometry, range) {
+        const origin = this.game.player.position;
+        const positions = geometry.attributes.position;
+
+        for (let i = 0; i < positions.count; i++) {
+            const x = positions.getX(i);
+            const y = positions.getY(i);
+
+            // Ring lies in local x/y; laid flat, local +y points along world -z
+            const reach = this.propagation.reachAt(origin, Math.atan2(-y, x), range);
+            const shrink = Math.max(0.05, reach / range);
+            positions.setXY(i, x * shrink, y * shrink);
+        }
+        positions.needsUpdate = true;
+    }
+
+    _spawnConeWave(type, direction) {
         const player = this.game.player;
-        if (!player) return;
 
         // Create directional cone/arrow shape
         const geometry = new THREE.ConeGeometry(0.5, 2, 8);
         geometry.rotateX(Math.PI / 2);
 
         const material = new THREE.MeshBasicMaterial({
-            color: 0xff9f43,
+            color: type.color,
             transparent: true,
             opacity: 0.8,
         });
 
+        // Fade out where the sound stops carrying in this direction
+        const reach = this.propagation.reachAt(player.position, Math.atan2(direction.z, direction.x), this._getRange(type));
+        const maxAge = Math.min(type.wave.maxAge, reach / type.wave.speed);
+
         const cone = new THREE.Mesh(geometry, material);
         cone.position.copy(player.getSoundOrigin());
 
@@ -176,11 +366,11 @@ export class SoundSystem {
 
         this.soundWaves.push({
             mesh: cone,
-            type: 'charge',
+            shape: 'cone',
             direction: direction.clone(),
             age: 0,
-            maxAge: 0.8,
-            speed: 15,
+            maxAge,
+            speed: type.wave.speed,
         });
     }
 
@@ -191,12 +381,12 @@ export class SoundSystem {
 
             const progress = wave.age / wave.maxAge;
 
-            if (wave.type === 'gather') {
+            if (wave.shape === 'ring') {
                 // Expand and fade
                 const scale = 1 + progress * wave.maxScale;
                 wave.mesh.scale.set(scale, scale, 1);
                 wave.mesh.material.opacity = 0.8 * (1 - progress);
-            } else if (wave.type === 'charge') {
+            } else if (wave.shape === 'cone') {
                 // Move forward and fade
                 wave.mesh.position.add(
                     wave.direction.clone().multiplyScalar(wave.speed * dt)
@@ -217,47 +407,277 @@ export class SoundSystem {
 
     /**
      * Unlock a sound type
+     * Fills the first empty slot; when all are full, replaces the active slot.
+     * Re-recording an unlocked sound keeps it in its slot with the better of the two takes.
+     * @param {string} type
+     * @param {number} [quality] - Recording quality 0-1
+     * @returns {number} Slot the sound went into
      */
-    unlockSound(type) {
-        // Put in first empty slot, or slot 2 if both empty
-        if (this.slots[1] === null) {
-            this.slots[1] = type;
-            if (this.game.ui) {
-                this.game.ui.setSoundForSlot(1, type);
-            }
-        } else if (this.slots[2] === null) {
-            this.slots[2] = type;
-            if (this.game.ui) {
-                this.game.ui.setSoundForSlot(2, type);
+    unlockSound(type, quality = 1) {
+        const slots = Object.keys(this.slots).map(Number);
+
+        let slot = slots.find(n => this.slots[n] === type);
+        if (slot !== undefined) {
+            this.quality[type] = Math.max(this.quality[type] ?? 0, quality);
+        } else {
+            slot = slots.find(n => this.slots[n] === null);
+            if (slot === undefined) {
+                slot = this.activeSlot;
+                delete this.quality[this.slots[slot]];
             }
+
+            this.slots[slot] = type;
+            this.quality[type] = quality;
+        }
+
+        if (this.game.ui) {
+            this.game.ui.setSoundQuality(type, this.quality[type]);
+            this.game.ui.setSoundForSlot(slot, type);
+        }
+
+        this._syncUnlockFlags();
+        return slot;
+    }
+
+    /**
+     * Keep the game state flags used by the tutorial and interactions in step with slots
+     */
+    _syncUnlockFlags() {
+        this.game.state.hasGather = this.hasSound('gather');
+        this.game.state.hasCharge = this.hasSound('charge');
+    }
+
+    /**
+     * Restore slots from a save game
+     * Saved slots beyond the current slot count are dropped; sounds saved without a quality play at full strength
+     */
+    restoreSlots(slots, activeSlot, quality = {}) {
+        this.quality = {};
+        for (const slot of Object.keys(this.slots)) {
+            const type = slots[slot] || null;
+            this.slots[slot] = type;
+            if (type) this.quality[type] = quality[type] ?? 1;
         }
 
-        // Update game state
-        if (type === 'gather') {
-            this.game.state.hasGather = true;
-        } else if (type === 'charge') {
-            this.game.state.hasCharge = true;
+        if (this.game.ui) {
+            this.game.ui.setSoundSlots(this.slots);
+            this.game.ui.setSoundQualities(this.quality);
         }
+
+        this._syncUnlockFlags();
+        this.setActiveSlot(Math.min(activeSlot, this.slotCount));
     }
 
     /**
      * Set active slot
      */
     setActiveSlot(slot) {
+        if (!(slot in this.slots)) return;
+
         this.activeSlot = slot;
+        if (this.game.ui) {
+            this.game.ui.setActiveSlot(slot);
+        }
+    }
+
+    _wrapSlot(slot) {
+        return ((slot - 1 + this.slotCount) % this.slotCount) + 1;
+    }
+
+    /**
+     * Number key / tapped slot: select it, or with the wheel open, move the hovered sound there
+     */
+    selectSlot(slot) {
+        if (!(slot in this.slots)) return;
+
+        if (this.wheel.open && this.wheel.hovered !== null) {
+            this.swapSlots(this.wheel.hovered, slot);
+            this._aimWheelAt(slot);
+        } else {
+            this.setActiveSlot(slot);
+        }
+    }
+
+    /**
+     * Previous/next (bumpers, scroll-to-cycle): step the selection,
+     * or with the wheel open, move the hovered sound one place
+     * @param {number} step - +1 next, -1 previous
+     */
+    cycleSlot(step) {
+        if (this.wheel.open && this.wheel.hovered !== null) {
+            const target = this._wrapSlot(this.wheel.hovered + step);
+            this.swapSlots(this.wheel.hovered, target);
+            this._aimWheelAt(target);
+        } else {
+            this.setActiveSlot(this._wrapSlot(this.activeSlot + step));
+        }
+    }
+
+    /**
+     * Swap the sounds in two slots; the active selection follows its sound
+     */
+    swapSlots(a, b) {
+        if (a === b || !(a in this.slots) || !(b in this.slots)) return;
+
+        [this.slots[a], this.slots[b]] = [this.slots[b], this.slots[a]];
+
+        if (this.activeSlot === a) {
+            this.activeSlot = b;
+        } else if (this.activeSlot === b) {
+            this.activeSlot = a;
+        }
+
+        if (this.game.ui) {
+            this.game.ui.setSoundSlots(this.slots);
+            this.game.ui.setActiveSlot(this.activeSlot);
+            if (this.wheel.open) {
+                this.game.ui.showSoundWheel(this.slots, this.activeSlot);
+            }
+        }
+    }
+
+    // ========================================
+    // SOUND WHEEL
+    // ========================================
+
+    get isWheelOpen() {
+        return this.wheel.open;
+    }
+
+    _updateWheel(input) {
+        const held = input.isActionActive('soundWheel');
+
+        if (held && !this.wheel.open) {
+            this._openWheel();
+        } else if (!held && this.wheel.open) {
+            this.closeWheel(true);
+        }
+
+        if (!this.wheel.open) return;
+
+        // Pointer / right stick aims at a segment
+        const delta = input.consumeMouseDelta();
+        const aim = this.wheel.aim;
+        aim.x += delta.x;
+        aim.y += delta.y;
+
+        const length = Math.sqrt(aim.x * aim.x + aim.y * aim.y);
+        if (length > SoundSystem.WHEEL_RADIUS) {
+            aim.x *= SoundSystem.WHEEL_RADIUS / length;
+            aim.y *= SoundSystem.WHEEL_RADIUS / length;
+        }
+
+        const hovered = length > SoundSystem.WHEEL_DEAD_ZONE ? this._slotAtAngle(Math.atan2(aim.y, aim.x)) : null;
+        if (hovered !== this.wheel.hovered) {
+            this.wheel.hovered = hovered;
+            if (this.game.ui) {
+                this.game.ui.updateSoundWheel(hovered);
+            }
+        }
+    }
+
+    _openWheel() {
+        // Let go of any held State Sound while choosing
+        this._handleSoundDeactivation();
+
+        this.wheel.open = true;
+        this.wheel.aim = { x: 0, y: 0 };
+        this.wheel.hovered = null;
+
+        if (this.game.ui) {
+            this.game.ui.showSoundWheel(this.slots, this.activeSlot);
+        }
+    }
+
+    /**
+     * Close the wheel
+     * @param {boolean} select - Make the hovered slot active
+     */
+    closeWheel(select = false) {
+        if (!this.wheel.open) return;
+
+        if (select && this.wheel.hovered !== null) {
+            this.setActiveSlot(this.wheel.hovered);
+        }
+
+        this.wheel.open = false;
+        this.wheel.hovered = null;
+
+        if (this.game.ui) {
+            this.game.ui.hideSoundWheel();
+        }
     }
 
     /**
-     * Set volume (affects range)
+     * Slot 1 sits at the top, the rest follow clockwise (screen space, y down)
+     */
+    _slotAtAngle(angle) {
+        const sector = (Math.PI * 2) / this.slotCount;
+        const fromTop = (angle + Math.PI / 2 + Math.PI * 2) % (Math.PI * 2);
+        return (Math.round(fromTop / sector) % this.slotCount) + 1;
+    }
+
+    _aimWheelAt(slot) {
+        const angle = (slot - 1) * ((Math.PI * 2) / this.slotCount) - Math.PI / 2;
+        this.wheel.aim.x = Math.cos(angle) * SoundSystem.WHEEL_RADIUS;
+        this.wheel.aim.y = Math.sin(angle) * SoundSystem.WHEEL_RADIUS;
+        this.wheel.hovered = slot;
+
+        if (this.game.ui) {
+            this.game.ui.updateSoundWheel(slot);
+        }
+    }
+
+    /**
+     * Set volume (affects range; loudness is handled by AudioSystem)
      */
     setVolume(volume) {
         this.volume = volume;
     }
 
+    /**
+     * Release a held State Sound (e.g. when the game pauses)
+     */
+    stopStateSound() {
+        this._handleSoundDeactivation();
+    }
+
+    /**
+     * Stop playing sounds and clear wave visuals (level teardown)
+     * Unlocked slots are kept
+     */
+    reset() {
+        if (this.game.audio) {
+            this.game.audio.stopLoop();
+        }
+
+        this.closeWheel();
+
+        for (const wave of this.soundWaves) {
+            this.game.scene.remove(wave.mesh);
+            wave.mesh.geometry.dispose();
+            wave.mesh.material.dispose();
+        }
+        this.soundWaves = [];
+
+        this.isPlayingState = false;
+        this.stateSoundType = null;
+        this.affectedClofens.clear();
+        this.pendingReactions = [];
+        this.eventResetTimer = 0;
+    }
+
+    /**
+     * Whether recording this type would help: not unlocked yet, or unlocked from a less than perfect take
+     */
+    canImprove(type) {
+        return !this.hasSound(type) || this.quality[type] < 1;
+    }
+
     /**
      * Check if a sound is unlocked
      */
     hasSound(type) {
-        return this.slots[1] === type || this.slots[2] === type;
+        return Object.values(this.slots).includes(type);
     }
 }
@@ -0,0 +1,86 @@
+/**
+ * SoundTypes - Registry of recordable sounds
+ * Each type declares how it plays (state: hold, event: one-shot), its wave visual,
+ * which clofens it reaches and how they react. SoundSystem drives every type the same way.
+ *
+ * Definition fields:
+ *   id, name      - Identifier (stored in slots and saves) and display name
+ *   mode          - 'state' (held, onStart/onStop) or 'event' (one-shot, onTrigger)
+ *   color         - Wave and slot colour
+ *   wave          - { shape: 'ring' | 'cone', maxAge, speed (cone), spawnChance (state) }; rings grow to the sound's reach
+ *   range(volume) - Unobstructed reach from the player in world units (colliders shorten it, see SoundPropagation)
+ *   audio         - { buffer, volume, playbackRate, pitchJitter } (buffer is an AudioSystem key)
+ *   onStart/onStop(clofen, context) or onTrigger(clofen, context)
+ *     context: { player, origin, direction, volume, strength }
+ *     strength - 0.5-1 from the recording's quality; scales range (applied by SoundSystem) and the reaction
+ */
+export class SoundTypes {
+    static registry = {};
+
+    static register(definition) {
+        SoundTypes.registry[definition.id] = definition;
+    }
+
+    static get(id) {
+        return SoundTypes.registry[id] || null;
+    }
+
+    /**
+     * Display name for a type id (falls back to the id)
+     */
+    static nameOf(id) {
+        const type = SoundTypes.get(id);
+        return type ? type.name : id;
+    }
+}
+
+// Gather - clofens walk to the player while held
+SoundTypes.register({
+    id: 'gather',
+    name: 'Gather',
+    mode: 'state',
+    color: 0x7ee787,
+    wave: { shape: 'ring', maxAge: 1.5, spawnChance: 0.1 },
+    // Carries furthest of all - most of the meadow at full volume
+    range: (volume) => 40 * volume,
+    audio: { buffer: 'sheepBaa', volume: 0.45, playbackRate: 0.85 },
+    onStart: (clofen, { strength }) => clofen.startGathering(strength),
+    onStop: (clofen) => clofen.stopGathering(),
+});
+
+// Charge - nearby clofens dash along the camera direction
+SoundTypes.register({
+    id: 'charge',
+    name: 'Charge',
+    mode: 'event',
+    color: 0xff9f43,
+    wave: { shape: 'cone', maxAge: 0.8, speed: 15 },
+    range: (volume) => 8 * volume,
+    audio: { buffer: 'sheepBleat', volume: 0.6, playbackRate: 1.25, pitchJitter: 0.1 },
+    onTrigger: (clofen, { direction, strength }) => clofen.charge(direction, strength),
+});
+
+// Drive - clofens in range mirror the player's steps while held
+SoundTypes.register({
+    id: 'drive',
+    name: 'Drive',
+    mode: 'state',
+    color: 0x4ecdc4,
+    wave: { shape: 'ring', maxAge: 1.0, spawnChance: 0.15 },
+    range: (volume) => 10 * volume,
+    audio: { buffer: 'sheepBaa', volume: 0.4, playbackRate: 1.1 },
+    onStart: (clofen, { strength }) => clofen.startDriving(strength),
+    onStop: (clofen) => clofen.stopDriving(),
+});
+
+// Scatter - clofens in range flee radially from the player
+SoundTypes.register({
+    id: 'scatter',
+    name: 'Scatter',
+    mode: 'event',
+    color: 0xc87878,
+    wave: { shape: 'ring', maxAge: 0.6 },
+    range: (volume) => 10 * volume,
+    audio: { buffer: 'sheepBleat', volume: 0.6, playbackRate: 0.8, pitchJitter: 0.1 },
+    onTrigger: (clofen, { origin, strength }) => clofen.scatter(origin, strength),
+});
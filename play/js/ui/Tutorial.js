@@ -12,21 +12,22 @@ export class Tutorial {
         this.currentTimer = null;
 
         // Tutorial steps - all use inline hints, no blocking overlay
+        // {action} placeholders are replaced with the current key binding
         this.steps = [
             {
-                text: "Use <b>WASD</b> to move, <b>Mouse</b> to look around",
+                text: "Use <b>{move}</b> to move, <b>{look}</b> to look around",
                 duration: 5000,
             },
             {
-                text: "Approach a <b>clofen</b> and hold <b>Q</b> to record its sound",
+                text: "Approach a <b>clofen</b>, face it and hold <b>{record}</b> - stay still to record its sound",
                 duration: 8000,
             },
             {
-                text: "Hold <b>Left Click</b> to play the Gather sound",
+                text: "Hold <b>{soundTrigger}</b> to play the Gather sound",
                 duration: 6000,
             },
             {
-                text: "Find the <b>Bird</b> near the exit and record its <b>Charge</b> sound",
+                text: "Find the <b>Bird</b> near the exit and hold <b>{record}</b> while it chirps, keeping the camera on it, to record <b>Charge</b>. Don't linger - it guards its nest!",
                 duration: 8000,
             },
             {
@@ -36,9 +37,12 @@ export class Tutorial {
         ];
     }
 
-    start() {
+    /**
+     * Start the tutorial, optionally from a saved step
+     */
+    start(step = 0) {
         this.isActive = true;
-        this.currentStep = 0;
+        this.currentStep = step;
 
         // Hide the overlay completely
         const overlay = document.getElementById('tutorial');
@@ -48,7 +52,7 @@ export class Tutorial {
         }
 
         // Show first hint
-        this._showStep(0);
+        this._showStep(step);
     }
 
     _showStep(index) {
@@ -59,6 +63,7 @@ export class Tutorial {
 
         const step = this.steps[index];
         this.currentStep = index;
+        this.game.state.tutorialStep = index;
 
         // Clear any previous timer
         if (this.currentTimer) {
@@ -67,7 +72,7 @@ export class Tutorial {
 
         // Show hint via UIManager
         if (this.game.ui) {
-            this.game.ui.showTutorialHint(step.text, step.duration);
+            this.game.ui.showTutorialHint(this._formatText(step.text), step.duration);
         }
 
         // Auto advance after duration
@@ -78,6 +83,17 @@ export class Tutorial {
         }, step.duration);
     }
 
+    _formatText(text) {
+        const input = this.game.input;
+        if (!input) return text;
+
+        return text.replace(/\{(\w+)\}/g, (match, action) => {
+            if (action === 'move') return input.getMoveLabel();
+            if (action === 'look') return input.getLookLabel();
+            return input.getActionLabel(action);
+        });
+    }
+
     _advanceStep() {
         // Clear current timer
         if (this.currentTimer) {
@@ -98,6 +114,8 @@ export class Tutorial {
 
     _complete() {
         this.isActive = false;
+        this.currentStep = this.steps.length;
+        this.game.state.tutorialStep = this.steps.length;
 
         if (this.currentTimer) {
             clearTimeout(this.currentTimer);
@@ -2,6 +2,9 @@
  * UIManager - Centralized UI controller
  * Manages all UI layers and state in a reactive, organized way
  */
+import { SettingsSystem } from '../systems/SettingsSystem.js';
+import { SoundTypes } from '../systems/SoundTypes.js';
+
 export class UIManager {
     constructor(game) {
         this.game = game;
@@ -12,12 +15,21 @@ export class UIManager {
             hud: document.getElementById('hud'),
             tutorial: document.getElementById('tutorial'),
             victory: document.getElementById('victory-screen'),
+            levelSelect: document.getElementById('level-select'),
+            pause: document.getElementById('pause-menu'),
         };
 
         // HUD element references
         this.elements = {
-            // Sound slots
-            soundSlots: document.querySelectorAll('.sound-slot'),
+            // Sound slots (built by initSoundSlots)
+            soundSlotsContainer: document.getElementById('sound-slots'),
+            soundSlots: [],
+
+            // Sound wheel
+            soundWheel: document.getElementById('sound-wheel'),
+            wheelSegments: document.querySelector('.wheel-segments'),
+            wheelCenter: document.querySelector('.wheel-center'),
+            wheelHint: document.querySelector('.wheel-hint'),
 
             // Volume
             volumeIndicator: document.getElementById('volume-indicator'),
@@ -27,33 +39,52 @@ export class UIManager {
             recordProgress: document.getElementById('record-progress'),
             recordRingFill: document.querySelector('.ring-fill'),
             recordLabel: document.querySelector('.record-label'),
+            recordGain: document.querySelector('.record-gain'),
+            recordGainFill: document.querySelector('.record-gain-fill'),
 
             // Prompts
             interactionPrompt: document.getElementById('interaction-prompt'),
             promptKey: document.querySelector('.prompt-key'),
             promptText: document.querySelector('.prompt-text'),
 
+            // Loading
+            loadingText: document.querySelector('.loading-text'),
+            loadingSpinner: document.querySelector('.loading-spinner'),
+            loadingChoice: document.querySelector('.loading-choice'),
+
+            // Victory / level select
+            victoryTime: document.querySelector('.victory-time'),
+            nextLevelButton: document.querySelector('.btn-next-level'),
+            levelList: document.querySelector('.level-list'),
+
+            // Pause menu
+            pausePanels: document.querySelectorAll('.pause-panel'),
+            settingsList: document.querySelector('.settings-list'),
+            controlsList: document.querySelector('.controls-list'),
+
             // Crosshair
             crosshair: null, // Will be created
         };
 
+        this._loadingTimer = null;
+
         // UI State (single source of truth)
         this.state = {
             activeSlot: 1,
             volume: 0.7,
-            soundSlots: {
-                1: null, // slot1Sound
-                2: null  // slot2Sound
-            },
+            soundSlots: {}, // Slot number -> sound type or null
+            soundQuality: {}, // Sound type -> recording quality 0-1
 
             // Recording state
             isRecording: false,
             recordingSoundType: null,
             recordProgress: 0,
+            recordGain: 0,
+            recordStatus: 'capturing',
 
             // Prompts
             showInteractionPrompt: false,
-            interactionType: null, // 'pet', 'record-gather', 'record-charge'
+            interactionType: null, // 'pet', 'record-<sound type>' or 'wait-<sound type>'
 
             // Notifications queue
             notifications: [],
@@ -68,8 +99,8 @@ export class UIManager {
 
     _init() {
         this._createCrosshair();
-        this._initSoundSlots();
-        this._bindReplayButton();
+        this._bindVictoryButtons();
+        this._bindPauseMenu();
 
         // Set initial states
         this.setVolume(this.state.volume);
@@ -84,23 +115,95 @@ export class UIManager {
         this.elements.crosshair = crosshair;
     }
 
-    _initSoundSlots() {
-        // Initialize slots as empty
-        this.elements.soundSlots.forEach(slot => {
-            const icon = slot.querySelector('.slot-icon');
-            icon.classList.add('empty');
-        });
+    /**
+     * Build the HUD sound slots (called once SoundSystem knows the slot count)
+     */
+    initSoundSlots(count) {
+        const container = this.elements.soundSlotsContainer;
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.state.soundSlots = {};
+
+        for (let n = 1; n <= count; n++) {
+            const slot = document.createElement('div');
+            slot.className = 'sound-slot';
+            slot.dataset.slot = n;
+            slot.innerHTML = `
+                <span class="slot-key">${n}</span>
+                <div class="slot-icon empty"></div>
+                <span class="slot-name">-</span>
+                <div class="slot-quality"><div class="slot-quality-fill"></div></div>
+            `;
+            container.appendChild(slot);
+            this.state.soundSlots[n] = null;
+        }
+
+        this.elements.soundSlots = Array.from(container.children);
     }
 
-    _bindReplayButton() {
-        const replayBtn = document.querySelector('.btn-replay');
-        if (replayBtn) {
-            replayBtn.addEventListener('click', () => {
-                window.location.reload();
-            });
+    _bindVictoryButtons() {
+        const bindings = {
+            '.btn-play-again': () => this.game.replay(),
+            '.btn-next-level': () => this.game.nextLevel(),
+            '.btn-open-levels': () => this.showLevelSelect(),
+            '.btn-close-levels': () => this.hideLevelSelect(),
+        };
+
+        for (const [selector, handler] of Object.entries(bindings)) {
+            const button = document.querySelector(selector);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
         }
     }
 
+    _bindPauseMenu() {
+        const menu = this.layers.pause;
+        if (!menu) return;
+
+        const actions = {
+            resume: () => this.game.resume(),
+            restart: () => this.game.restartLevel(),
+            settings: () => this.showPausePanel('settings'),
+            controls: () => this.showPausePanel('controls'),
+            back: () => this.showPausePanel('main'),
+            'reset-bindings': () => {
+                this.game.input.resetBindings();
+                this._renderControls();
+            },
+            'reset-settings': () => {
+                this.game.settings.reset();
+                this._renderSettings();
+            },
+        };
+
+        menu.addEventListener('click', (e) => {
+            // Rebinding chips
+            const chip = e.target.closest('[data-bind-action]');
+            if (chip) {
+                this._onBindingChipClick(chip);
+                return;
+            }
+
+            const button = e.target.closest('[data-action]');
+            if (button && actions[button.dataset.action]) {
+                actions[button.dataset.action]();
+            }
+        });
+
+        // Right-click a binding chip to remove it
+        menu.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            const chip = e.target.closest('[data-bind-action]');
+            const index = chip ? parseInt(chip.dataset.bindIndex, 10) : -1;
+            if (chip && index >= 0 && !this.game.input.isRebinding
+                && this.game.input.unbind(chip.dataset.bindAction, index)) {
+                this._renderControls();
+            }
+        });
+    }
+
     /**
      * Update UI each frame - handles reactive updates
      */
@@ -130,20 +233,292 @@ export class UIManager {
         }
     }
 
+    showLoading(text = 'Loading Baacadia...') {
+        const loadingScreen = this.layers.loading;
+        if (!loadingScreen) return;
+
+        clearTimeout(this._loadingTimer);
+        if (this.elements.loadingText) {
+            this.elements.loadingText.textContent = text;
+        }
+        loadingScreen.style.display = '';
+        loadingScreen.classList.remove('fade-out');
+    }
+
     hideLoading() {
         const loadingScreen = this.layers.loading;
         if (loadingScreen) {
             loadingScreen.classList.add('fade-out');
-            setTimeout(() => {
+            clearTimeout(this._loadingTimer);
+            this._loadingTimer = setTimeout(() => {
                 loadingScreen.style.display = 'none';
             }, 500);
         }
     }
 
-    showVictory() {
+    /**
+     * Show "Continue" / "New Game" on the loading screen
+     * @returns {Promise<string>} 'continue' or 'new'
+     */
+    promptContinue() {
+        const { loadingText, loadingSpinner, loadingChoice } = this.elements;
+        if (!loadingChoice) return Promise.resolve('new');
+
+        loadingText.textContent = 'Welcome back';
+        loadingSpinner.classList.add('hidden');
+        loadingChoice.classList.remove('hidden');
+
+        return new Promise((resolve) => {
+            const choose = (choice) => {
+                loadingChoice.classList.add('hidden');
+                loadingSpinner.classList.remove('hidden');
+                loadingText.textContent = 'Loading Baacadia...';
+                resolve(choice);
+            };
+
+            loadingChoice.querySelector('.btn-continue')
+                .addEventListener('click', () => choose('continue'), { once: true });
+            loadingChoice.querySelector('.btn-new-game')
+                .addEventListener('click', () => choose('new'), { once: true });
+        });
+    }
+
+    /**
+     * Show victory screen with clear time
+     * @param {Object} result - { levelName, time, bestTime, isNewBest, hasNextLevel }
+     */
+    showVictory(result = {}) {
+        if (this.elements.victoryTime && result.time !== undefined) {
+            const best = result.isNewBest
+                ? 'New best!'
+                : `Best ${this._formatTime(result.bestTime)}`;
+            this.elements.victoryTime.textContent =
+                `${result.levelName} cleared in ${this._formatTime(result.time)} · ${best}`;
+        }
+
+        if (this.elements.nextLevelButton) {
+            this.elements.nextLevelButton.classList.toggle('hidden', !result.hasNextLevel);
+        }
+
         this.showLayer('victory');
     }
 
+    hideVictory() {
+        this.hideLayer('victory');
+    }
+
+    // ========================================
+    // PAUSE MENU
+    // ========================================
+
+    showPause() {
+        this.showPausePanel('main');
+        this.showLayer('pause');
+    }
+
+    hidePause() {
+        this.hideLayer('pause');
+    }
+
+    showPausePanel(name) {
+        // Leaving the controls panel drops any pending rebind
+        if (this.game.input) {
+            this.game.input.cancelRebind();
+        }
+
+        this.elements.pausePanels.forEach(panel => {
+            panel.classList.toggle('hidden', panel.dataset.panel !== name);
+        });
+
+        if (name === 'settings') {
+            this._renderSettings();
+        } else if (name === 'controls') {
+            this._renderControls();
+        }
+    }
+
+    /**
+     * Primary key or button label for an action, following current bindings and device
+     */
+    _actionLabel(action) {
+        return this.game.input ? this.game.input.getActionLabel(action) : '';
+    }
+
+    /**
+     * Build the controls reference with rebindable chips from Input bindings
+     */
+    _renderControls() {
+        const list = this.elements.controlsList;
+        const input = this.game.input;
+        if (!list || !input) return;
+
+        list.innerHTML = '';
+
+        for (const action of Object.keys(input.bindings)) {
+            const term = document.createElement('dt');
+            term.textContent = input.getActionName(action);
+
+            const desc = document.createElement('dd');
+            input.bindings[action].forEach((code, index) => {
+                const chip = document.createElement('button');
+                chip.className = 'binding-chip';
+                chip.dataset.bindAction = action;
+                chip.dataset.bindIndex = index;
+                chip.title = input.bindings[action].length > 1
+                    ? 'Click to rebind, right-click to remove'
+                    : 'Click to rebind';
+                chip.textContent = input.getCodeLabel(code);
+                desc.appendChild(chip);
+            });
+
+            const add = document.createElement('button');
+            add.className = 'binding-chip add';
+            add.dataset.bindAction = action;
+            add.dataset.bindIndex = -1;
+            add.title = 'Add binding';
+            add.textContent = '+';
+            desc.appendChild(add);
+
+            list.append(term, desc);
+        }
+
+        // Fixed controls
+        const fixed = [
+            ['Mouse / Right Stick', 'Look around'],
+            ['Left Stick', 'Move (gamepad)'],
+            ['Scroll', 'Sound volume & range (or cycle slots, see Settings)'],
+        ];
+        for (const [keys, label] of fixed) {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const desc = document.createElement('dd');
+            desc.textContent = keys;
+            list.append(term, desc);
+        }
+    }
+
+    _onBindingChipClick(chip) {
+        const input = this.game.input;
+        const action = chip.dataset.bindAction;
+        const index = parseInt(chip.dataset.bindIndex, 10);
+
+        chip.textContent = 'Press a key or button...';
+        chip.classList.add('listening');
+
+        input.startRebind(action, index, (code, blockedBy) => {
+            this._renderControls();
+            if (blockedBy) {
+                this.showNotification(`
+                    <strong>${input.getCodeLabel(code)}</strong> is the only binding for ${input.getActionName(blockedBy)}
+                    <br><small>Give it another binding first</small>
+                `, { borderColor: '#ff9f43' });
+            }
+        }, chip);
+    }
+
+    /**
+     * Build the settings form from SettingsSystem.SCHEMA
+     */
+    _renderSettings() {
+        const list = this.elements.settingsList;
+        const settings = this.game.settings;
+        if (!list || !settings) return;
+
+        list.innerHTML = '';
+
+        for (const field of SettingsSystem.SCHEMA) {
+            const row = document.createElement('label');
+            row.className = 'setting-row';
+
+            const label = document.createElement('span');
+            label.textContent = field.label;
+            row.appendChild(label);
+
+            const input = document.createElement('input');
+
+            if (field.type === 'toggle') {
+                input.type = 'checkbox';
+                input.checked = settings.get(field.key);
+                input.addEventListener('change', () => settings.set(field.key, input.checked));
+                row.appendChild(input);
+            } else {
+                input.type = 'range';
+                input.min = field.min;
+                input.max = field.max;
+                input.step = field.step;
+                input.value = settings.get(field.key);
+
+                const value = document.createElement('span');
+                value.className = 'setting-value';
+                value.textContent = this._formatSetting(field, input.value);
+
+                input.addEventListener('input', () => {
+                    settings.set(field.key, parseFloat(input.value));
+                    value.textContent = this._formatSetting(field, input.value);
+                });
+
+                const control = document.createElement('span');
+                control.append(input, value);
+                row.appendChild(control);
+            }
+
+            list.appendChild(row);
+        }
+    }
+
+    _formatSetting(field, value) {
+        const num = parseFloat(value);
+        if (field.format === 'percent') return `${Math.round(num * 100)}%`;
+        const decimals = (String(field.step).split('.')[1] || '').length;
+        return num.toFixed(decimals);
+    }
+
+    // ========================================
+    // LEVEL SELECT
+    // ========================================
+
+    showLevelSelect() {
+        const list = this.elements.levelList;
+        if (!list || !this.game.progression) return;
+
+        list.innerHTML = '';
+
+        for (const level of this.game.progression.getLevelSummaries()) {
+            const entry = document.createElement('li');
+            entry.className = 'level-entry' + (level.unlocked ? '' : ' locked');
+
+            const name = document.createElement('span');
+            name.textContent = level.name;
+
+            const best = document.createElement('span');
+            best.className = 'level-best';
+            best.textContent = level.bestTime !== null
+                ? this._formatTime(level.bestTime)
+                : (level.unlocked ? 'Not cleared' : 'Locked');
+
+            entry.append(name, best);
+
+            if (level.unlocked) {
+                entry.addEventListener('click', () => this.game.loadLevel(level.id));
+            }
+
+            list.appendChild(entry);
+        }
+
+        this.showLayer('levelSelect');
+    }
+
+    hideLevelSelect() {
+        this.hideLayer('levelSelect');
+    }
+
+    _formatTime(seconds) {
+        const total = Math.floor(seconds);
+        const minutes = Math.floor(total / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        return `${minutes}:${secs}`;
+    }
+
     // ========================================
     // SOUND SLOT MANAGEMENT
     // ========================================
@@ -152,6 +527,24 @@ export class UIManager {
         this.state.activeSlot = slotNumber;
     }
 
+    /**
+     * Replace all slot contents at once (save restore, reordering) - no record flash
+     */
+    setSoundSlots(slots) {
+        this.state.soundSlots = { ...slots };
+    }
+
+    /**
+     * Recording quality shown as a bar under a slot
+     */
+    setSoundQuality(soundType, quality) {
+        this.state.soundQuality[soundType] = quality;
+    }
+
+    setSoundQualities(qualities) {
+        this.state.soundQuality = { ...qualities };
+    }
+
     setSoundForSlot(slotNumber, soundType) {
         this.state.soundSlots[slotNumber] = soundType;
 
@@ -177,21 +570,107 @@ export class UIManager {
                 slotEl.classList.remove('active');
             }
 
+            // Key hint follows current binding
+            const key = slotEl.querySelector('.slot-key');
+            if (key && this.game.input) {
+                key.textContent = this._actionLabel(`slot${slotNumber}`);
+            }
+
             // Update sound icon and name
             const icon = slotEl.querySelector('.slot-icon');
             const name = slotEl.querySelector('.slot-name');
+            const quality = slotEl.querySelector('.slot-quality');
 
             if (soundType) {
                 icon.classList.remove('empty');
                 icon.className = 'slot-icon ' + soundType;
-                name.textContent = soundType.charAt(0).toUpperCase() + soundType.slice(1);
+                name.textContent = SoundTypes.nameOf(soundType);
             } else {
                 icon.className = 'slot-icon empty';
                 name.textContent = '-';
             }
+
+            // Quality bar (hidden for empty slots)
+            if (quality) {
+                const value = soundType ? (this.state.soundQuality[soundType] ?? 1) : 0;
+                quality.classList.toggle('hidden', !soundType);
+                quality.classList.toggle('low', value < 0.5);
+                quality.firstElementChild.style.width = `${Math.round(value * 100)}%`;
+            }
         });
     }
 
+    // ========================================
+    // SOUND WHEEL
+    // ========================================
+
+    /**
+     * Show the radial wheel with one segment per slot (slot 1 at the top, clockwise)
+     */
+    showSoundWheel(slots, activeSlot) {
+        const wheel = this.elements.soundWheel;
+        const container = this.elements.wheelSegments;
+        if (!wheel || !container) return;
+
+        const numbers = Object.keys(slots).map(Number);
+        const radius = 110;
+
+        container.innerHTML = '';
+        for (const n of numbers) {
+            const angle = (n - 1) * ((Math.PI * 2) / numbers.length) - Math.PI / 2;
+            const soundType = slots[n];
+
+            const segment = document.createElement('div');
+            segment.className = 'wheel-segment';
+            segment.dataset.slot = n;
+            segment.classList.toggle('active', n === activeSlot);
+            segment.style.transform =
+                `translate(${Math.cos(angle) * radius}px, ${Math.sin(angle) * radius}px)`;
+            segment.innerHTML = `
+                <span class="slot-key">${this._actionLabel(`slot${n}`)}</span>
+                <div class="slot-icon ${soundType || 'empty'}"></div>
+                <span class="slot-name">${soundType ? SoundTypes.nameOf(soundType) : '-'}</span>
+            `;
+            container.appendChild(segment);
+        }
+
+        if (this.elements.wheelHint) {
+            const prev = this._actionLabel('slotPrev');
+            const next = this._actionLabel('slotNext');
+            this.elements.wheelHint.textContent =
+                `Release to select · number keys or ${prev}/${next} move the highlighted sound`;
+        }
+
+        wheel.classList.remove('hidden');
+        this.updateSoundWheel(this._wheelHovered ?? null);
+    }
+
+    /**
+     * Highlight the aimed-at segment
+     */
+    updateSoundWheel(hoveredSlot) {
+        this._wheelHovered = hoveredSlot;
+
+        const container = this.elements.wheelSegments;
+        if (!container) return;
+
+        for (const segment of container.children) {
+            segment.classList.toggle('hovered', Number(segment.dataset.slot) === hoveredSlot);
+        }
+
+        if (this.elements.wheelCenter) {
+            const soundType = hoveredSlot ? this.state.soundSlots[hoveredSlot] : null;
+            this.elements.wheelCenter.textContent = soundType ? SoundTypes.nameOf(soundType) : 'Sounds';
+        }
+    }
+
+    hideSoundWheel() {
+        this._wheelHovered = null;
+        if (this.elements.soundWheel) {
+            this.elements.soundWheel.classList.add('hidden');
+        }
+    }
+
     // ========================================
     // VOLUME
     // ========================================
@@ -213,8 +692,15 @@ export class UIManager {
         this.state.recordProgress = 0;
     }
 
-    updateRecordingProgress(progress) {
+    /**
+     * @param {number} progress - 0-1
+     * @param {number} [gain] - Signal gain 0-1 (gain meter)
+     * @param {string} [status] - 'capturing', 'aim', 'far' or 'waiting'
+     */
+    updateRecordingProgress(progress, gain = 1, status = 'capturing') {
         this.state.recordProgress = progress;
+        this.state.recordGain = gain;
+        this.state.recordStatus = status;
     }
 
     hideRecording() {
@@ -237,9 +723,22 @@ export class UIManager {
                 this.elements.recordRingFill.style.strokeDashoffset = offset;
             }
 
+            // Gain meter - dimmed while nothing is being captured
+            if (this.elements.recordGainFill) {
+                this.elements.recordGainFill.style.width = `${Math.round(this.state.recordGain * 100)}%`;
+                this.elements.recordGain.classList.toggle('idle', this.state.recordStatus !== 'capturing');
+            }
+
             // Update label
             if (this.elements.recordLabel) {
-                this.elements.recordLabel.textContent = `Recording ${this.state.recordingSoundType}...`;
+                const name = SoundTypes.nameOf(this.state.recordingSoundType);
+                const labels = {
+                    capturing: `Recording ${name}...`,
+                    aim: `Aim at the ${name} sound`,
+                    far: 'Too far - move closer',
+                    waiting: `Waiting for ${name}...`,
+                };
+                this.elements.recordLabel.textContent = labels[this.state.recordStatus];
             }
         } else {
             progressEl.classList.add('hidden');
@@ -270,19 +769,23 @@ export class UIManager {
             const keyEl = this.elements.promptKey;
             const textEl = this.elements.promptText;
 
-            switch (this.state.interactionType) {
-                case 'pet':
-                    keyEl.textContent = 'E';
-                    textEl.textContent = 'Pet';
-                    break;
-                case 'record-gather':
-                    keyEl.textContent = 'Q';
-                    textEl.textContent = 'Record Gather';
-                    break;
-                case 'record-charge':
-                    keyEl.textContent = 'Q';
-                    textEl.textContent = 'Record Charge';
-                    break;
+            const type = this.state.interactionType;
+            if (type === 'pet') {
+                keyEl.textContent = this._actionLabel('pet');
+                textEl.textContent = 'Pet';
+            } else if (type.startsWith('record-')) {
+                keyEl.textContent = this._actionLabel('record');
+                textEl.textContent = `Record ${SoundTypes.nameOf(type.slice('record-'.length))}`;
+            } else if (type.startsWith('rerecord-')) {
+                // Already unlocked from a weaker take
+                const soundType = type.slice('rerecord-'.length);
+                const quality = Math.round((this.state.soundQuality[soundType] ?? 1) * 100);
+                keyEl.textContent = this._actionLabel('record');
+                textEl.textContent = `Re-record ${SoundTypes.nameOf(soundType)} (${quality}%)`;
+            } else if (type.startsWith('wait-')) {
+                // Source is in range but silent (bird between chirps)
+                keyEl.textContent = '…';
+                textEl.textContent = `Listen for ${SoundTypes.nameOf(type.slice('wait-'.length))}`;
             }
         } else {
             prompt.classList.add('hidden');
@@ -398,12 +901,41 @@ export class UIManager {
 
     /**
      * Show a completion notification when sound is recorded
+     * @param {number} [quality] - Quality of this take (0-1)
+     * @param {number|null} [previousQuality] - Quality of the take it's replacing, if re-recorded
+     */
+    notifySoundRecorded(soundType, slotNumber, quality = 1, previousQuality = null) {
+        const name = SoundTypes.nameOf(soundType).toUpperCase();
+        const percent = (value) => `${Math.round(value * 100)}%`;
+
+        if (previousQuality === null) {
+            this.showNotification(`
+                <strong>${name}</strong> sound recorded! Quality ${percent(quality)}
+                <br><small>Press ${this._actionLabel(`slot${slotNumber}`)} to select</small>
+            `);
+        } else if (quality > previousQuality) {
+            this.showNotification(`
+                <strong>${name}</strong> re-recorded!
+                <br><small>Quality ${percent(previousQuality)} → ${percent(quality)}</small>
+            `);
+        } else {
+            this.showNotification(`
+                <strong>${name}</strong> take was weaker (${percent(quality)})
+                <br><small>Kept the earlier recording (${percent(previousQuality)})</small>
+            `);
+        }
+    }
+
+    /**
+     * Warn that the bird is about to dive at the player
      */
-    notifySoundRecorded(soundType, slotNumber) {
+    notifyBirdWarning() {
         this.showNotification(`
-            <strong>${soundType.toUpperCase()}</strong> sound recorded!
-            <br><small>Press ${slotNumber} to select</small>
-        `);
+            <strong>The Bird screeches!</strong>
+            <br><small>Back off or it will dive at you</small>
+        `, {
+            borderColor: '#ff9f43'
+        });
     }
 
     /**
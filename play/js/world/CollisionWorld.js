@@ -0,0 +1,214 @@
+/**
+ * CollisionWorld - Shared 2D (x/z) circle collision for the level
+ * Static colliders are registered by whatever builds them (Scene, Environment, SoundStone);
+ * moving entities register a body and call resolve() after they move.
+ * A spatial hash keeps each resolve to the nearby cells.
+ */
+export class CollisionWorld {
+    // Hash cell size in world units
+    static CELL_SIZE = 4;
+
+    // Body types that pass through each other
+    static IGNORE = {
+        player: ['mossBall'], // Scout floats over the moss ball
+        mossBall: ['player'],
+    };
+
+    /**
+     * @param {number} bounds - Half-size of the fenced area
+     */
+    constructor(bounds) {
+        this.bounds = bounds;
+
+        this.statics = [];
+        this.bodies = [];
+
+        this._staticCells = new Map();
+        this._bodyCells = new Map();
+
+        // Largest radius seen, so queries reach colliders centred in neighbouring cells
+        this._maxRadius = 0;
+    }
+
+    // ========================================
+    // REGISTRATION
+    // ========================================
+
+    /**
+     * Add an immovable circle (rock, tree, stone, prop)
+     * @returns {Object} Collider { x, z, r, type }
+     */
+    addStatic(x, z, r, type = 'prop') {
+        const collider = { x, z, r, type };
+        this.statics.push(collider);
+        this._insert(this._staticCells, collider, x, z);
+        this._maxRadius = Math.max(this._maxRadius, r);
+        return collider;
+    }
+
+    /**
+     * Add a moving circle that tracks its owner's position and velocity
+     * @param {Object} owner - Entity with position and velocity vectors
+     * @param {Object} options
+     * @param {string} options.type - 'player', 'clofen', 'mossBall'
+     * @param {number} options.radius
+     * @param {number} [options.mass] - Heavier bodies give way less
+     * @param {number} [options.restitution] - Bounce off statics and the fence (0 = slide)
+     * @param {number} [options.stiffness] - Share of the overlap resolved per step (< 1 is soft)
+     * @param {number} [options.boundsPadding] - How far past the fence the body may go
+     * @returns {Object} Body
+     */
+    addBody(owner, { type, radius, mass = 1, restitution = 0, stiffness = 1, boundsPadding = 0 }) {
+        const body = {
+            owner,
+            type,
+            radius,
+            mass,
+            restitution,
+            stiffness,
+            boundsPadding,
+            position: owner.position,
+            velocity: owner.velocity,
+        };
+        this.bodies.push(body);
+        this._maxRadius = Math.max(this._maxRadius, radius);
+        return body;
+    }
+
+    removeBody(body) {
+        const index = this.bodies.indexOf(body);
+        if (index !== -1) this.bodies.splice(index, 1);
+    }
+
+    // ========================================
+    // SPATIAL HASH
+    // ========================================
+
+    _key(cx, cz) {
+        return `${cx},${cz}`;
+    }
+
+    _insert(cells, item, x, z) {
+        const size = CollisionWorld.CELL_SIZE;
+        const key = this._key(Math.floor(x / size), Math.floor(z / size));
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(item);
+    }
+
+    _query(cells, x, z, range, out) {
+        const size = CollisionWorld.CELL_SIZE;
+        const minX = Math.floor((x - range) / size);
+        const maxX = Math.floor((x + range) / size);
+        const minZ = Math.floor((z - range) / size);
+        const maxZ = Math.floor((z + range) / size);
+
+        for (let cz = minZ; cz <= maxZ; cz++) {
+            for (let cx = minX; cx <= maxX; cx++) {
+                const items = cells.get(this._key(cx, cz));
+                if (items) out.push(...items);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Rebuild the body hash from current positions (once per frame, before entities move)
+     */
+    update() {
+        this._bodyCells.clear();
+        for (const body of this.bodies) {
+            this._insert(this._bodyCells, body, body.position.x, body.position.z);
+        }
+    }
+
+    /**
+     * Static colliders whose edge is within range of a point
+     */
+    queryStatics(x, z, range) {
+        const candidates = this._query(this._staticCells, x, z, range + this._maxRadius, []);
+        return candidates.filter(c => Math.hypot(c.x - x, c.z - z) - c.r <= range);
+    }
+
+    /**
+     * Bodies whose centre is within range of a point, optionally of one type
+     */
+    queryBodies(x, z, range, type = null) {
+        const candidates = this._query(this._bodyCells, x, z, range, []);
+        return candidates.filter(b =>
+            (!type || b.type === type) && Math.hypot(b.position.x - x, b.position.z - z) <= range
+        );
+    }
+
+    // ========================================
+    // RESOLVE
+    // ========================================
+
+    /**
+     * Push a body out of statics, other bodies and the fence
+     * Each body moves its own share of an overlap, so two bodies resolving themselves separate fully
+     * @returns {Object[]} Contacts { other, isStatic, nx, nz, overlap } (normal points away from other)
+     */
+    resolve(body) {
+        const contacts = [];
+        const { x, z } = body.position;
+        const range = body.radius + this._maxRadius;
+
+        for (const collider of this._query(this._staticCells, x, z, range, [])) {
+            this._separate(body, collider, collider.x, collider.z, collider.r, Infinity, contacts);
+        }
+
+        const ignored = CollisionWorld.IGNORE[body.type] || [];
+        for (const other of this._query(this._bodyCells, x, z, range, [])) {
+            if (other === body || ignored.includes(other.type)) continue;
+            this._separate(body, other, other.position.x, other.position.z, other.radius, other.mass, contacts);
+        }
+
+        this._clampToBounds(body);
+        return contacts;
+    }
+
+    _separate(body, other, ox, oz, otherRadius, otherMass, contacts) {
+        const dx = body.position.x - ox;
+        const dz = body.position.z - oz;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        const minDist = body.radius + otherRadius;
+        if (dist >= minDist || dist === 0) return;
+
+        const nx = dx / dist;
+        const nz = dz / dist;
+        const overlap = minDist - dist;
+        const isStatic = otherMass === Infinity;
+
+        // Lighter bodies take more of the push
+        const share = isStatic ? 1 : otherMass / (body.mass + otherMass);
+        const push = overlap * share * (isStatic ? 1 : body.stiffness);
+        body.position.x += nx * push;
+        body.position.z += nz * push;
+
+        // Statics stop (or bounce) velocity into them; bodies react through the contact list
+        if (isStatic) {
+            const velDot = body.velocity.x * nx + body.velocity.z * nz;
+            if (velDot < 0) {
+                body.velocity.x -= nx * velDot * (1 + body.restitution);
+                body.velocity.z -= nz * velDot * (1 + body.restitution);
+            }
+        }
+
+        contacts.push({ other, isStatic, nx, nz, overlap });
+    }
+
+    _clampToBounds(body) {
+        const limit = this.bounds + body.boundsPadding;
+
+        for (const axis of ['x', 'z']) {
+            const p = body.position[axis];
+            if (Math.abs(p) <= limit) continue;
+
+            body.position[axis] = Math.sign(p) * limit;
+            // Moving outwards - stop, or bounce back in
+            if (Math.sign(body.velocity[axis]) === Math.sign(p)) {
+                body.velocity[axis] *= -body.restitution;
+            }
+        }
+    }
+}
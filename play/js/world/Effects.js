@@ -166,6 +166,19 @@ export class Effects {
         this._updateTrails(dt);
     }
 
+    /**
+     * Remove all active particles and trails (level teardown)
+     */
+    clear() {
+        for (const effect of [...this.particles, ...this.trails]) {
+            this.game.scene.remove(effect.mesh);
+            effect.mesh.geometry.dispose();
+            effect.mesh.material.dispose();
+        }
+        this.particles = [];
+        this.trails = [];
+    }
+
     _updateParticles(dt) {
         for (let i = this.particles.length - 1; i >= 0; i--) {
             const particle = this.particles[i];
@@ -226,28 +239,28 @@ export class Effects {
      */
     spawnHearts(position) {
         // Spawn 2-3 hearts for a flourish effect
-        const heartCount = 2 + Math.floor(Math.random() * 2);
+        const heartCount = 2 + Math.floor(this.game.random.next() * 2);
 
         for (let i = 0; i < heartCount; i++) {
             const heart = this._createHeart();
             heart.position.copy(position);
             heart.position.y += 1.5;
             // Add random X and Z offset for spread
-            heart.position.x += (Math.random() - 0.5) * 0.6;
-            heart.position.z += (Math.random() - 0.5) * 0.6;
+            heart.position.x += (this.game.random.next() - 0.5) * 0.6;
+            heart.position.z += (this.game.random.next() - 0.5) * 0.6;
 
             this.game.scene.add(heart);
 
             this.particles.push({
                 mesh: heart,
                 velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 1.5, // Random X velocity
-                    2 + Math.random() * 1.5,     // Upward with variation
-                    (Math.random() - 0.5) * 1.5  // Random Z velocity
+                    (this.game.random.next() - 0.5) * 1.5, // Random X velocity
+                    2 + this.game.random.next() * 1.5,     // Upward with variation
+                    (this.game.random.next() - 0.5) * 1.5  // Random Z velocity
                 ),
                 age: 0,
-                lifetime: 1.5 + Math.random() * 0.5,
-                startScale: 0.5 + Math.random() * 0.3, // Varied sizes
+                lifetime: 1.5 + this.game.random.next() * 0.5,
+                startScale: 0.5 + this.game.random.next() * 0.3, // Varied sizes
                 isBillboard: true, // Mark as billboard to face camera
             });
         }
@@ -351,9 +364,9 @@ export class Effects {
             this.particles.push({
                 mesh: debris,
                 velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 5,
-                    3 + Math.random() * 3,
-                    (Math.random() - 0.5) * 5
+                    (this.game.random.next() - 0.5) * 5,
+                    3 + this.game.random.next() * 3,
+                    (this.game.random.next() - 0.5) * 5
                 ),
                 age: 0,
                 lifetime: 1,
@@ -386,7 +399,7 @@ export class Effects {
                 mesh: sparkle,
                 velocity: new THREE.Vector3(
                     Math.cos(angle) * 3,
-                    2 + Math.random() * 2,
+                    2 + this.game.random.next() * 2,
                     Math.sin(angle) * 3
                 ),
                 age: 0,
@@ -406,7 +419,7 @@ export class Effects {
         for (let i = 0; i < 50; i++) {
             const geometry = new THREE.SphereGeometry(0.1, 8, 6);
             const material = new THREE.MeshBasicMaterial({
-                color: colors[Math.floor(Math.random() * colors.length)],
+                color: this.game.random.pick(colors),
                 transparent: true,
                 opacity: 1,
             });
@@ -417,9 +430,9 @@ export class Effects {
 
             this.game.scene.add(particle);
 
-            const angle = Math.random() * Math.PI * 2;
-            const elevation = Math.random() * Math.PI / 2;
-            const speed = 5 + Math.random() * 5;
+            const angle = this.game.random.next() * Math.PI * 2;
+            const elevation = this.game.random.next() * Math.PI / 2;
+            const speed = 5 + this.game.random.next() * 5;
 
             this.particles.push({
                 mesh: particle,
@@ -429,8 +442,8 @@ export class Effects {
                     Math.sin(angle) * Math.cos(elevation) * speed
                 ),
                 age: 0,
-                lifetime: 2 + Math.random(),
-                startScale: 0.15 + Math.random() * 0.1,
+                lifetime: 2 + this.game.random.next(),
+                startScale: 0.15 + this.game.random.next() * 0.1,
             });
         }
     }
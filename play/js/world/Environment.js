@@ -1,3 +1,5 @@
+import { Level } from './Level.js';
+
 /**
  * Environment - Decorative elements (grass, flowers, butterflies)
  * Adds visual juice and atmosphere
@@ -36,13 +38,7 @@ export class Environment {
         });
 
         // Create grass in several patches
-        const patches = [
-            { x: 10, z: 5, count: 200, radius: 8 },
-            { x: -10, z: -5, count: 150, radius: 6 },
-            { x: 15, z: -15, count: 180, radius: 7 },
-            { x: -15, z: 10, count: 160, radius: 6 },
-            { x: 0, z: 15, count: 200, radius: 10 },
-        ];
+        const patches = this.game.level.terrain.grassPatches;
 
         for (const patch of patches) {
             const instancedMesh = new THREE.InstancedMesh(
@@ -55,17 +51,17 @@ export class Environment {
             const grassData = [];
 
             for (let i = 0; i < patch.count; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const r = Math.random() * patch.radius;
+                const angle = this.game.random.next() * Math.PI * 2;
+                const r = this.game.random.next() * patch.radius;
 
                 const x = patch.x + Math.cos(angle) * r;
                 const z = patch.z + Math.sin(angle) * r;
 
                 dummy.position.set(x, 0, z);
-                dummy.rotation.y = Math.random() * Math.PI;
+                dummy.rotation.y = this.game.random.next() * Math.PI;
                 dummy.scale.set(
-                    0.8 + Math.random() * 0.4,
-                    0.6 + Math.random() * 0.8,
+                    0.8 + this.game.random.next() * 0.4,
+                    0.6 + this.game.random.next() * 0.8,
                     1
                 );
                 dummy.updateMatrix();
@@ -73,8 +69,8 @@ export class Environment {
 
                 grassData.push({
                     x, z,
-                    phase: Math.random() * Math.PI * 2,
-                    speed: 0.5 + Math.random() * 0.5,
+                    phase: this.game.random.next() * Math.PI * 2,
+                    speed: 0.5 + this.game.random.next() * 0.5,
                 });
             }
 
@@ -102,22 +98,16 @@ export class Environment {
             0x586575, // Blue-gray accent
         ];
 
-        const flowerPositions = [
-            { x: 8, z: 12, count: 15 },
-            { x: -12, z: 8, count: 12 },
-            { x: 18, z: -10, count: 10 },
-            { x: -5, z: -18, count: 14 },
-            { x: 25, z: 15, count: 8 },
-        ];
+        const flowerPositions = this.game.level.terrain.flowerClusters;
 
         for (const cluster of flowerPositions) {
             for (let i = 0; i < cluster.count; i++) {
                 const flower = this._createFlower(
-                    flowerColors[Math.floor(Math.random() * flowerColors.length)]
+                    this.game.random.pick(flowerColors)
                 );
 
-                const angle = Math.random() * Math.PI * 2;
-                const r = Math.random() * 3;
+                const angle = this.game.random.next() * Math.PI * 2;
+                const r = this.game.random.next() * 3;
 
                 flower.position.set(
                     cluster.x + Math.cos(angle) * r,
@@ -128,7 +118,7 @@ export class Environment {
                 this.game.scene.add(flower);
                 this.flowers.push({
                     mesh: flower,
-                    phase: Math.random() * Math.PI * 2,
+                    phase: this.game.random.next() * Math.PI * 2,
                 });
             }
         }
@@ -184,18 +174,13 @@ export class Environment {
     _createTrees() {
         // Create simple stylized trees
 
-        const treePositions = [
-            { x: -25, z: -25, scale: 1.2 },
-            { x: 25, z: -20, scale: 1.0 },
-            { x: 30, z: 20, scale: 1.3 },
-            { x: -20, z: 30, scale: 1.1 },
-            { x: 35, z: -5, scale: 0.9 },
-        ];
+        const treePositions = this.game.level.terrain.trees;
 
         for (const pos of treePositions) {
             const tree = this._createTree(pos.scale);
             tree.position.set(pos.x, 0, pos.z);
             this.game.scene.add(tree);
+            this.game.collision.addStatic(pos.x, pos.z, pos.radius ?? Level.TREE_RADIUS, 'tree');
         }
     }
 
@@ -244,28 +229,28 @@ export class Environment {
         // Art Bible colors for butterflies
         const butterflyColors = [0xCB597D, 0x7EFFD0, 0xD7F53D, 0xFFB27D];
 
-        for (let i = 0; i < 8; i++) {
+        for (let i = 0; i < this.game.level.terrain.butterflies; i++) {
             const butterfly = this._createButterfly(
                 butterflyColors[i % butterflyColors.length]
             );
 
             // Random starting position
             butterfly.position.set(
-                (Math.random() - 0.5) * 40,
-                1 + Math.random() * 2,
-                (Math.random() - 0.5) * 40
+                (this.game.random.next() - 0.5) * 40,
+                1 + this.game.random.next() * 2,
+                (this.game.random.next() - 0.5) * 40
             );
 
             this.game.scene.add(butterfly);
 
             this.butterflies.push({
                 mesh: butterfly,
-                phase: Math.random() * Math.PI * 2,
+                phase: this.game.random.next() * Math.PI * 2,
                 centerX: butterfly.position.x,
                 centerZ: butterfly.position.z,
-                radius: 3 + Math.random() * 5,
-                speed: 0.3 + Math.random() * 0.4,
-                wingPhase: Math.random() * Math.PI * 2,
+                radius: 3 + this.game.random.next() * 5,
+                speed: 0.3 + this.game.random.next() * 0.4,
+                wingPhase: this.game.random.next() * Math.PI * 2,
             });
         }
     }
@@ -0,0 +1,124 @@
+/**
+ * Level - Data-driven level description
+ * Loads a level JSON file (terrain props, colliders, spawns, exit, win condition)
+ * Colliders are registered with CollisionWorld by whatever builds each prop
+ * and exposes it to Scene, Environment, Player, PuzzleSystem and the entities
+ */
+export class Level {
+    // Collider radius used for tree trunks when a tree doesn't specify one
+    static TREE_RADIUS = 1;
+
+    // Collider radius of a sound stone
+    static SOUND_STONE_RADIUS = 0.7;
+
+    constructor(data) {
+        this.id = data.id || 'untitled';
+        this.name = data.name || this.id;
+
+        // Seeds Game.random for this level (decoration layout, wandering, effects)
+        this.seed = data.seed ?? this.id;
+        this.bounds = data.bounds ?? 38;
+
+        this.player = { x: 0, z: 0, ...data.player };
+
+        const terrain = data.terrain || {};
+        this.terrain = {
+            rocks: terrain.rocks || [],
+            stones: { count: 0, spread: 70, ...terrain.stones },
+            trees: terrain.trees || [],
+            grassPatches: terrain.grassPatches || [],
+            flowerClusters: terrain.flowerClusters || [],
+            butterflies: terrain.butterflies ?? 0,
+            stream: terrain.stream || null,
+        };
+
+        this.clofens = data.clofens || [];
+        this.soundSources = data.soundSources || [];
+        this.bird = data.bird ? { y: 2, patrolRadius: 6, ...data.bird } : null;
+
+        // Moss balls - `mossBalls` list, or the older single `mossBall`
+        const mossBalls = data.mossBalls || (data.mossBall ? [data.mossBall] : []);
+        this.mossBalls = mossBalls.map((ball, i) => ({ id: `mossBall-${i}`, radius: 0.8, mass: 5, ...ball }));
+        // Without a moss ball there's nothing blocking the exit
+        this.exit = { x: 0, z: this.bounds, radius: 3, startsOpen: this.mossBalls.length === 0, ...data.exit };
+
+        // Puzzle rules (see PuzzleRules); older levels describe theirs with winCondition
+        this.winCondition = {
+            mossBallClearance: 5,
+            clofensRequired: 1,
+            clofenRadius: 10,
+            ...data.winCondition,
+        };
+        this.puzzle = { rules: [], ...(data.puzzle || this._rulesFromWinCondition()) };
+
+        // Extra invisible circles { x, z, r } (rocks, trees and stones bring their own)
+        this.colliders = data.colliders || [];
+    }
+
+    /**
+     * The classic puzzle: moss balls away from the exit open it,
+     * then reach it with enough clofens nearby
+     */
+    _rulesFromWinCondition() {
+        const { x, z, radius } = this.exit;
+        const win = this.winCondition;
+        const rules = [];
+
+        if (this.mossBalls.length > 0) {
+            rules.push({
+                id: 'clear-exit',
+                when: { type: 'objectAwayFrom', object: 'mossBall', x, z, distance: win.mossBallClearance },
+                then: [{ type: 'openGate' }],
+            });
+        }
+
+        rules.push({
+            id: 'reach-exit',
+            when: {
+                all: [
+                    { type: 'gateOpen' },
+                    { type: 'zone', x, z, radius },
+                    { type: 'clofensInArea', x, z, radius: win.clofenRadius, count: win.clofensRequired },
+                ],
+            },
+            then: [{ type: 'victory' }],
+        });
+
+        return { rules };
+    }
+
+    /**
+     * Fetch and parse a level JSON file
+     * @param {string} url - Path to the level file
+     * @returns {Promise<Level>}
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load level: ${url} (${response.status})`);
+        }
+        const data = await response.json();
+        return new Level(data);
+    }
+
+    /**
+     * Path of a level file by id
+     */
+    static urlFor(id) {
+        return `assets/levels/${id}.json`;
+    }
+
+    /**
+     * Level id from the ?level= query parameter, or null
+     */
+    static idFromQuery() {
+        return new URLSearchParams(window.location.search).get('level');
+    }
+
+    /**
+     * Exit position as a Vector3
+     */
+    getExitPosition() {
+        return new THREE.Vector3(this.exit.x, 0, this.exit.z);
+    }
+}
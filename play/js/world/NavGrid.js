@@ -0,0 +1,279 @@
+/**
+ * NavGrid - Walkability grid built from the collision world's statics, with A* pathing
+ * Colliders are inflated by the agent radius, so a path that clears the grid clears the rocks
+ */
+export class NavGrid {
+    // Diagonal step cost
+    static SQRT2 = Math.SQRT2;
+
+    /**
+     * @param {CollisionWorld} collision - Statics must already be registered
+     * @param {Object} [options]
+     * @param {number} [options.cellSize] - World units per cell
+     * @param {number} [options.agentRadius] - Clearance kept from colliders and the fence
+     */
+    constructor(collision, { cellSize = 1, agentRadius = 0.6 } = {}) {
+        this.cellSize = cellSize;
+        this.agentRadius = agentRadius;
+        this.bounds = collision.bounds;
+
+        // Grid covers [-bounds, bounds] on both axes
+        this.size = Math.ceil((this.bounds * 2) / cellSize);
+        this.blocked = new Uint8Array(this.size * this.size);
+
+        this._markColliders(collision.statics);
+    }
+
+    /**
+     * Block the cells under a collider added after the grid was built
+     */
+    addCollider(collider) {
+        this._markColliders([collider]);
+    }
+
+    _markColliders(colliders) {
+        for (const collider of colliders) {
+            const r = collider.r + this.agentRadius;
+            const minX = this._toCell(collider.x - r);
+            const maxX = this._toCell(collider.x + r);
+            const minZ = this._toCell(collider.z - r);
+            const maxZ = this._toCell(collider.z + r);
+
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                for (let cx = minX; cx <= maxX; cx++) {
+                    // Block the cell if its centre is inside the inflated circle
+                    const dx = this._toWorld(cx) - collider.x;
+                    const dz = this._toWorld(cz) - collider.z;
+                    if (dx * dx + dz * dz <= r * r) {
+                        this.blocked[cz * this.size + cx] = 1;
+                    }
+                }
+            }
+        }
+    }
+
+    _toCell(v) {
+        const cell = Math.floor((v + this.bounds) / this.cellSize);
+        return Math.max(0, Math.min(this.size - 1, cell));
+    }
+
+    _toWorld(cell) {
+        return (cell + 0.5) * this.cellSize - this.bounds;
+    }
+
+    _isOpen(cx, cz) {
+        if (cx < 0 || cz < 0 || cx >= this.size || cz >= this.size) return false;
+        return this.blocked[cz * this.size + cx] === 0;
+    }
+
+    /**
+     * Whether an agent can stand at a world position
+     */
+    isWalkable(x, z) {
+        const limit = this.bounds - this.agentRadius;
+        if (Math.abs(x) > limit || Math.abs(z) > limit) return false;
+        return this._isOpen(this._toCell(x), this._toCell(z));
+    }
+
+    /**
+     * Whether a straight walk from a to b stays on open cells
+     */
+    hasLineOfSight(a, b) {
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const steps = Math.ceil(Math.sqrt(dx * dx + dz * dz) / (this.cellSize * 0.5));
+
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            if (!this._isOpen(this._toCell(a.x + dx * t), this._toCell(a.z + dz * t))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Nearest open cell to a world position (spiral search), or null
+     */
+    _nearestOpenCell(x, z, maxRing = 6) {
+        const cx = this._toCell(x);
+        const cz = this._toCell(z);
+        if (this._isOpen(cx, cz)) return { cx, cz };
+
+        let best = null;
+        let bestDist = Infinity;
+        for (let ring = 1; ring <= maxRing && !best; ring++) {
+            for (let oz = -ring; oz <= ring; oz++) {
+                for (let ox = -ring; ox <= ring; ox++) {
+                    if (Math.max(Math.abs(ox), Math.abs(oz)) !== ring) continue;
+                    if (!this._isOpen(cx + ox, cz + oz)) continue;
+
+                    const dist = ox * ox + oz * oz;
+                    if (dist < bestDist) {
+                        bestDist = dist;
+                        best = { cx: cx + ox, cz: cz + oz };
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * A* from one world position to another
+     * A blocked goal is moved to the nearest open cell
+     * @param {{x: number, z: number}} from
+     * @param {{x: number, z: number}} to
+     * @returns {THREE.Vector3[]|null} Waypoints after `from` (smoothed), or null if unreachable
+     */
+    findPath(from, to) {
+        const start = this._nearestOpenCell(from.x, from.z);
+        const goal = this._nearestOpenCell(to.x, to.z);
+        if (!start || !goal) return null;
+
+        const size = this.size;
+        const startIndex = start.cz * size + start.cx;
+        const goalIndex = goal.cz * size + goal.cx;
+
+        const gScore = new Float32Array(size * size).fill(Infinity);
+        const cameFrom = new Int32Array(size * size).fill(-1);
+        const closed = new Uint8Array(size * size);
+        const open = new MinHeap();
+
+        gScore[startIndex] = 0;
+        open.push(startIndex, this._heuristic(start.cx, start.cz, goal.cx, goal.cz));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goalIndex) {
+                return this._buildPath(cameFrom, current, from, to);
+            }
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const cx = current % size;
+            const cz = (current - cx) / size;
+
+            for (let oz = -1; oz <= 1; oz++) {
+                for (let ox = -1; ox <= 1; ox++) {
+                    if (ox === 0 && oz === 0) continue;
+
+                    const nx = cx + ox;
+                    const nz = cz + oz;
+                    if (!this._isOpen(nx, nz)) continue;
+
+                    // No cutting corners past a blocked cell
+                    if (ox !== 0 && oz !== 0 && (!this._isOpen(cx + ox, cz) || !this._isOpen(cx, cz + oz))) {
+                        continue;
+                    }
+
+                    const next = nz * size + nx;
+                    if (closed[next]) continue;
+
+                    const cost = gScore[current] + (ox !== 0 && oz !== 0 ? NavGrid.SQRT2 : 1);
+                    if (cost < gScore[next]) {
+                        gScore[next] = cost;
+                        cameFrom[next] = current;
+                        open.push(next, cost + this._heuristic(nx, nz, goal.cx, goal.cz));
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Octile distance
+    _heuristic(ax, az, bx, bz) {
+        const dx = Math.abs(ax - bx);
+        const dz = Math.abs(az - bz);
+        return Math.max(dx, dz) + (NavGrid.SQRT2 - 1) * Math.min(dx, dz);
+    }
+
+    _buildPath(cameFrom, goalIndex, from, to) {
+        const cells = [];
+        for (let index = goalIndex; index !== -1; index = cameFrom[index]) {
+            cells.push(index);
+        }
+        cells.reverse();
+
+        const points = cells.map(index => {
+            const cx = index % this.size;
+            return new THREE.Vector3(this._toWorld(cx), 0, this._toWorld((index - cx) / this.size));
+        });
+
+        // End on the exact target when it's standable
+        if (this.isWalkable(to.x, to.z)) {
+            points[points.length - 1].set(to.x, 0, to.z);
+        }
+
+        // String-pull: drop waypoints that can be skipped in a straight line
+        const smoothed = [];
+        let anchor = from;
+        for (let i = 0; i < points.length; i++) {
+            const next = points[i + 1];
+            if (next && this.hasLineOfSight(anchor, next)) continue;
+            smoothed.push(points[i]);
+            anchor = points[i];
+        }
+        return smoothed;
+    }
+}
+
+/**
+ * Binary min-heap of grid indices keyed by f-score
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.scores = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, score) {
+        this.items.push(item);
+        this.scores.push(score);
+
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.scores[parent] <= this.scores[i]) break;
+            this._swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastScore = this.scores.pop();
+
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.scores[0] = lastScore;
+
+            let i = 0;
+            const n = this.items.length;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < n && this.scores[left] < this.scores[smallest]) smallest = left;
+                if (right < n && this.scores[right] < this.scores[smallest]) smallest = right;
+                if (smallest === i) break;
+                this._swap(i, smallest);
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+
+    _swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.scores[a], this.scores[b]] = [this.scores[b], this.scores[a]];
+    }
+}
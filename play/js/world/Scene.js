@@ -24,10 +24,7 @@ export class Scene {
         // Add subtle height variation
         const vertices = geometry.attributes.position.array;
         for (let i = 0; i < vertices.length; i += 3) {
-            const x = vertices[i];
-            const z = vertices[i + 2];
-            // Gentle rolling hills
-            vertices[i + 1] = Math.sin(x * 0.1) * Math.cos(z * 0.1) * 0.5;
+            vertices[i + 1] = this.getGroundHeight(vertices[i], vertices[i + 2]);
         }
         geometry.computeVertexNormals();
 
@@ -45,35 +42,42 @@ export class Scene {
         this.game.scene.add(ground);
     }
 
+    /**
+     * Ground height at a world position (same function the ground mesh is built from)
+     */
+    getGroundHeight(x, z) {
+        // Gentle rolling hills
+        return Math.sin(x * 0.1) * Math.cos(z * 0.1) * 0.5;
+    }
+
     _createTerrain() {
         // Add some rocks and terrain features
+        const terrain = this.game.level.terrain;
 
         // Large rocks scattered around
-        const rockPositions = [
-            { x: -15, z: 10, scale: 2 },
-            { x: 20, z: -8, scale: 1.5 },
-            { x: -25, z: -15, scale: 2.5 },
-            { x: 12, z: 20, scale: 1.8 },
-            { x: -8, z: 25, scale: 1.2 },
-            { x: 30, z: 5, scale: 2.2 },
-        ];
-
-        for (const pos of rockPositions) {
+        for (const pos of terrain.rocks) {
             const rock = this._createRock(pos.scale);
             rock.position.set(pos.x, 0, pos.z);
-            rock.rotation.y = Math.random() * Math.PI * 2;
+            rock.rotation.y = this.game.random.next() * Math.PI * 2;
             this.game.scene.add(rock);
+            this.game.collision.addStatic(pos.x, pos.z, pos.radius ?? pos.scale, 'rock');
+        }
+
+        // Extra level colliders (no mesh)
+        for (const c of this.game.level.colliders) {
+            this.game.collision.addStatic(c.x, c.z, c.r, 'prop');
         }
 
         // Small stone clusters
-        for (let i = 0; i < 20; i++) {
+        const { count, spread } = terrain.stones;
+        for (let i = 0; i < count; i++) {
             const stone = this._createStone();
             stone.position.set(
-                (Math.random() - 0.5) * 70,
+                (this.game.random.next() - 0.5) * spread,
                 0,
-                (Math.random() - 0.5) * 70
+                (this.game.random.next() - 0.5) * spread
             );
-            stone.rotation.y = Math.random() * Math.PI * 2;
+            stone.rotation.y = this.game.random.next() * Math.PI * 2;
             this.game.scene.add(stone);
         }
     }
@@ -84,9 +88,9 @@ export class Scene {
         // Distort vertices for natural look
         const vertices = geometry.attributes.position.array;
         for (let i = 0; i < vertices.length; i += 3) {
-            vertices[i] *= 0.8 + Math.random() * 0.4;
-            vertices[i + 1] *= 0.6 + Math.random() * 0.4;
-            vertices[i + 2] *= 0.8 + Math.random() * 0.4;
+            vertices[i] *= 0.8 + this.game.random.next() * 0.4;
+            vertices[i + 1] *= 0.6 + this.game.random.next() * 0.4;
+            vertices[i + 2] *= 0.8 + this.game.random.next() * 0.4;
         }
         geometry.computeVertexNormals();
 
@@ -111,9 +115,9 @@ export class Scene {
         // Flatten and distort
         const vertices = geometry.attributes.position.array;
         for (let i = 0; i < vertices.length; i += 3) {
-            vertices[i] *= 0.7 + Math.random() * 0.6;
+            vertices[i] *= 0.7 + this.game.random.next() * 0.6;
             vertices[i + 1] *= 0.5;
-            vertices[i + 2] *= 0.7 + Math.random() * 0.6;
+            vertices[i + 2] *= 0.7 + this.game.random.next() * 0.6;
         }
         geometry.computeVertexNormals();
 
@@ -131,6 +135,10 @@ export class Scene {
 
     _createStream() {
         // Create a small stream on one side
+        const streamData = this.game.level.terrain.stream;
+        if (!streamData) return;
+
+        const { x: streamX, width: streamWidth, length: streamLength } = streamData;
 
         const streamPath = new THREE.CurvePath();
 
@@ -150,8 +158,7 @@ export class Scene {
         }
 
         // Stream water
-        const streamWidth = 3;
-        const streamGeometry = new THREE.PlaneGeometry(streamWidth, 50, 10, 50);
+        const streamGeometry = new THREE.PlaneGeometry(streamWidth, streamLength, 10, 50);
         streamGeometry.rotateX(-Math.PI / 2);
 
         // Art Bible: Cyan/teal water #7EFFD0 / #538084
@@ -164,7 +171,7 @@ export class Scene {
         });
 
         const stream = new THREE.Mesh(streamGeometry, streamMaterial);
-        stream.position.set(-32, 0.05, 0);
+        stream.position.set(streamX, 0.05, 0);
         stream.receiveShadow = true;
 
         this.game.scene.add(stream);
@@ -176,17 +183,17 @@ export class Scene {
         });
 
         // Left bank
-        const leftBankGeometry = new THREE.PlaneGeometry(2, 50, 5, 25);
+        const leftBankGeometry = new THREE.PlaneGeometry(2, streamLength, 5, 25);
         leftBankGeometry.rotateX(-Math.PI / 2);
         const leftBank = new THREE.Mesh(leftBankGeometry, bankMaterial);
-        leftBank.position.set(-34.5, 0.1, 0);
+        leftBank.position.set(streamX - streamWidth / 2 - 1, 0.1, 0);
         this.game.scene.add(leftBank);
 
         // Right bank
-        const rightBankGeometry = new THREE.PlaneGeometry(2, 50, 5, 25);
+        const rightBankGeometry = new THREE.PlaneGeometry(2, streamLength, 5, 25);
         rightBankGeometry.rotateX(-Math.PI / 2);
         const rightBank = new THREE.Mesh(rightBankGeometry, bankMaterial);
-        rightBank.position.set(-29.5, 0.1, 0);
+        rightBank.position.set(streamX + streamWidth / 2 + 1, 0.1, 0);
         this.game.scene.add(rightBank);
     }
 
@@ -199,9 +206,13 @@ export class Scene {
             roughness: 0.9,
         });
 
-        const bounds = 38;
+        const bounds = this.game.level.bounds;
         const spacing = 8;
 
+        // West fence leaves a gap where the stream runs
+        const stream = this.game.level.terrain.stream;
+        const streamGap = stream ? stream.length / 2 : 0;
+
         for (let x = -bounds; x <= bounds; x += spacing) {
             // North fence
             const northPost = this._createFencePost();
@@ -221,7 +232,7 @@ export class Scene {
             this.game.scene.add(eastPost);
 
             // West fence (skip where stream is)
-            if (z < -25 || z > 25) {
+            if (z < -streamGap || z > streamGap) {
                 const westPost = this._createFencePost();
                 westPost.position.set(-bounds, 0, z);
                 this.game.scene.add(westPost);
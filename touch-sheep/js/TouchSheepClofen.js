@@ -19,6 +19,16 @@ export class clofen {
         FLEEING: 'fleeing',
     };
 
+    // Bond at which a sheep trusts the player: walks over to say hello, never bolts
+    static TRUST_BOND = 0.4;
+
+    // Stroke speeds in screen pixels per second
+    static STROKE = {
+        gentleSpeed: 150,  // Full pleasure from here up
+        roughSpeed: 1200,  // Anything faster is unpleasant
+        pullAwayAt: 1,     // Discomfort that makes the sheep step away
+    };
+
     constructor(game) {
         this.game = game;
 
@@ -87,10 +97,18 @@ export class clofen {
         this.isHovered = false;
         this.hoverTime = 0;
 
-        // Player awareness
+        // Player awareness (fleeThreshold and comfortDistance shrink as bond grows)
         this.playerAwareness = 0;
-        this.fleeThreshold = 2.5;
-        this.comfortDistance = 4;
+        this.baseFleeThreshold = 2.5;
+        this.baseComfortDistance = 4;
+        this.fleeThreshold = this.baseFleeThreshold;
+        this.comfortDistance = this.baseComfortDistance;
+
+        // Identity and trust (persisted by TouchSheepMemory)
+        this.identity = null;
+        this.name = null;
+        this.bond = 0;
+        this.woolMaterial = null;
 
         // Expression state
         this.eyeOpenness = 1.0;
@@ -182,17 +200,97 @@ export class clofen {
         // X-axis wiggle for petting (rotation around X)
         this.petWiggle = 0;
         this.petWiggleTarget = 0;
+
+        // Weather response: lee-side spot behind a rock while it rains or blows dust
+        this.seekingShelter = false;
+        this.shelterSpot = null;
+
+        // Stroke response
+        this.strokeLean = 0;
+        this.strokeDiscomfort = 0;
+        this.lastStrokeSpot = null;
+        this.spotPreferences = this._computeSpotPreferences();
     }
 
-    async init(x, z, scale = 1.0) {
+    async init(x, z, scale = 1.0, identity = null) {
         // Get ground height at spawn position
         const groundY = this.game.gameScene ? this.game.gameScene.getGroundHeight(x, z) : 0;
         this.position.set(x, groundY, z);
         this.homePosition.copy(this.position);
         this.baseScale = scale;
+        if (identity) {
+            this._applyIdentity(identity);
+        }
         await this._createMesh();
     }
 
+    /**
+     * Take on a remembered identity: name, personality, look and bond
+     */
+    _applyIdentity(identity) {
+        this.identity = identity;
+        this.name = identity.name;
+        this.personality = { ...identity.personality };
+        this.spotPreferences = this._computeSpotPreferences();
+        this.timesBeenPetted = identity.timesPetted;
+        if (identity.favoriteSpot) {
+            this.favoriteSpot = new THREE.Vector3(identity.favoriteSpot.x, 0, identity.favoriteSpot.z);
+        }
+        this._setBond(identity.bond);
+
+        // Old friends arrive in a better mood
+        this.mood.contentment = Math.min(1, this.mood.contentment + this.bond * 0.2);
+    }
+
+    /**
+     * How much the sheep enjoys each body spot (0.1-1), from its personality
+     * Friendly sheep love a head scratch, shy ones prefer the back, lazy ones the rump
+     */
+    _computeSpotPreferences() {
+        const { friendliness, shyness, laziness, flightiness } = this.personality;
+        const clamp = (value) => Math.max(0.1, Math.min(1, value));
+        return {
+            head: clamp(0.3 + friendliness * 0.7 - shyness * 0.8),
+            back: clamp(0.6 + shyness * 0.4),
+            rump: clamp(0.2 + laziness * 0.9 - flightiness * 0.5),
+        };
+    }
+
+    /**
+     * Body spot under a world-space point: 'head', 'back' or 'rump'
+     */
+    getBodySpot(point) {
+        const facing = this.mesh ? this.mesh.rotation.y : this.initialRotation;
+        const along = (point.x - this.position.x) * Math.sin(facing) +
+                      (point.z - this.position.z) * Math.cos(facing);
+        const t = along / (0.6 * this.baseScale);
+
+        if (t > 0.45) return 'head';
+        if (t < -0.35) return 'rump';
+        return 'back';
+    }
+
+    _woolColor() {
+        const tint = this.identity?.woolTint;
+        return tint ? new THREE.Color().setHSL(tint.h, tint.s, tint.l) : new THREE.Color(0xffffff);
+    }
+
+    /**
+     * Set trust (0-1) and the distances that depend on it
+     */
+    _setBond(bond) {
+        this.bond = Math.max(0, Math.min(1, bond));
+        this.fleeThreshold = this.baseFleeThreshold * (1 - this.bond * 0.6);
+        this.comfortDistance = this.baseComfortDistance * (1 - this.bond * 0.5);
+    }
+
+    /**
+     * Whether the sheep trusts the player enough to come over instead of fleeing
+     */
+    isTrusting() {
+        return this.bond >= clofen.TRUST_BOND;
+    }
+
     _createGradientTexture() {
         const canvas = document.createElement('canvas');
         canvas.width = 4;
@@ -225,9 +323,10 @@ export class clofen {
 
             const gradientMap = this._createGradientTexture();
             const woolMat = new THREE.MeshToonMaterial({
-                color: 0xffffff,
+                color: this._woolColor(),
                 gradientMap: gradientMap
             });
+            this.woolMaterial = woolMat;
             const darkMat = new THREE.MeshToonMaterial({
                 color: 0x1a1a1a,
                 gradientMap: gradientMap
@@ -263,8 +362,9 @@ export class clofen {
     _createFallbackMesh() {
         const group = new THREE.Group();
 
-        const woolMat = new THREE.MeshBasicMaterial({ color: 0xffffff });
+        const woolMat = new THREE.MeshBasicMaterial({ color: this._woolColor() });
         const darkMat = new THREE.MeshBasicMaterial({ color: 0x333333 });
+        this.woolMaterial = woolMat;
 
         const bodyGeometry = new THREE.IcosahedronGeometry(0.6, 1);
         const body = new THREE.Mesh(bodyGeometry, woolMat);
@@ -347,33 +447,102 @@ export class clofen {
         this.hoverTime = 0;
     }
 
-    onStroke(dx, dy, speed) {
+    /**
+     * One frame of stroking
+     * @param {number} dx - Pointer motion this frame (screen pixels)
+     * @param {number} dy
+     * @param {number} speed - Pointer speed (pixels per second)
+     * @param {string} spot - Body spot under the hand ('head', 'back', 'rump')
+     * @param {number} dt
+     */
+    onStroke(dx, dy, speed, spot, dt) {
         if (!this.isPetted) return;
 
-        this.lastStrokeTime = Date.now();
+        this.lastStrokeSpot = spot;
 
-        const strokeBonus = Math.min(speed * 0.02, 0.15) * this.personality.friendliness;
-        this.happiness = Math.min(1, this.happiness + strokeBonus);
+        // A still hand is handled by _updatePetted's resting-hand warmth
+        if (speed < 20) return;
 
-        // Physical reaction - wool jiggle and x-axis wiggle
-        this.woolBounceVel += speed * 0.15;
-        this.impactSquash = Math.min(0.1, speed * 0.02);
+        this.lastStrokeTime = Date.now();
 
-        // Add x-axis wiggle based on stroke direction
-        this.petWiggleTarget += dx * 0.003;
+        const { gentleSpeed, roughSpeed, pullAwayAt } = clofen.STROKE;
+        const liking = this.spotPreferences[spot] ?? 0.5;
+
+        if (speed > roughSpeed) {
+            // Rough stroke - flinch, and flighty sheep lose patience quickly
+            const roughness = Math.min(2, (speed - roughSpeed) / roughSpeed + 0.3);
+            this.happiness = Math.max(0, this.happiness - roughness * dt * 0.8);
+            this.mood.alertness = Math.min(1, this.mood.alertness + roughness * dt);
+            this.strokeDiscomfort += roughness * dt * (0.8 + this.personality.flightiness * 2);
+            this.impactSquash = 0.1;
+            this.earRotation.left = -0.3;
+            this.earRotation.right = -0.3;
+
+            if (this.strokeDiscomfort >= pullAwayAt) {
+                this._pullAway();
+                return;
+            }
+        } else {
+            // Gentle stroke - pleasure builds with speed up to gentleSpeed, scaled by the spot
+            const gentleness = Math.min(1, speed / gentleSpeed);
+            const strokeBonus = gentleness * liking * this.personality.friendliness * dt * 0.6;
+            this.happiness = Math.min(1, this.happiness + strokeBonus);
+            this.strokeDiscomfort = Math.max(0, this.strokeDiscomfort - dt * 0.5);
+
+            // Disliked spots make the sheep a little wary
+            if (liking < 0.35) {
+                this.mood.alertness = Math.min(1, this.mood.alertness + dt * 0.2);
+                if (Math.random() < dt * 2) this._doEarTwitch();
+            }
+        }
 
-        this.velocity.x += dx * 0.02;
-        this.velocity.z += dy * 0.02;
+        // Physical reaction - wool jiggle and a lean into the stroke direction
+        this.woolBounceVel += Math.min(speed, roughSpeed) * 0.0004;
+        this.strokeLean = THREE.MathUtils.clamp(this.strokeLean + dx * 0.002, -0.2, 0.2);
 
-        if (this.game.effects && Math.random() < 0.2) {
+        this.velocity.x += dx * 0.002;
+        this.velocity.z += dy * 0.002;
+
+        if (this.game.effects && Math.random() < dt * 4) {
             this.game.effects.spawnWoolParticle(this.mesh.position, new THREE.Vector2(dx, dy).normalize());
         }
     }
 
+    /**
+     * Had enough of rough handling - shake it off and step away
+     */
+    _pullAway() {
+        this.isPetted = false;
+        this.strokeDiscomfort = 0;
+        this.happiness = Math.max(0, this.happiness - 0.3);
+        this._setBond(this.bond - 0.03);
+        this._doHeadShake();
+
+        // Step away from the player
+        const away = new THREE.Vector3().subVectors(this.position, this.game.player.position);
+        away.y = 0;
+        away.normalize();
+        this.velocity.add(away.multiplyScalar(2));
+        this.setState(clofen.STATE.IDLE);
+
+        if (this.game.audio) {
+            this.game.audio.playSheepBaa(this.position);
+        }
+        if (this.game.memory) {
+            this.game.memory.remember(this);
+        }
+    }
+
     endPetting(duration) {
         this.isPetted = false;
         this.petDuration = duration;
 
+        // Trust builds with every petting session, faster for friendly sheep
+        this._setBond(this.bond + Math.min(duration, 5) * 0.02 * this.personality.friendliness);
+        if (this.game.memory) {
+            this.game.memory.remember(this);
+        }
+
         if (this.state === clofen.STATE.BLISS) {
             this.stateTimer = 0;
         } else if (this.state === clofen.STATE.PETTED) {
@@ -402,18 +571,26 @@ export class clofen {
         const delay = Math.min(distance * 80, 400);
 
         setTimeout(() => {
-            if (Math.random() > this.personality.shyness * 0.5) {
-                this.setState(clofen.STATE.CALLED);
-                this.targetPosition = sourcePosition.clone();
-                this.targetPosition.y = 0;
-                const approachDir = dir.clone().normalize();
-                this.targetPosition.sub(approachDir.multiplyScalar(this.comfortDistance));
+            if (Math.random() > this.personality.shyness * 0.5 * (1 - this.bond)) {
+                this._approach(sourcePosition);
             } else {
                 this.setState(clofen.STATE.CURIOUS);
             }
         }, delay);
     }
 
+    /**
+     * Walk over to a position, stopping at comfortDistance
+     */
+    _approach(position) {
+        const dir = new THREE.Vector3().subVectors(position, this.position);
+        dir.y = 0;
+        this.setState(clofen.STATE.CALLED);
+        this.targetPosition = position.clone();
+        this.targetPosition.y = 0;
+        this.targetPosition.sub(dir.normalize().multiplyScalar(this.comfortDistance));
+    }
+
     // ==================== STATE MACHINE ====================
 
     setState(newState) {
@@ -439,9 +616,12 @@ export class clofen {
         this._updateMicroBehaviors(dt, playerPosition);
         this._updateMood(dt, playerPosition);
         this._updateAttention(dt, playerPosition);
+        this._updateWeatherResponse();
 
         if (this.state !== clofen.STATE.RESTING && this.state !== clofen.STATE.SLEEPING) {
-            this.tiredness = Math.min(1, this.tiredness + dt * 0.005 * this.personality.laziness);
+            // Evenings wear a sheep out much faster
+            const nightFactor = 1 + this._sleepiness() * 4;
+            this.tiredness = Math.min(1, this.tiredness + dt * 0.005 * this.personality.laziness * nightFactor);
         }
 
         switch (this.state) {
@@ -508,15 +688,30 @@ export class clofen {
                 this._standUp();
             }
 
-            if (Math.random() < this.personality.flightiness) {
+            if (this.isTrusting()) {
+                // Trusting sheep just turn to see what the fuss is about
+                if (this.state !== clofen.STATE.CALLED) {
+                    this.setState(clofen.STATE.CURIOUS);
+                }
+            } else if (Math.random() < this.personality.flightiness * (1 - this.bond)) {
                 this.setState(clofen.STATE.FLEEING);
                 this.targetPosition = this.position.clone();
                 const fleeDir = toPlayer.normalize().multiplyScalar(-1);
                 this.targetPosition.add(fleeDir.multiplyScalar(8 + Math.random() * 5));
+                this._setBond(this.bond - 0.02);
             }
         }
 
-        if (distance < 8) {
+        // Sheep that remember the player notice them from further away and come to say hello
+        const noticeRange = 8 + this.bond * 6;
+        const isWandering = this.state === clofen.STATE.IDLE || this.state === clofen.STATE.GRAZING;
+        if (this.isTrusting() && isWandering && this.playerAwareness > 0.5 &&
+            distance > this.comfortDistance + 1 && distance < noticeRange &&
+            Math.random() < dt * 0.1 * this.bond) {
+            this._approach(playerPosition);
+        }
+
+        if (distance < noticeRange) {
             this.playerAwareness = Math.min(1, this.playerAwareness + dt * 0.5);
         } else {
             this.playerAwareness = Math.max(0, this.playerAwareness - dt * 0.2);
@@ -583,6 +778,10 @@ export class clofen {
     }
 
     _chooseNextBehavior(playerPosition) {
+        if (this.seekingShelter && this._seekShelter()) {
+            return;
+        }
+
         if (this.tiredness > 0.7 && Math.random() < this.tiredness) {
             if (this.favoriteSpot && this.position.distanceTo(this.favoriteSpot) > 3) {
                 this.targetPosition = this.favoriteSpot.clone();
@@ -591,11 +790,13 @@ export class clofen {
             return;
         }
 
+        // Dusk and night pull the flock toward resting
+        const sleepiness = this._sleepiness();
         const moodModifiers = {
-            graze: 1 + (this.mood.contentment - 0.5) * 0.3,
-            social: 1 + this.mood.playfulness * 0.5,
+            graze: (1 + (this.mood.contentment - 0.5) * 0.3) * (1 - sleepiness * 0.6),
+            social: (1 + this.mood.playfulness * 0.5) * (1 - sleepiness * 0.6),
             look: 1 + this.mood.alertness * 0.4,
-            rest: 1 + (1 - this.mood.playfulness) * 0.3,
+            rest: (1 + (1 - this.mood.playfulness) * 0.3) * (1 + sleepiness * 3),
         };
 
         let playerNearby = false;
@@ -651,7 +852,7 @@ export class clofen {
         }
 
         cumulative += this.behaviorWeights.rest * moodModifiers.rest;
-        if (roll < cumulative && this.tiredness > 0.3) {
+        if (roll < cumulative && this.tiredness > 0.3 * (1 - sleepiness)) {
             if (this.favoriteSpot && this.position.distanceTo(this.favoriteSpot) > 3) {
                 this.targetPosition = this.favoriteSpot.clone();
             }
@@ -704,6 +905,93 @@ export class clofen {
         );
     }
 
+    // ==================== WEATHER ====================
+
+    /**
+     * Start or stop sheltering as rain or dust comes and goes
+     */
+    _updateWeatherResponse() {
+        const harsh = this.game.weather ? this.game.weather.isHarsh() : false;
+
+        if (!harsh) {
+            this.seekingShelter = false;
+            this.shelterSpot = null;
+            return;
+        }
+        if (this.seekingShelter) return;
+
+        this.seekingShelter = true;
+        this.shelterSpot = this._findShelterSpot();
+
+        // Drop what they were doing and head for cover
+        const canLeave = this.state === clofen.STATE.IDLE ||
+                         this.state === clofen.STATE.GRAZING ||
+                         this.state === clofen.STATE.LOOKING ||
+                         this.state === clofen.STATE.STRETCHING;
+        if (canLeave) {
+            this.setState(clofen.STATE.IDLE);
+            this._seekShelter();
+        }
+    }
+
+    /**
+     * Downwind side of the nearest rock, or null if none is close enough
+     */
+    _findShelterSpot() {
+        const rocks = this.game.gameScene ? this.game.gameScene.rockColliders : [];
+        let nearest = null;
+        let nearestDist = 20;
+
+        for (const rock of rocks) {
+            const dist = Math.sqrt((rock.x - this.position.x) ** 2 + (rock.z - this.position.z) ** 2);
+            if (dist < nearestDist) {
+                nearestDist = dist;
+                nearest = rock;
+            }
+        }
+        if (!nearest) return null;
+
+        const wind = this.game.weather.getWind();
+        const strength = wind.length() || 1;
+        const leeX = wind.x / strength;
+        const leeZ = wind.y / strength;
+
+        // Spread along the rock's lee so the flock doesn't pile onto one point
+        const spread = (Math.random() - 0.5) * nearest.radius * 1.6;
+        const distance = nearest.radius + 1.2;
+        const bounds = 24;
+        return new THREE.Vector3(
+            Math.max(-bounds, Math.min(bounds, nearest.x + leeX * distance - leeZ * spread)),
+            0,
+            Math.max(-bounds, Math.min(bounds, nearest.z + leeZ * distance + leeX * spread))
+        );
+    }
+
+    /**
+     * Walk to shelter, then huddle with a neighbour
+     * @returns {boolean} Whether a behavior was chosen
+     */
+    _seekShelter() {
+        if (this.shelterSpot) {
+            const dx = this.shelterSpot.x - this.position.x;
+            const dz = this.shelterSpot.z - this.position.z;
+            if (Math.sqrt(dx * dx + dz * dz) > 2.5) {
+                this.targetPosition = this.shelterSpot.clone();
+                this.homePosition.copy(this.shelterSpot);
+                return true;
+            }
+        }
+
+        const nearestSheep = this._findNearestSheep();
+        if (nearestSheep && nearestSheep.distance < 6) {
+            this.socialTarget = nearestSheep.sheep;
+            this.setState(clofen.STATE.SOCIAL);
+            return true;
+        }
+
+        return false;
+    }
+
     _findNearestSheep() {
         let nearest = null;
         let nearestDist = Infinity;
@@ -824,7 +1112,10 @@ export class clofen {
 
         this.tiredness = Math.max(0, this.tiredness - dt * 0.03);
 
-        if (this.tiredness < 0.2 && this.stateTimer > 5 && Math.random() < 0.01) {
+        // At night resting sheep nod off sooner and stay down
+        const sleepiness = this._sleepiness();
+        if ((this.tiredness < 0.2 || sleepiness > 0.5) && this.stateTimer > 5 &&
+            Math.random() < 0.01 * (1 + sleepiness * 3)) {
             this.setState(clofen.STATE.SLEEPING);
             return;
         }
@@ -838,7 +1129,7 @@ export class clofen {
             }
         }
 
-        if (this.stateTimer > 8 + Math.random() * 5 && this.tiredness < 0.4) {
+        if (this.stateTimer > 8 + Math.random() * 5 && this.tiredness < 0.4 && sleepiness < 0.5) {
             this._standUp();
             this.setState(clofen.STATE.IDLE);
         }
@@ -870,7 +1161,8 @@ export class clofen {
             }
         }
 
-        if (this.sleepTimer > 10 + Math.random() * 10 && this.tiredness < 0.1) {
+        // Sleep through the night, wake with the dawn
+        if (this.sleepTimer > 10 + Math.random() * 10 && this.tiredness < 0.1 && this._sleepiness() < 0.5) {
             this.sleepTimer = 0;
             this._standUp();
             this.stretchType = 0;
@@ -879,6 +1171,13 @@ export class clofen {
         }
     }
 
+    /**
+     * How strongly the time of day pulls toward sleep (0 = day, 1 = night)
+     */
+    _sleepiness() {
+        return this.game.dayCycle ? this.game.dayCycle.sleepiness : 0;
+    }
+
     _standUp() {
         this.isLyingDown = false;
         this.lyingDownProgress = 0;
@@ -992,7 +1291,8 @@ export class clofen {
         this.targetEyeOpenness = Math.max(0.2, 1 - this.happiness * 0.8);
 
         // X-axis wiggle animation when being petted
-        this.petWiggleTarget = Math.sin(this.stateTimer * 8) * 0.15 * this.happiness;
+        this.petWiggleTarget = Math.sin(this.stateTimer * 8) * 0.15 * this.happiness + this.strokeLean;
+        this.strokeLean *= Math.max(0, 1 - dt * 3);
 
         const leanAmount = Math.sin(this.stateTimer * 2) * 0.3 * this.happiness;
         this.velocity.x += leanAmount * 0.1;
@@ -1007,8 +1307,17 @@ export class clofen {
 
         this.tailPosition = 0.3 + this.happiness * 0.4;
 
+        // Each spot shows pleasure differently: head scratches close the eyes, the rump sets the tail going
+        const liking = this.spotPreferences[this.lastStrokeSpot] ?? 0;
+        if (this.lastStrokeSpot === 'head') {
+            this.targetEyeOpenness = Math.max(0.15, this.targetEyeOpenness - liking * 0.3);
+        } else if (this.lastStrokeSpot === 'rump') {
+            this.tailPosition += Math.sin(this.stateTimer * 12) * 0.3 * liking;
+        }
+
         if (this.happiness > 0.8 && this.isPetted && this.stateTimer > 2) {
             this.setState(clofen.STATE.BLISS);
+            this._setBond(this.bond + 0.05);
 
             if (this.game.effects) {
                 this.game.effects.spawnHearts(this.mesh.position, 5);
@@ -1424,6 +1733,11 @@ export class clofen {
         this.woolBounceVel += (springForce + dampingForce) * dt;
         this.woolBounce += this.woolBounceVel * dt;
 
+        // Wind gusts buffet the wool
+        if (this.game.weather) {
+            this.woolBounceVel += this.game.weather.getBuffet(this.position) * dt * 4;
+        }
+
         this.woolBounce = Math.max(-0.5, Math.min(0.5, this.woolBounce));
         this.woolBounceVel = Math.max(-2, Math.min(2, this.woolBounceVel));
 
@@ -1649,6 +1963,9 @@ export class clofen {
     startPetting() {
         this.isPetted = true;
         this.petDuration = 0;
+        this.strokeDiscomfort = 0;
+        this.strokeLean = 0;
+        this.lastStrokeSpot = null;
         this.lastStrokeTime = Date.now();
         this.timesBeenPetted++;
 
@@ -0,0 +1,192 @@
+/**
+ * TouchSheepDayCycle - Time of day for the meadow
+ * Moves the sun (a cool moon at night), blends sky, fog and light colors through the
+ * Art Bible palette, and tells sheep how sleepy the hour makes them.
+ *
+ * URL options: ?clock=local follows the visitor's clock, ?hour=20 starts at a given hour
+ * Art Bible colors: peach #E8C4A8, sand #D4A574, pink #CB597D, orange #FFB27D, teal #538084
+ */
+export class TouchSheepDayCycle {
+    // Real seconds for a full 24 hours
+    static DAY_LENGTH = 480;
+
+    static START_HOUR = 15;
+
+    // Palette keyframes by hour (0-24, wraps). Day matches the original static lighting.
+    static KEYFRAMES = [
+        {
+            hour: 0, // Night
+            sky: 0x3D3A52, sun: 0x9DB4D0, sunIntensity: 0.25, ambient: 0.25,
+            hemiSky: 0x538084, hemiGround: 0x2D262E, hemiIntensity: 0.3, rim: 0x538084, rimIntensity: 0.1,
+        },
+        {
+            hour: 5, // Before dawn
+            sky: 0x6E5A78, sun: 0x9DB4D0, sunIntensity: 0.2, ambient: 0.3,
+            hemiSky: 0x538084, hemiGround: 0x4A4038, hemiIntensity: 0.35, rim: 0xCB597D, rimIntensity: 0.15,
+        },
+        {
+            hour: 6.5, // Sunrise
+            sky: 0xF0B896, sun: 0xFFB27D, sunIntensity: 0.6, ambient: 0.45,
+            hemiSky: 0xFFB27D, hemiGround: 0xD4A574, hemiIntensity: 0.4, rim: 0xCB597D, rimIntensity: 0.3,
+        },
+        {
+            hour: 9, // Day
+            sky: 0xE8C4A8, sun: 0xFFE4C4, sunIntensity: 1.0, ambient: 0.6,
+            hemiSky: 0xE8C4A8, hemiGround: 0xD4A574, hemiIntensity: 0.5, rim: 0xFFB27D, rimIntensity: 0.3,
+        },
+        {
+            hour: 16, // Late afternoon
+            sky: 0xE8C4A8, sun: 0xFFE4C4, sunIntensity: 1.0, ambient: 0.6,
+            hemiSky: 0xE8C4A8, hemiGround: 0xD4A574, hemiIntensity: 0.5, rim: 0xFFB27D, rimIntensity: 0.3,
+        },
+        {
+            hour: 18.5, // Dusk
+            sky: 0xD8908E, sun: 0xFFB27D, sunIntensity: 0.5, ambient: 0.4,
+            hemiSky: 0xCB597D, hemiGround: 0xD4A574, hemiIntensity: 0.4, rim: 0xCB597D, rimIntensity: 0.35,
+        },
+        {
+            hour: 20, // Twilight
+            sky: 0x6E5A78, sun: 0x9DB4D0, sunIntensity: 0.2, ambient: 0.3,
+            hemiSky: 0x538084, hemiGround: 0x4A4038, hemiIntensity: 0.35, rim: 0x538084, rimIntensity: 0.15,
+        },
+    ];
+
+    // Sleepiness ramps up over dusk and back down over dawn (hours)
+    static DUSK = { start: 18, end: 21 };
+    static DAWN = { start: 5, end: 7 };
+
+    // Hours either side of 6:00 and 18:00 over which the sun/moon sets and the other rises
+    static HORIZON_FADE = 0.5;
+
+    constructor(game) {
+        this.game = game;
+
+        this.hour = TouchSheepDayCycle.START_HOUR;
+        this.followLocalClock = false;
+
+        // 0 = wide awake daytime, 1 = the middle of the night
+        this.sleepiness = 0;
+
+        // Scratch colors for blending
+        this._colorA = new THREE.Color();
+        this._colorB = new THREE.Color();
+    }
+
+    init() {
+        const urlParams = new URLSearchParams(window.location.search);
+        this.followLocalClock = urlParams.get('clock') === 'local';
+
+        const startHour = parseFloat(urlParams.get('hour'));
+        if (Number.isFinite(startHour)) {
+            this.hour = ((startHour % 24) + 24) % 24;
+        }
+
+        this._apply();
+    }
+
+    update(dt) {
+        if (this.followLocalClock) {
+            const now = new Date();
+            this.hour = now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+        } else {
+            this.hour = (this.hour + dt * 24 / TouchSheepDayCycle.DAY_LENGTH) % 24;
+        }
+
+        this._apply();
+    }
+
+    /**
+     * Whether the sun is up (the directional light is the moon otherwise)
+     */
+    isDaytime() {
+        return this.hour >= 6 && this.hour < 18;
+    }
+
+    _apply() {
+        const { from, to, t } = this._keyframesAt(this.hour);
+        const lights = this.game.lights;
+        const scene = this.game.scene;
+
+        const sky = this._blendColor(from.sky, to.sky, t);
+        if (scene.background) scene.background.copy(sky);
+        if (scene.fog) scene.fog.color.copy(sky);
+
+        if (lights) {
+            lights.sun.color.copy(this._blendColor(from.sun, to.sun, t));
+            lights.sun.intensity = lerp(from.sunIntensity, to.sunIntensity, t) * this._horizonFade();
+            lights.ambient.intensity = lerp(from.ambient, to.ambient, t);
+            lights.hemi.color.copy(this._blendColor(from.hemiSky, to.hemiSky, t));
+            lights.hemi.groundColor.copy(this._blendColor(from.hemiGround, to.hemiGround, t));
+            lights.hemi.intensity = lerp(from.hemiIntensity, to.hemiIntensity, t);
+            lights.rim.color.copy(this._blendColor(from.rim, to.rim, t));
+            lights.rim.intensity = lerp(from.rimIntensity, to.rimIntensity, t);
+
+            this._placeSun(lights.sun);
+        }
+
+        this.sleepiness = this._sleepinessAt(this.hour);
+    }
+
+    /**
+     * Arc the sun east to west over the day, and the moon over the night
+     * The light swaps sides at 6:00 and 18:00; _horizonFade has it dark by then
+     */
+    _placeSun(sun) {
+        const startHour = this.isDaytime() ? 6 : 18;
+        const elapsed = ((this.hour - startHour) % 24 + 24) % 24;
+        const angle = (elapsed / 12) * Math.PI;
+
+        // Never fully set, so shadows stay on the meadow
+        const height = Math.max(8, Math.sin(angle) * 50);
+        sun.position.set(Math.cos(angle) * 60, height, 30);
+    }
+
+    /**
+     * 0 at 6:00 and 18:00, when the light jumps from setting moon to rising sun (and back)
+     */
+    _horizonFade() {
+        const fromSwap = Math.min(Math.abs(this.hour - 6), Math.abs(this.hour - 18));
+        return smoothstep(fromSwap / TouchSheepDayCycle.HORIZON_FADE);
+    }
+
+    _keyframesAt(hour) {
+        const keyframes = TouchSheepDayCycle.KEYFRAMES;
+
+        for (let i = 0; i < keyframes.length; i++) {
+            const from = keyframes[i];
+            const to = keyframes[(i + 1) % keyframes.length];
+            const toHour = i + 1 < keyframes.length ? to.hour : to.hour + 24;
+
+            if (hour >= from.hour && hour < toHour) {
+                return { from, to, t: smoothstep((hour - from.hour) / (toHour - from.hour)) };
+            }
+        }
+
+        return { from: keyframes[0], to: keyframes[0], t: 0 };
+    }
+
+    _sleepinessAt(hour) {
+        const { DUSK, DAWN } = TouchSheepDayCycle;
+
+        if (hour >= DUSK.start && hour < DUSK.end) {
+            return smoothstep((hour - DUSK.start) / (DUSK.end - DUSK.start));
+        }
+        if (hour >= DAWN.start && hour < DAWN.end) {
+            return 1 - smoothstep((hour - DAWN.start) / (DAWN.end - DAWN.start));
+        }
+        return hour >= DUSK.end || hour < DAWN.start ? 1 : 0;
+    }
+
+    _blendColor(from, to, t) {
+        return this._colorA.setHex(from).lerp(this._colorB.setHex(to), t);
+    }
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function smoothstep(t) {
+    const x = Math.max(0, Math.min(1, t));
+    return x * x * (3 - 2 * x);
+}
@@ -1,6 +1,6 @@
 /**
  * TouchSheepEffects - Visual effects for Touch Sheep demo
- * Hearts, wool particles, call waves, bliss glow
+ * Hearts, wool particles, call waves, bliss glow, locator markers
  * Art Bible colors: pink #CB597D, cyan #7EFFD0, orange #FFB27D
  */
 export class TouchSheepEffects {
@@ -11,6 +11,7 @@ export class TouchSheepEffects {
         this.particles = [];
         this.glows = [];
         this.waves = [];
+        this.locators = [];
     }
 
     async init() {
@@ -39,6 +40,7 @@ export class TouchSheepEffects {
         this._updateParticles(dt);
         this._updateGlows(dt);
         this._updateWaves(dt);
+        this._updateLocators(dt);
     }
 
     _updateParticles(dt) {
@@ -52,6 +54,13 @@ export class TouchSheepEffects {
             // Apply gravity (reduced for floaty feel)
             particle.velocity.y -= particle.gravity * dt;
 
+            // Drift with the wind
+            if (this.game.weather) {
+                const wind = this.game.weather.getWind();
+                particle.velocity.x += wind.x * dt * 1.5;
+                particle.velocity.z += wind.y * dt * 1.5;
+            }
+
             // Billboard - face camera
             if (particle.isBillboard && this.game.camera) {
                 particle.mesh.quaternion.copy(this.game.camera.quaternion);
@@ -131,6 +140,29 @@ export class TouchSheepEffects {
         }
     }
 
+    _updateLocators(dt) {
+        for (let i = this.locators.length - 1; i >= 0; i--) {
+            const locator = this.locators[i];
+            locator.age += dt;
+
+            const progress = locator.age / locator.lifetime;
+
+            // Follow the sheep, bob and spin; fade over the last second
+            const target = locator.sheep.mesh?.position || locator.sheep.position;
+            locator.mesh.position.set(target.x, target.y + 1.8 + Math.sin(locator.age * 4) * 0.15, target.z);
+            locator.mesh.rotation.y += dt * 2;
+            const fade = Math.min(1, (locator.lifetime - locator.age) / 1);
+            locator.mesh.material.opacity = locator.startOpacity * fade;
+
+            if (progress >= 1) {
+                this.game.scene.remove(locator.mesh);
+                locator.mesh.geometry.dispose();
+                locator.mesh.material.dispose();
+                this.locators.splice(i, 1);
+            }
+        }
+    }
+
     // ==================== EFFECT SPAWNERS ====================
 
     /**
@@ -315,6 +347,41 @@ export class TouchSheepEffects {
         }
     }
 
+    /**
+     * Spawn a marker that floats over a sheep so the player can find it
+     */
+    spawnLocator(sheep, lifetime = 6) {
+        // One marker per sheep
+        const existing = this.locators.find(locator => locator.sheep === sheep);
+        if (existing) {
+            existing.age = 0;
+            return;
+        }
+
+        const geometry = new THREE.ConeGeometry(0.25, 0.5, 4);
+        geometry.rotateX(Math.PI); // Point down at the sheep
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xCB597D,
+            transparent: true,
+            opacity: 0.9,
+            depthTest: false, // Visible through trees and hills
+        });
+
+        const marker = new THREE.Mesh(geometry, material);
+        marker.renderOrder = 10;
+        this.game.scene.add(marker);
+
+        this.locators.push({
+            mesh: marker,
+            sheep,
+            age: 0,
+            lifetime,
+            startOpacity: 0.9,
+        });
+
+        this.spawnRipple(sheep.position, 0xCB597D);
+    }
+
     /**
      * Spawn impact ripple (for general use)
      */
@@ -9,6 +9,10 @@ import { TouchSheepEffects } from './TouchSheepEffects.js';
 import { clofen } from './TouchSheepClofen.js';
 import { MossBall } from './TouchSheepMossBall.js';
 import { TouchSheepAudio } from './TouchSheepAudio.js';
+import { TouchSheepMemory } from './TouchSheepMemory.js';
+import { TouchSheepRoster } from './TouchSheepRoster.js';
+import { TouchSheepDayCycle } from './TouchSheepDayCycle.js';
+import { TouchSheepWeather } from './TouchSheepWeather.js';
 
 class TouchSheepGame {
     constructor() {
@@ -26,12 +30,17 @@ class TouchSheepGame {
         this.gameScene = null;
         this.effects = null;
         this.audio = null;
+        this.memory = null;
+        this.roster = null;
+        this.dayCycle = null;
+        this.weather = null;
 
         // Three.js core
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.composer = null;
+        this.lights = null;
 
         // Player state (first-person)
         this.player = {
@@ -65,6 +74,12 @@ class TouchSheepGame {
         this.petStartTime = 0;
         this.canInteract = false;
 
+        // Petting hand: the sheep under it, where it is on screen (NDC) and motion this frame (pixels)
+        this.petSheep = null;
+        this.petPointer = new THREE.Vector2();
+        this.strokeInput = { dx: 0, dy: 0 };
+        this.petHandReach = 0.4; // How far the hand roams from screen centre (NDC)
+
         // Sheep spawning system
         this.spawnTimer = 0;
         this.nextSpawnTime = 15 + Math.random() * 20; // First spawn after 15-35 seconds
@@ -101,6 +116,9 @@ class TouchSheepGame {
             // Movement direction from joystick
             moveX: 0,
             moveZ: 0,
+            // Finger stroking a sheep
+            petTouchId: null,
+            petLast: { x: 0, y: 0 },
         };
         // Touch look sensitivity (higher = more responsive)
         this.touchLookSensitivity = 0.004;
@@ -115,9 +133,11 @@ class TouchSheepGame {
             this._initPostProcessing();
             this._initInput();
             await this._initWorld();
+            this._initMemory();
             await this._initEntities();
             await this._initMossBalls();
             this._bindEvents();
+            this._initRoster();
             this._hideLoading();
 
             this.isRunning = true;
@@ -212,6 +232,9 @@ class TouchSheepGame {
         const rimLight = new THREE.DirectionalLight(0xFFB27D, 0.3);
         rimLight.position.set(-20, 30, -30);
         this.scene.add(rimLight);
+
+        // Animated by the day cycle
+        this.lights = { ambient, sun, hemi, rim: rimLight };
     }
 
     _initPostProcessing() {
@@ -313,13 +336,33 @@ class TouchSheepGame {
         this.effects = new TouchSheepEffects(this);
         await this.effects.init();
 
+        this.dayCycle = new TouchSheepDayCycle(this);
+        this.dayCycle.init();
+
+        this.weather = new TouchSheepWeather(this);
+        this.weather.init();
+
         this.audio = new TouchSheepAudio(this);
         await this.audio.init();
     }
 
+    _initMemory() {
+        this.memory = new TouchSheepMemory(this);
+        this.memory.init();
+    }
+
+    _initRoster() {
+        this.roster = new TouchSheepRoster(this);
+        this.roster.init();
+    }
+
     async _initEntities() {
         // Spawn sheep spread out across the entire meadow (not just center)
-        const initialSheepCount = 8 + Math.floor(Math.random() * 3); // 8-10 sheep
+        // Returning visitors get back every sheep they met before
+        const initialSheepCount = Math.min(
+            this.maxSheep,
+            Math.max(8 + Math.floor(Math.random() * 3), this.memory.knownCount) // 8-10 sheep
+        );
         const minDistBetweenSheep = 5;
         const spawnedPositions = [];
 
@@ -358,9 +401,9 @@ class TouchSheepGame {
 
             spawnedPositions.push({ x, z });
 
-            const scale = 0.85 + Math.random() * 0.15; // 0.85-1.0
+            const identity = this.memory.identityFor(i);
             const c = new clofen(this);
-            await c.init(x, z, scale);
+            await c.init(x, z, identity.scale, identity);
             this.clofens.push(c);
         }
     }
@@ -429,6 +472,11 @@ class TouchSheepGame {
 
             document.addEventListener('pointerlockchange', () => {
                 this.isLocked = document.pointerLockElement === this.canvas;
+
+                // Clicking back into the meadow puts the roster away
+                if (this.isLocked && this.roster && this.roster.isOpen) {
+                    this.roster.close();
+                }
                 this._updateUI();
 
                 // Reset keys when losing lock to prevent stuck keys
@@ -589,7 +637,24 @@ class TouchSheepGame {
             const isButtonArea = x > 0.75 && y > 0.55;
 
             if (!isJoystickArea && !isButtonArea) {
-                // This is a look touch or tap-to-pet
+                // A finger landing on a nearby sheep strokes it
+                if (!this.isPetting) {
+                    const pointer = this._toPointer(touch.clientX, touch.clientY);
+                    const hit = this._raycastSheep(pointer);
+                    if (hit && hit.distance <= this.interactionRange * 1.5) {
+                        e.preventDefault();
+                        this.touch.petTouchId = touch.identifier;
+                        this.touch.petLast.x = touch.clientX;
+                        this.touch.petLast.y = touch.clientY;
+                        this._startPetting(hit.sheep, pointer);
+                        if (this.roster) {
+                            this.roster.inspect(hit.sheep, 4);
+                        }
+                        continue;
+                    }
+                }
+
+                // This is a look touch or tap on a distant sheep
                 if (!this.touch.lookActive) {
                     this.touch.lookActive = true;
                     this.touch.lookTouchId = touch.identifier;
@@ -606,6 +671,17 @@ class TouchSheepGame {
     }
 
     _onCanvasTouchMove(e) {
+        for (const touch of e.changedTouches) {
+            if (touch.identifier === this.touch.petTouchId) {
+                e.preventDefault();
+                this.strokeInput.dx += touch.clientX - this.touch.petLast.x;
+                this.strokeInput.dy += touch.clientY - this.touch.petLast.y;
+                this.touch.petLast.x = touch.clientX;
+                this.touch.petLast.y = touch.clientY;
+                this.petPointer.copy(this._toPointer(touch.clientX, touch.clientY));
+            }
+        }
+
         if (!this.touch.lookActive) return;
 
         for (const touch of e.changedTouches) {
@@ -636,6 +712,12 @@ class TouchSheepGame {
 
     _onCanvasTouchEnd(e) {
         for (const touch of e.changedTouches) {
+            if (touch.identifier === this.touch.petTouchId) {
+                this.touch.petTouchId = null;
+                this._stopPetting();
+                continue;
+            }
+
             if (touch.identifier === this.touch.lookTouchId) {
                 // Check if this was a tap (short duration, minimal movement)
                 const duration = Date.now() - (this.touch.lookStartTime || 0);
@@ -643,9 +725,9 @@ class TouchSheepGame {
                 const dy = touch.clientY - (this.touch.lookStartPos?.y || 0);
                 const dist = Math.sqrt(dx * dx + dy * dy);
 
-                // If it's a quick tap with minimal movement, try to pet sheep
+                // If it's a quick tap with minimal movement, check for a distant sheep
                 if (duration < 300 && dist < 20) {
-                    this._onTapToPet(touch.clientX, touch.clientY);
+                    this._onTapSheep(touch.clientX, touch.clientY);
                     // No inertia on tap
                     this.touch.lookVelocity.x = 0;
                     this.touch.lookVelocity.y = 0;
@@ -684,13 +766,35 @@ class TouchSheepGame {
         }
     }
 
-    _onTapToPet(screenX, screenY) {
-        // Convert screen position to normalized device coordinates
-        const x = (screenX / window.innerWidth) * 2 - 1;
-        const y = -(screenY / window.innerHeight) * 2 + 1;
+    _onTapSheep(screenX, screenY) {
+        const hit = this._raycastSheep(this._toPointer(screenX, screenY));
+        if (!hit) return;
+
+        if (this.roster) {
+            this.roster.inspect(hit.sheep, 4);
+        }
 
-        // Raycast from tap position
-        this.raycaster.setFromCamera(new THREE.Vector2(x, y), this.camera);
+        // Nearby sheep are stroked from touchstart - a tap that gets here was too far
+        this._showMobilePetHint(true, 'Move closer to pet');
+    }
+
+    /**
+     * Screen position to normalized device coordinates
+     */
+    _toPointer(screenX, screenY) {
+        return new THREE.Vector2(
+            (screenX / window.innerWidth) * 2 - 1,
+            -(screenY / window.innerHeight) * 2 + 1
+        );
+    }
+
+    /**
+     * Nearest sheep under a screen point
+     * @param {THREE.Vector2} pointer - Normalized device coordinates
+     * @returns {{sheep: clofen, distance: number, point: THREE.Vector3}|null}
+     */
+    _raycastSheep(pointer) {
+        this.raycaster.setFromCamera(pointer, this.camera);
 
         const sheepMeshes = this.clofens
             .filter(c => c.mesh)
@@ -698,43 +802,26 @@ class TouchSheepGame {
 
         const meshes = sheepMeshes.map(s => s.mesh);
         const intersects = this.raycaster.intersectObjects(meshes, true);
-
-        if (intersects.length > 0) {
-            const distance = intersects[0].distance;
-
-            // Find which sheep was tapped
-            let tappedSheep = null;
-            for (const sheepData of sheepMeshes) {
-                let obj = intersects[0].object;
-                while (obj) {
-                    if (obj === sheepData.mesh) {
-                        tappedSheep = sheepData.clofen;
-                        break;
-                    }
-                    obj = obj.parent;
+        if (intersects.length === 0) return null;
+
+        // Walk up from the hit child to the sheep's root mesh
+        for (const sheepData of sheepMeshes) {
+            let obj = intersects[0].object;
+            while (obj) {
+                if (obj === sheepData.mesh) {
+                    return {
+                        sheep: sheepData.clofen,
+                        distance: intersects[0].distance,
+                        point: intersects[0].point,
+                    };
                 }
-                if (tappedSheep) break;
-            }
-
-            if (tappedSheep && distance <= this.interactionRange * 1.5) {
-                // Pet the sheep!
-                tappedSheep.startPetting();
-
-                // Quick pet animation (auto-end after short delay)
-                setTimeout(() => {
-                    tappedSheep.endPetting(1.0);
-                }, 800);
-
-                // Show feedback
-                this._showMobilePetHint(false);
-            } else if (tappedSheep) {
-                // Too far - show hint
-                this._showMobilePetHint(true, 'Move closer to pet');
+                obj = obj.parent;
             }
         }
+        return null;
     }
 
-    _showMobilePetHint(show, text = 'Tap sheep to pet') {
+    _showMobilePetHint(show, text = 'Stroke a sheep to pet') {
         const hint = document.getElementById('mobile-pet-hint');
         if (hint) {
             hint.textContent = text;
@@ -765,6 +852,18 @@ class TouchSheepGame {
             return;
         }
 
+        // While petting the mouse moves the hand over the sheep, not the camera
+        if (this.isPetting) {
+            this.strokeInput.dx += dx;
+            this.strokeInput.dy += dy;
+
+            const reach = this.petHandReach;
+            this.petPointer.x = THREE.MathUtils.clamp(this.petPointer.x + dx / (window.innerWidth / 2), -reach, reach);
+            this.petPointer.y = THREE.MathUtils.clamp(this.petPointer.y - dy / (window.innerHeight / 2), -reach, reach);
+            this._updatePetHand();
+            return;
+        }
+
         this.player.rotation.yaw -= dx * this.cameraConfig.sensitivity;
         this.player.rotation.pitch -= dy * this.cameraConfig.sensitivity;
 
@@ -797,6 +896,13 @@ class TouchSheepGame {
             case 'ShiftRight':
                 this.keys.run = true;
                 break;
+            case 'Tab':
+                // Roster works locked or not - it frees the mouse itself
+                e.preventDefault();
+                if (this.roster) {
+                    this.roster.toggle();
+                }
+                break;
         }
 
         // Actions only when locked
@@ -808,7 +914,9 @@ class TouchSheepGame {
                     break;
                 case 'KeyE':
                     e.preventDefault();
-                    this._tryPetSheep();
+                    if (!e.repeat) {
+                        this._tryPetSheep();
+                    }
                     break;
             }
         }
@@ -837,6 +945,12 @@ class TouchSheepGame {
             case 'ShiftRight':
                 this.keys.run = false;
                 break;
+            case 'KeyE':
+                // E works like holding the mouse button
+                if (this.isPetting) {
+                    this._stopPetting();
+                }
+                break;
         }
     }
 
@@ -848,18 +962,15 @@ class TouchSheepGame {
     }
 
     _onMouseUp(e) {
-        if (e.button === 0 && this.isPetting && this.hoveredSheep) {
-            const petDuration = (Date.now() - this.petStartTime) / 1000;
-            this.hoveredSheep.endPetting(petDuration);
-            this.isPetting = false;
+        if (e.button === 0 && this.isPetting) {
+            this._stopPetting();
         }
     }
 
     _tryPetSheep() {
         if (this.canInteract && this.hoveredSheep && !this.isPetting) {
-            this.isPetting = true;
-            this.petStartTime = Date.now();
-            this.hoveredSheep.startPetting();
+            this._startPetting(this.hoveredSheep, new THREE.Vector2(0, 0));
+            this._updatePetHand();
         }
     }
 
@@ -1110,45 +1221,31 @@ class TouchSheepGame {
 
     _updateInteraction() {
         if (!this.isLocked) {
+            // Losing pointer lock lifts the hand (touch petting never locks)
+            if (this.isPetting && !this.isTouchDevice) {
+                this._stopPetting();
+            }
             this.hoveredSheep = null;
             this.canInteract = false;
+            if (this.roster) {
+                this.roster.inspect(null);
+            }
             return;
         }
 
-        // Raycast from camera center
-        this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
+        // The hand stays on one sheep while petting - _updatePetting follows it
+        if (this.isPetting) return;
 
-        const sheepMeshes = this.clofens
-            .filter(c => c.mesh)
-            .map(c => ({ mesh: c.mesh, clofen: c }));
-
-        const meshes = sheepMeshes.map(s => s.mesh);
-        const intersects = this.raycaster.intersectObjects(meshes, true);
-
-        let newHovered = null;
-        let distance = Infinity;
-
-        if (intersects.length > 0) {
-            distance = intersects[0].distance;
-
-            for (const sheepData of sheepMeshes) {
-                let obj = intersects[0].object;
-                while (obj) {
-                    if (obj === sheepData.mesh) {
-                        newHovered = sheepData.clofen;
-                        break;
-                    }
-                    obj = obj.parent;
-                }
-                if (newHovered) break;
-            }
-        }
+        // Raycast from camera center
+        const hit = this._raycastSheep(new THREE.Vector2(0, 0));
+        const newHovered = hit ? hit.sheep : null;
+        const distance = hit ? hit.distance : Infinity;
 
         this.canInteract = newHovered && distance <= this.interactionRange;
 
         // Update hover states
         if (newHovered !== this.hoveredSheep) {
-            if (this.hoveredSheep && !this.isPetting) {
+            if (this.hoveredSheep) {
                 this.hoveredSheep.onHoverEnd();
             }
             if (newHovered) {
@@ -1157,18 +1254,82 @@ class TouchSheepGame {
             this.hoveredSheep = newHovered;
         }
 
+        if (this.roster) {
+            this.roster.inspect(newHovered);
+        }
+
         this._updateInteractionPrompt(newHovered, distance);
+    }
 
-        // Continue petting
-        if (this.isPetting && this.hoveredSheep && this.canInteract) {
-            this.hoveredSheep.onStroke(0, 0, 5);
-        } else if (this.isPetting && (!this.canInteract || !this.hoveredSheep)) {
-            if (this.hoveredSheep) {
-                const petDuration = (Date.now() - this.petStartTime) / 1000;
-                this.hoveredSheep.endPetting(petDuration);
-            }
-            this.isPetting = false;
+    _startPetting(sheep, pointer) {
+        this.isPetting = true;
+        this.petSheep = sheep;
+        this.petStartTime = Date.now();
+        this.petPointer.copy(pointer);
+        this.strokeInput.dx = 0;
+        this.strokeInput.dy = 0;
+        sheep.startPetting();
+    }
+
+    /**
+     * Lift the hand. The sheep only counts the session if it wasn't the one to pull away.
+     */
+    _stopPetting() {
+        if (!this.isPetting) return;
+
+        const sheep = this.petSheep;
+        if (sheep && sheep.isPetted) {
+            const petDuration = (Date.now() - this.petStartTime) / 1000;
+            sheep.endPetting(petDuration);
         }
+
+        this.isPetting = false;
+        this.petSheep = null;
+        this.petPointer.set(0, 0);
+        this._updatePetHand();
+    }
+
+    /**
+     * Feed this frame's hand motion to the sheep under it
+     */
+    _updatePetting(dt) {
+        if (!this.isPetting) return;
+
+        const sheep = this.petSheep;
+
+        // Pulled away from a rough stroke
+        if (!sheep || !sheep.isPetted) {
+            this._stopPetting();
+            return;
+        }
+
+        // Hand slid off the sheep, or the sheep walked out of reach
+        const hit = this._raycastSheep(this.petPointer);
+        const reach = this.isTouchDevice ? this.interactionRange * 1.5 : this.interactionRange;
+        if (!hit || hit.sheep !== sheep || hit.distance > reach) {
+            this._stopPetting();
+            return;
+        }
+
+        const { dx, dy } = this.strokeInput;
+        this.strokeInput.dx = 0;
+        this.strokeInput.dy = 0;
+
+        const speed = Math.sqrt(dx * dx + dy * dy) / Math.max(dt, 0.001);
+        sheep.onStroke(dx, dy, speed, sheep.getBodySpot(hit.point), dt);
+    }
+
+    /**
+     * Move the crosshair to the petting hand (desktop)
+     */
+    _updatePetHand() {
+        const crosshair = document.getElementById('crosshair');
+        if (!crosshair) return;
+
+        const offsetX = this.petPointer.x * window.innerWidth / 2;
+        const offsetY = -this.petPointer.y * window.innerHeight / 2;
+        crosshair.style.transform = `translate(calc(-50% + ${offsetX}px), calc(-50% + ${offsetY}px))`;
+        crosshair.classList.toggle('petting', this.isPetting);
     }
 
     _updateInteractionPrompt(sheep, distance) {
@@ -1182,7 +1343,7 @@ class TouchSheepGame {
 
             // Show mobile hint when near sheep
             if (sheep && distance <= this.interactionRange * 1.5) {
-                this._showMobilePetHint(true, distance <= this.interactionRange ? 'Tap sheep to pet!' : 'Move closer to pet');
+                this._showMobilePetHint(true, distance <= this.interactionRange ? 'Stroke the sheep to pet!' : 'Move closer to pet');
             }
             return;
         }
@@ -1191,7 +1352,7 @@ class TouchSheepGame {
             prompt.classList.add('visible');
 
             if (distance <= this.interactionRange) {
-                prompt.textContent = 'Click or [E] to pet';
+                prompt.textContent = 'Hold click or [E] and move the mouse to stroke';
                 prompt.classList.add('can-interact');
             } else {
                 const dist = distance.toFixed(1);
@@ -1217,7 +1378,8 @@ class TouchSheepGame {
         } else {
             // Desktop
             if (startPrompt) {
-                startPrompt.style.display = this.isLocked ? 'none' : 'flex';
+                const rosterOpen = this.roster && this.roster.isOpen;
+                startPrompt.style.display = this.isLocked || rosterOpen ? 'none' : 'flex';
             }
             if (crosshair) {
                 crosshair.style.display = this.isLocked ? 'block' : 'none';
@@ -1318,10 +1480,10 @@ class TouchSheepGame {
                 attempts++;
             } while (attempts < 15);
 
-            // Spawn the new sheep
-            const scale = 0.85 + Math.random() * 0.15;
+            // Spawn the new sheep (next identity in spawn order)
+            const identity = this.memory.identityFor(this.clofens.length);
             const c = new clofen(this);
-            await c.init(spawnX, spawnZ, scale);
+            await c.init(spawnX, spawnZ, identity.scale, identity);
             this.clofens.push(c);
             this.totalSpawned++;
 
@@ -1331,7 +1493,7 @@ class TouchSheepGame {
                 this.effects.spawnRipple(spawnPos, 0xFFE4C4); // Warm peach color
             }
 
-            console.log(`New sheep joined! Total: ${this.clofens.length}`);
+            console.log(`${c.name} joined! Total: ${this.clofens.length}`);
         } finally {
             this.isSpawningSheep = false;
         }
@@ -1353,6 +1515,7 @@ class TouchSheepGame {
         this._updatePlayer(dt);
         this._updateTouchLookInertia();
         this._updateInteraction();
+        this._updatePetting(dt);
 
         // Update sheep with player info
         const playerInfo = {
@@ -1376,6 +1539,14 @@ class TouchSheepGame {
         // Sheep spawning system
         this._updateSheepSpawning(dt);
 
+        if (this.memory) {
+            this.memory.update(dt);
+        }
+
+        if (this.roster) {
+            this.roster.update(dt);
+        }
+
         if (this.effects) {
             this.effects.update(dt);
         }
@@ -1388,6 +1559,15 @@ class TouchSheepGame {
         if (this.gameScene) {
             this.gameScene.update(dt);
         }
+
+        if (this.dayCycle) {
+            this.dayCycle.update(dt);
+        }
+
+        // After the day cycle - weather tints the sky color it sets
+        if (this.weather) {
+            this.weather.update(dt);
+        }
     }
 
     _render() {
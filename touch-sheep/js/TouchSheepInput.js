@@ -1,6 +1,6 @@
 /**
  * TouchSheepInput - Input handler for first-person sheep herding
- * WASD movement, mouse look, E to pet, Space to call
+ * WASD movement, mouse look, hold E to stroke, Space to call
  */
 export class TouchSheepInput {
     constructor(game) {
@@ -0,0 +1,174 @@
+/**
+ * TouchSheepMemory - Remembers the flock between visits
+ * Every sheep slot gets a stable identity (name, personality, look) rolled from a
+ * per-visitor flock seed, plus a bond with the visitor that grows with petting.
+ * Saved to localStorage, so returning visitors meet the same sheep.
+ */
+export class TouchSheepMemory {
+    static STORAGE_KEY = 'touchSheep.flock';
+    static VERSION = 1;
+
+    // Seconds between autosaves
+    static SAVE_INTERVAL = 10;
+
+    // Bond lost per day away (sheep forget slowly)
+    static BOND_DECAY_PER_DAY = 0.03;
+
+    static NAMES = [
+        'Clover', 'Bramble', 'Pip', 'Willow', 'Dumpling', 'Fern', 'Marble', 'Biscuit',
+        'Thistle', 'Puffin', 'Hazel', 'Nutmeg', 'Sorrel', 'Tuft', 'Moss', 'Juniper',
+        'Pebble', 'Wren', 'Bracken', 'Crumpet', 'Daisy', 'Heather', 'Button', 'Sage',
+        'Fennel', 'Muffin', 'Rowan', 'Tansy',
+    ];
+
+    constructor(game) {
+        this.game = game;
+
+        this.flockSeed = null;
+        this.lastVisit = null;
+
+        // Slot index -> { bond, timesPetted, favoriteSpot }
+        this.sheep = [];
+
+        this.saveTimer = 0;
+    }
+
+    init() {
+        this._load();
+
+        // First visit - roll a flock of our own
+        if (this.flockSeed === null) {
+            this.flockSeed = Math.floor(Math.random() * 4294967296);
+        }
+
+        // Sheep forget a little for every day the visitor was away
+        if (this.lastVisit) {
+            const daysAway = Math.max(0, (Date.now() - this.lastVisit) / 86400000);
+            const decay = daysAway * TouchSheepMemory.BOND_DECAY_PER_DAY;
+            for (const saved of this.sheep) {
+                if (saved) saved.bond = Math.max(0, saved.bond - decay);
+            }
+        }
+
+        window.addEventListener('pagehide', () => this.save());
+    }
+
+    /**
+     * Number of sheep the visitor has met before
+     */
+    get knownCount() {
+        return this.sheep.length;
+    }
+
+    /**
+     * Stable identity for the sheep in a spawn slot, with whatever it remembers
+     * @param {number} index - Spawn order (0 = first sheep in the meadow)
+     */
+    identityFor(index) {
+        const random = seededRandom(`${this.flockSeed}:${index}`);
+        const names = TouchSheepMemory.NAMES;
+        const nameOffset = Math.floor(seededRandom(`${this.flockSeed}:names`)() * names.length);
+        const saved = this.sheep[index] || {};
+
+        return {
+            index,
+            name: names[(nameOffset + index) % names.length],
+            personality: {
+                shyness: 0.3 + random() * 0.4,
+                friendliness: 0.5 + random() * 0.5,
+                curiosity: 0.3 + random() * 0.5,
+                flightiness: 0.2 + random() * 0.4,
+                laziness: 0.2 + random() * 0.5,
+                sociability: 0.3 + random() * 0.6,
+            },
+            scale: 0.85 + random() * 0.15,
+            // Creamy to cool white (HSL)
+            woolTint: {
+                h: 0.06 + random() * 0.1,
+                s: random() * 0.25,
+                l: 0.9 + random() * 0.1,
+            },
+            bond: saved.bond ?? 0,
+            timesPetted: saved.timesPetted ?? 0,
+            favoriteSpot: saved.favoriteSpot ?? null,
+        };
+    }
+
+    /**
+     * Copy a sheep's bond and memories into the save
+     */
+    remember(sheep) {
+        if (!sheep.identity) return;
+
+        this.sheep[sheep.identity.index] = {
+            bond: Math.round(sheep.bond * 1000) / 1000,
+            timesPetted: sheep.timesBeenPetted,
+            favoriteSpot: sheep.favoriteSpot
+                ? { x: sheep.favoriteSpot.x, z: sheep.favoriteSpot.z }
+                : null,
+        };
+    }
+
+    update(dt) {
+        this.saveTimer += dt;
+        if (this.saveTimer >= TouchSheepMemory.SAVE_INTERVAL) {
+            this.save();
+        }
+    }
+
+    save() {
+        this.saveTimer = 0;
+
+        for (const sheep of this.game.clofens) {
+            this.remember(sheep);
+        }
+
+        const data = {
+            version: TouchSheepMemory.VERSION,
+            flockSeed: this.flockSeed,
+            lastVisit: Date.now(),
+            sheep: Array.from(this.sheep, saved => saved || null),
+        };
+
+        try {
+            localStorage.setItem(TouchSheepMemory.STORAGE_KEY, JSON.stringify(data));
+        } catch (e) {
+            console.warn('Failed to save flock memory:', e);
+        }
+    }
+
+    _load() {
+        try {
+            const raw = localStorage.getItem(TouchSheepMemory.STORAGE_KEY);
+            if (!raw) return;
+
+            const data = JSON.parse(raw);
+            if (data.version !== TouchSheepMemory.VERSION) return;
+
+            this.flockSeed = data.flockSeed >>> 0;
+            this.lastVisit = data.lastVisit || null;
+            this.sheep = Array.isArray(data.sheep) ? data.sheep : [];
+        } catch (e) {
+            console.warn('Failed to load flock memory:', e);
+        }
+    }
+}
+
+/**
+ * Seeded float generator in [0, 1) (FNV-1a hash into mulberry32)
+ */
+function seededRandom(seed) {
+    let state = 0x811c9dc5;
+    for (const char of String(seed)) {
+        state ^= char.charCodeAt(0);
+        state = Math.imul(state, 0x01000193);
+    }
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,257 @@
+/**
+ * TouchSheepRoster - Sheep inspection card and flock roster
+ * Looking at a sheep (tapping on touch devices) shows its name, what it is doing,
+ * its mood and personality. The roster lists the whole flock with a "locate" action.
+ */
+import { clofen } from './TouchSheepClofen.js';
+
+export class TouchSheepRoster {
+    static STATE_LABELS = {
+        [clofen.STATE.IDLE]: 'Idling',
+        [clofen.STATE.GRAZING]: 'Grazing',
+        [clofen.STATE.LOOKING]: 'Looking around',
+        [clofen.STATE.STRETCHING]: 'Stretching',
+        [clofen.STATE.RESTING]: 'Resting',
+        [clofen.STATE.SLEEPING]: 'Sleeping',
+        [clofen.STATE.SOCIAL]: 'Chatting',
+        [clofen.STATE.CURIOUS]: 'Curious',
+        [clofen.STATE.PETTED]: 'Being petted',
+        [clofen.STATE.BLISS]: 'Blissful',
+        [clofen.STATE.CALLED]: 'Coming over',
+        [clofen.STATE.FLEEING]: 'Running off',
+    };
+
+    // Trait shown when a personality value is at least `min`
+    static TRAITS = [
+        { key: 'friendliness', min: 0.8, label: 'Friendly' },
+        { key: 'curiosity', min: 0.6, label: 'Curious' },
+        { key: 'sociability', min: 0.7, label: 'Sociable' },
+        { key: 'shyness', min: 0.55, label: 'Shy' },
+        { key: 'flightiness', min: 0.45, label: 'Skittish' },
+        { key: 'laziness', min: 0.5, label: 'Lazy' },
+    ];
+
+    static MOOD_BARS = [
+        { key: 'contentment', label: 'Content' },
+        { key: 'alertness', label: 'Alert' },
+        { key: 'playfulness', label: 'Playful' },
+    ];
+
+    constructor(game) {
+        this.game = game;
+
+        // DOM
+        this.card = null;
+        this.panel = null;
+        this.list = null;
+
+        // Roster rows, built on open and updated in place so Locate buttons stay clickable
+        this.rows = [];
+
+        // Sheep shown on the card
+        this.inspected = null;
+        this.inspectHoldTimer = 0;
+
+        this.isOpen = false;
+        this.refreshTimer = 0;
+    }
+
+    init() {
+        this.card = document.getElementById('sheep-card');
+        this.panel = document.getElementById('roster-panel');
+        this.list = document.getElementById('roster-list');
+
+        if (this.list) {
+            this.list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-locate]');
+                if (button) {
+                    this.locate(this.game.clofens[Number(button.dataset.locate)]);
+                }
+            });
+        }
+
+        const closeButton = this.panel?.querySelector('.roster-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.close());
+        }
+
+        const rosterButton = document.getElementById('btn-roster');
+        if (rosterButton) {
+            rosterButton.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                this.toggle();
+            }, { passive: false });
+        }
+    }
+
+    /**
+     * Show a sheep on the inspection card (null hides it)
+     * @param {clofen|null} sheep
+     * @param {number} [hold] - Seconds to keep showing it without looking (touch taps)
+     */
+    inspect(sheep, hold = 0) {
+        if (!sheep && this.inspectHoldTimer > 0) return;
+
+        this.inspectHoldTimer = hold;
+        if (sheep === this.inspected) return;
+
+        this.inspected = sheep;
+        this._renderCard();
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.panel) return;
+
+        this.isOpen = true;
+        this.panel.classList.add('visible');
+        this._renderRoster();
+
+        // Free the mouse so the list can be clicked
+        if (this.game.isLocked) {
+            document.exitPointerLock();
+        }
+        this.game._updateUI();
+    }
+
+    close() {
+        if (!this.panel) return;
+
+        this.isOpen = false;
+        this.panel.classList.remove('visible');
+
+        if (!this.game.isTouchDevice && !this.game.isLocked) {
+            this.game.canvas.requestPointerLock();
+        }
+        this.game._updateUI();
+    }
+
+    /**
+     * Point the player at a sheep: a marker floats over it for a few seconds
+     */
+    locate(sheep) {
+        if (!sheep) return;
+
+        if (this.game.effects) {
+            this.game.effects.spawnLocator(sheep);
+        }
+        this.inspect(sheep, 4);
+        this.close();
+    }
+
+    update(dt) {
+        if (this.inspectHoldTimer > 0) {
+            this.inspectHoldTimer = Math.max(0, this.inspectHoldTimer - dt);
+            if (this.inspectHoldTimer === 0 && this.game.hoveredSheep !== this.inspected) {
+                this.inspect(this.game.hoveredSheep);
+            }
+        }
+
+        // DOM refresh a few times a second is plenty for mood bars
+        this.refreshTimer += dt;
+        if (this.refreshTimer < 0.25) return;
+        this.refreshTimer = 0;
+
+        if (this.inspected) {
+            this._renderCard();
+        }
+        if (this.isOpen) {
+            this._refreshRoster();
+        }
+    }
+
+    _renderCard() {
+        if (!this.card) return;
+
+        const sheep = this.inspected;
+        if (!sheep) {
+            this.card.classList.remove('visible');
+            return;
+        }
+
+        const bars = TouchSheepRoster.MOOD_BARS
+            .map(({ key, label }) => this._barHtml(label, sheep.mood[key]))
+            .join('');
+        const traits = this._traitsOf(sheep)
+            .map(trait => `<span class="card-trait">${trait}</span>`)
+            .join('');
+
+        this.card.innerHTML = `
+            <div class="card-header">
+                <span class="card-name">${sheep.name || 'Sheep'}</span>
+                <span class="card-state">${this._stateLabel(sheep)}</span>
+            </div>
+            <div class="card-bars">
+                ${bars}
+                ${this._barHtml('Trust', sheep.bond, 'trust')}
+            </div>
+            <div class="card-traits">${traits}</div>
+        `;
+        this.card.classList.add('visible');
+    }
+
+    _renderRoster() {
+        if (!this.list) return;
+
+        this.list.innerHTML = this.game.clofens.map((sheep, index) => `
+            <li class="roster-row">
+                <span class="roster-name">${sheep.name || `Sheep ${index + 1}`}</span>
+                <span class="roster-state"></span>
+                <button type="button" class="roster-locate" data-locate="${index}">Locate</button>
+            </li>
+        `).join('');
+
+        this.rows = Array.from(this.list.children, row => ({
+            row,
+            state: row.querySelector('.roster-state'),
+        }));
+        this._refreshRoster();
+    }
+
+    /**
+     * Update state and distance text without replacing the rows
+     */
+    _refreshRoster() {
+        const sheepList = this.game.clofens;
+        if (this.rows.length !== sheepList.length) {
+            this._renderRoster();
+            return;
+        }
+
+        const player = this.game.player.position;
+        sheepList.forEach((sheep, index) => {
+            const { row, state } = this.rows[index];
+            const distance = Math.round(sheep.position.distanceTo(player));
+            state.textContent = `${this._stateLabel(sheep)} · ${distance}m`;
+            row.classList.toggle('inspected', sheep === this.inspected);
+        });
+    }
+
+    _barHtml(label, value, modifier = '') {
+        const percent = Math.round(Math.max(0, Math.min(1, value)) * 100);
+        return `
+            <div class="card-bar ${modifier}">
+                <span class="card-bar-label">${label}</span>
+                <span class="card-bar-track"><span class="card-bar-fill" style="width: ${percent}%"></span></span>
+            </div>
+        `;
+    }
+
+    _stateLabel(sheep) {
+        return TouchSheepRoster.STATE_LABELS[sheep.state] || sheep.state;
+    }
+
+    _traitsOf(sheep) {
+        const traits = TouchSheepRoster.TRAITS
+            .filter(({ key, min }) => sheep.personality[key] >= min)
+            .map(({ label }) => label);
+        return traits.length > 0 ? traits : ['Easygoing'];
+    }
+}
@@ -150,8 +150,13 @@ export class TouchSheepScene {
             blade.rotation.y = Math.random() * Math.PI * 2;
             blade.scale.setScalar(0.3 + Math.random() * 0.5);
 
+            // Advanced by swaySpeed each frame, so gusts change the pace without jumps
             blade.userData.swayPhase = Math.random() * Math.PI * 2;
             blade.userData.swaySpeed = 0.5 + Math.random() * 0.5;
+            // Ground direction a positive rotation.z tips the blade's tip toward
+            // (its local -x), for leaning with the wind
+            blade.userData.swayX = -Math.cos(blade.rotation.y);
+            blade.userData.swayZ = Math.sin(blade.rotation.y);
 
             this.grassBlades.push(blade);
             this.game.scene.add(blade);
@@ -403,15 +408,21 @@ export class TouchSheepScene {
     }
 
     update(dt) {
-        // Animate grass swaying
-        const time = this.game.clock.elapsedTime;
+        // Animate grass swaying - faster and leaning downwind as the wind picks up
+        const wind = this.game.weather ? this.game.weather.getWind() : null;
+        const windX = wind ? wind.x : 0;
+        const windZ = wind ? wind.y : 0;
+        const strength = Math.sqrt(windX * windX + windZ * windZ);
 
         for (const blade of this.grassBlades) {
-            const phase = blade.userData.swayPhase;
-            const speed = blade.userData.swaySpeed;
-
-            blade.rotation.z = Math.sin(time * speed + phase) * 0.15;
-            blade.rotation.x = Math.sin(time * speed * 0.7 + phase) * 0.05;
+            const speed = blade.userData.swaySpeed * (1 + strength * 2);
+            // Wrap at 20π, a whole number of turns for both sines below
+            const phase = (blade.userData.swayPhase + speed * dt) % (Math.PI * 20);
+            blade.userData.swayPhase = phase;
+            const lean = (windX * blade.userData.swayX + windZ * blade.userData.swayZ) * 0.4;
+
+            blade.rotation.z = Math.sin(phase) * 0.15 * (1 + strength * 0.5) + lean;
+            blade.rotation.x = Math.sin(phase * 0.7) * 0.05;
         }
     }
 }
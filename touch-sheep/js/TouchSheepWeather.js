@@ -0,0 +1,269 @@
+/**
+ * TouchSheepWeather - Wind, drizzle and dust over the meadow
+ * Wind (a slowly turning direction with gusts) sways the grass, buffets wool and
+ * carries particles. Drizzle and dust fill the air and send the flock to huddle behind rocks.
+ *
+ * URL option: ?weather=clear|drizzle|dust pins the weather
+ * Art Bible colors: sand #D4A574, teal #538084
+ */
+export class TouchSheepWeather {
+    static MODE = {
+        CLEAR: 'clear',
+        DRIZZLE: 'drizzle',
+        DUST: 'dust',
+    };
+
+    // Per mode: chance to be picked next, base wind, and the particle look
+    static MODES = {
+        clear: { chance: 0.6, wind: 0.25 },
+        drizzle: {
+            chance: 0.25, wind: 0.5,
+            color: 0xB8C8D0, size: 0.08, fall: 9, fogFar: 45, fogTint: 0x538084,
+        },
+        dust: {
+            chance: 0.15, wind: 0.85,
+            color: 0xD4A574, size: 0.14, fall: 0.3, fogFar: 35, fogTint: 0xD4A574,
+        },
+    };
+
+    // Seconds a weather spell lasts
+    static SPELL_DURATION = { min: 60, max: 150 };
+
+    // Seconds to fade a spell in or out
+    static FADE_TIME = 8;
+
+    // Particle box around the player
+    static PARTICLE_COUNT = 700;
+    static AREA = { radius: 20, height: 14 };
+
+    constructor(game) {
+        this.game = game;
+
+        this.mode = TouchSheepWeather.MODE.CLEAR;
+        this.pinned = false;
+        this.spellTimer = 0;
+        this.spellDuration = 0;
+
+        // 0-1: how far the current spell has faded in
+        this.intensity = 0;
+
+        // Wind on the ground plane, scaled by strength
+        this.windAngle = Math.random() * Math.PI * 2;
+        this.windStrength = TouchSheepWeather.MODES.clear.wind;
+        this.gust = 0;
+        this.wind = new THREE.Vector2();
+        this.time = 0;
+
+        // Particles
+        this.points = null;
+        this.particleVelocities = null;
+        this.baseFogFar = 80;
+        this._tint = new THREE.Color();
+    }
+
+    init() {
+        const requested = new URLSearchParams(window.location.search).get('weather');
+        if (Object.values(TouchSheepWeather.MODE).includes(requested)) {
+            this.mode = requested;
+            this.pinned = true;
+        }
+
+        if (this.game.scene.fog) {
+            this.baseFogFar = this.game.scene.fog.far;
+        }
+
+        this._createParticles();
+        this._startSpell(this.mode);
+    }
+
+    /**
+     * Wind on the ground plane: direction scaled by strength (0-1, gusts included)
+     * @returns {THREE.Vector2} x/z components - do not modify
+     */
+    getWind() {
+        return this.wind;
+    }
+
+    /**
+     * Gust pushing on a point right now (-1..1 times strength)
+     * Gusts roll downwind, so nearby sheep get buffeted one after another
+     */
+    getBuffet(position) {
+        const strength = this.wind.length();
+        if (strength < 0.001) return 0;
+
+        const along = (position.x * this.wind.x + position.z * this.wind.y) / strength;
+        return Math.sin(this.time * 3 - along * 0.4) * strength * (0.5 + this.gust * 0.5);
+    }
+
+    /**
+     * Whether the weather is rough enough for sheep to take shelter
+     */
+    isHarsh() {
+        return this.mode !== TouchSheepWeather.MODE.CLEAR && this.intensity > 0.5;
+    }
+
+    update(dt) {
+        this.time += dt;
+
+        this._updateSpell(dt);
+        this._updateWind(dt);
+        this._updateParticles(dt);
+        this._updateFog();
+    }
+
+    // ==================== SPELLS ====================
+
+    _startSpell(mode) {
+        this.mode = mode;
+        this.spellTimer = 0;
+        // Pinned weather is there from the start; other spells fade in
+        this.intensity = this.pinned ? 1 : 0;
+        const { min, max } = TouchSheepWeather.SPELL_DURATION;
+        this.spellDuration = min + Math.random() * (max - min);
+
+        const config = TouchSheepWeather.MODES[mode];
+        if (this.points && config.color !== undefined) {
+            this.points.material.color.setHex(config.color);
+            this.points.material.size = config.size;
+        }
+    }
+
+    _pickNextMode() {
+        const roll = Math.random();
+        let cumulative = 0;
+        for (const [mode, config] of Object.entries(TouchSheepWeather.MODES)) {
+            cumulative += config.chance;
+            if (roll < cumulative) return mode;
+        }
+        return TouchSheepWeather.MODE.CLEAR;
+    }
+
+    _updateSpell(dt) {
+        this.spellTimer += dt;
+        const fadeRate = dt / TouchSheepWeather.FADE_TIME;
+        const ending = !this.pinned && this.spellTimer >= this.spellDuration;
+
+        if (ending) {
+            // Fade the old spell out before the next one starts
+            this.intensity = Math.max(0, this.intensity - fadeRate);
+            if (this.intensity === 0 || this.mode === TouchSheepWeather.MODE.CLEAR) {
+                this._startSpell(this._pickNextMode());
+            }
+        } else {
+            this.intensity = Math.min(1, this.intensity + fadeRate);
+        }
+    }
+
+    // ==================== WIND ====================
+
+    _updateWind(dt) {
+        // Direction wanders slowly; strength eases toward the spell's base wind
+        this.windAngle += Math.sin(this.time * 0.05) * dt * 0.1;
+
+        const calm = TouchSheepWeather.MODES.clear.wind;
+        const target = calm + (TouchSheepWeather.MODES[this.mode].wind - calm) * this.intensity;
+        this.windStrength += (target - this.windStrength) * Math.min(1, dt * 0.5);
+
+        // Layered sines for irregular gusts (0-1)
+        this.gust = Math.max(0, Math.sin(this.time * 0.7) * 0.6 + Math.sin(this.time * 1.9 + 1.3) * 0.4);
+
+        const strength = Math.min(1, this.windStrength * (1 + this.gust * 0.4));
+        this.wind.set(Math.cos(this.windAngle) * strength, Math.sin(this.windAngle) * strength);
+    }
+
+    // ==================== PARTICLES ====================
+
+    _createParticles() {
+        const count = TouchSheepWeather.PARTICLE_COUNT;
+        const { radius, height } = TouchSheepWeather.AREA;
+        const positions = new Float32Array(count * 3);
+        this.particleVelocities = new Float32Array(count);
+
+        for (let i = 0; i < count; i++) {
+            positions[i * 3] = (Math.random() - 0.5) * radius * 2;
+            positions[i * 3 + 1] = Math.random() * height;
+            positions[i * 3 + 2] = (Math.random() - 0.5) * radius * 2;
+            // Per-particle fall speed variation
+            this.particleVelocities[i] = 0.7 + Math.random() * 0.6;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        const material = new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 0.1,
+            transparent: true,
+            opacity: 0,
+            depthWrite: false,
+        });
+
+        this.points = new THREE.Points(geometry, material);
+        this.points.frustumCulled = false;
+        this.points.visible = false;
+        this.game.scene.add(this.points);
+    }
+
+    _updateParticles(dt) {
+        const config = TouchSheepWeather.MODES[this.mode];
+        const active = config.color !== undefined && this.intensity > 0;
+
+        this.points.visible = active;
+        if (!active) return;
+
+        this.points.material.opacity = 0.7 * this.intensity;
+
+        // Particles live in a box that follows the player and wraps at the edges
+        const player = this.game.player.position;
+        this.points.position.set(player.x, 0, player.z);
+
+        const { radius, height } = TouchSheepWeather.AREA;
+        const positions = this.points.geometry.attributes.position.array;
+        const driftX = this.wind.x * 6 * dt;
+        const driftZ = this.wind.y * 6 * dt;
+        const isDust = this.mode === TouchSheepWeather.MODE.DUST;
+
+        for (let i = 0; i < positions.length; i += 3) {
+            const speed = this.particleVelocities[i / 3];
+
+            positions[i] += driftX * speed;
+            positions[i + 1] -= config.fall * speed * dt;
+            positions[i + 2] += driftZ * speed;
+
+            // Dust tumbles instead of falling straight
+            if (isDust) {
+                positions[i + 1] += Math.sin(this.time * 2 + i) * dt * 0.5;
+            }
+
+            if (positions[i + 1] < 0) positions[i + 1] += height;
+            if (positions[i + 1] > height) positions[i + 1] -= height;
+            if (positions[i] > radius) positions[i] -= radius * 2;
+            if (positions[i] < -radius) positions[i] += radius * 2;
+            if (positions[i + 2] > radius) positions[i + 2] -= radius * 2;
+            if (positions[i + 2] < -radius) positions[i + 2] += radius * 2;
+        }
+
+        this.points.geometry.attributes.position.needsUpdate = true;
+    }
+
+    /**
+     * Pull the fog in and tint it (runs after the day cycle sets the sky color)
+     */
+    _updateFog() {
+        const fog = this.game.scene.fog;
+        if (!fog) return;
+
+        const config = TouchSheepWeather.MODES[this.mode];
+        if (config.fogFar === undefined) {
+            fog.far = this.baseFogFar;
+            return;
+        }
+
+        fog.far = this.baseFogFar + (config.fogFar - this.baseFogFar) * this.intensity;
+        fog.color.lerp(this._tint.setHex(config.fogTint), 0.3 * this.intensity);
+        if (this.game.scene.background) {
+            this.game.scene.background.copy(fog.color);
+        }
+    }
+}